@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// ---------------------------------------------------------------------------
+// HTTP Basic auth for the admin area. Any username is accepted; the password
+// must match ADMIN_PASSWORD. With no password configured the admin area is
+// switched off entirely.
+// ---------------------------------------------------------------------------
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function createAdminAuth(password) {
+  return function requireAdmin(req, res, next) {
+    if (!password) {
+      return res.status(503).json({ error: 'Admin console disabled: set ADMIN_PASSWORD' });
+    }
+
+    const header = req.headers.authorization || '';
+    const [scheme, encoded] = header.split(' ');
+    if (scheme === 'Basic' && encoded) {
+      const decoded = Buffer.from(encoded, 'base64').toString('utf-8');
+      const supplied = decoded.slice(decoded.indexOf(':') + 1);
+      // Compare fixed-length digests so the check takes the same time for any input
+      if (crypto.timingSafeEqual(sha256(supplied), sha256(password))) {
+        return next();
+      }
+    }
+
+    res.set('WWW-Authenticate', 'Basic realm="SVWB Admin", charset="UTF-8"');
+    res.status(401).json({ error: 'Admin password required' });
+  };
+}
+
+module.exports = { createAdminAuth };
@@ -0,0 +1,62 @@
+// ---------------------------------------------------------------------------
+// Player-facing API errors
+// Every error the game client can show is sent as a stable `code` (plus
+// `params` for the parts that vary) which the client translates with its
+// locale files. `error` still carries the English text, for clients cached
+// before codes existed and for anyone calling the API by hand.
+// Admin routes are English-only and don't go through this.
+// ---------------------------------------------------------------------------
+
+function ordinal(n) {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  return `${n}${suffixes[n] || 'th'}`;
+}
+
+const MESSAGES = {
+  PUZZLE_NOT_FOUND: () => 'Puzzle not found',
+  PUZZLE_NOT_AVAILABLE: () => 'This puzzle is not available yet',
+  PUZZLE_FINISHED: () => 'This puzzle is already finished',
+  MISSING_GUESS: () => 'Missing puzzleId or guess',
+  INVALID_GUESS: ({ min, max }) => `Guess must be ${min}–${max} characters (A-Z, 0-9, -)`,
+  WRONG_LENGTH: ({ length }) => `Guess must be ${length} characters`,
+  NOT_IN_WORD_LIST: () => 'Not in word list',
+  HARD_MODE_POSITION: ({ position, letter }) => `${ordinal(position)} letter must be ${letter}`,
+  HARD_MODE_MISSING: ({ letter }) => `Guess must contain ${letter}`,
+  REVEAL_NOT_FINISHED: () => 'Finish the puzzle to reveal the answer',
+  IMAGE_NOT_FINISHED: () => 'Finish the puzzle to see the image',
+  NO_IMAGE: () => 'No image available',
+  INVALID_SOUND: () => 'Invalid filename',
+  SOUND_NOT_FOUND: () => 'Sound not found',
+  INVALID_NAME: () => 'Names must be 2–20 letters, numbers, spaces or . _ \' -',
+  INVALID_SYNC_CODE: () => 'Missing or invalid progress code',
+  SYNC_CODE_TOO_LARGE: () => 'Progress code is too large',
+  SYNC_KEY_NOT_FOUND: () => 'Sync key not found',
+  INVALID_ANSWER: ({ min, max }) => `Answers must be ${min}–${max} characters (A-Z, 0-9, -)`,
+  MISSING_CLUE: () => 'Give your puzzle a clue',
+  CLUE_TOO_LONG: ({ max }) => `Clues can be at most ${max} characters`,
+  AUTHOR_TOO_LONG: ({ max }) => `Names can be at most ${max} characters`,
+  NO_PRACTICE_WORDS: () => 'No practice words available yet',
+  TIMER_TOO_LATE: () => 'The clock can only start before your first guess',
+  INVALID_TIMER_ACTION: () => 'The clock can only be started, paused or resumed',
+  TIMER_NOT_RUNNING: () => 'This game has no clock running',
+  REPLAY_NOT_FINISHED: () => 'Finish the puzzle to share a replay',
+  REPLAY_NOT_FOUND: () => 'Replay not found',
+  ANALYSIS_NOT_FINISHED: () => 'Finish the puzzle to see the analysis',
+  HINT_LOCKED: ({ guesses }) => `This hint unlocks after guess ${guesses}`,
+  NO_MORE_HINTS: () => 'No more hints for this puzzle',
+  RATE_LIMITED: ({ seconds }) => `Too many requests. Try again in ${seconds} seconds.`
+};
+
+// { error, code, params? } – params are left out when there are none
+function errorBody(code, params) {
+  if (!MESSAGES[code]) throw new Error(`Unknown API error code: ${code}`);
+  const body = { error: MESSAGES[code](params || {}), code };
+  if (params) body.params = params;
+  return body;
+}
+
+function sendError(res, status, code, params) {
+  return res.status(status).json(errorBody(code, params));
+}
+
+module.exports = { MESSAGES, errorBody, sendError };
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ---------------------------------------------------------------------------
+// Asset storage backends. Each one fetches a file by kind ('answers' or
+// 'sounds') and filename, resolving to { buffer, lastModified }, or null
+// when the backend doesn't have it. Anything else (timeouts, server errors)
+// is thrown so the provider can tell a real miss from a backend that is
+// having trouble.
+//
+// Remote backends all use the same layout as the assets repo:
+//   <root>/answers/<file>   <root>/sounds/<file>
+// ---------------------------------------------------------------------------
+
+// Local directories, one per kind
+function createLocalBackend({ dirs, ...options }) {
+  return {
+    name: 'local',
+    ...options,
+    async fetch(kind, filename) {
+      if (!dirs[kind]) return null;
+      const filePath = path.join(dirs[kind], filename);
+      try {
+        const [buffer, stat] = await Promise.all([fs.promises.readFile(filePath), fs.promises.stat(filePath)]);
+        return { buffer, lastModified: stat.mtime };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    }
+  };
+}
+
+// GET a URL; 404/403 count as a miss
+async function fetchBuffer(url, { headers = {}, signal } = {}) {
+  const res = await fetch(url, { headers, signal });
+  if (res.status === 404 || res.status === 403) return null;
+  if (!res.ok) throw new Error(`HTTP ${res.status} from ${new URL(url).host}`);
+  const lastModified = new Date(res.headers.get('last-modified'));
+  return {
+    buffer: Buffer.from(await res.arrayBuffer()),
+    lastModified: isNaN(lastModified) ? null : lastModified
+  };
+}
+
+// raw.githubusercontent.com for a (private) GitHub repo
+function createGithubBackend({ repo, token, branch = 'main', ...options }) {
+  return {
+    name: 'github',
+    ...options,
+    fetch(kind, filename, signal) {
+      const url = `https://raw.githubusercontent.com/${repo}/${branch}/${kind}/${encodeURIComponent(filename)}`;
+      return fetchBuffer(url, { headers: { 'Authorization': `token ${token}` }, signal });
+    }
+  };
+}
+
+// Any plain HTTP(S) file server or CDN
+function createHttpBackend({ baseUrl, headers = {}, ...options }) {
+  const root = baseUrl.replace(/\/+$/, '');
+  return {
+    name: 'http',
+    ...options,
+    fetch(kind, filename, signal) {
+      return fetchBuffer(`${root}/${kind}/${encodeURIComponent(filename)}`, { headers, signal });
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// S3-compatible object storage (AWS S3, MinIO, R2, ...), using path-style
+// URLs (<endpoint>/<bucket>/<key>) and AWS Signature Version 4.
+// ---------------------------------------------------------------------------
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+// RFC 3986 encoding as SigV4 expects, keeping the slashes between segments
+function encodeS3Path(pathname) {
+  return pathname.split('/').map(segment =>
+    encodeURIComponent(decodeURIComponent(segment)).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+  ).join('/');
+}
+
+// Headers (including Authorization) for a signed GET request
+function signS3Request({ url, headers = {}, region, accessKeyId, secretAccessKey, date = new Date() }) {
+  const { host, pathname } = new URL(url);
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()])),
+    'host': host,
+    'x-amz-content-sha256': EMPTY_PAYLOAD_HASH,
+    'x-amz-date': amzDate
+  };
+  const names = Object.keys(signed).sort();
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [
+    'GET',
+    encodeS3Path(pathname),
+    '',
+    names.map(name => `${name}:${signed[name]}\n`).join(''),
+    signedHeaders,
+    EMPTY_PAYLOAD_HASH
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+  ].join('\n');
+
+  let key = hmac(`AWS4${secretAccessKey}`, dateStamp);
+  for (const part of [region, 's3', 'aws4_request']) key = hmac(key, part);
+  const signature = crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+
+  const { host: _host, ...requestHeaders } = signed; // fetch sets Host itself
+  return {
+    ...requestHeaders,
+    'authorization': `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+function createS3Backend({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey, prefix = '', ...options }) {
+  const root = `${endpoint.replace(/\/+$/, '')}/${bucket}`;
+  const keyPrefix = prefix.replace(/^\/+|\/+$/g, '');
+  return {
+    name: 's3',
+    ...options,
+    fetch(kind, filename, signal) {
+      const key = [keyPrefix, kind, encodeURIComponent(filename)].filter(Boolean).join('/');
+      const url = `${root}/${key}`;
+      const headers = accessKeyId
+        ? signS3Request({ url, region, accessKeyId, secretAccessKey })
+        : {};
+      return fetchBuffer(url, { headers, signal });
+    }
+  };
+}
+
+module.exports = {
+  createLocalBackend,
+  createGithubBackend,
+  createHttpBackend,
+  createS3Backend,
+  signS3Request
+};
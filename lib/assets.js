@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createLruCache } = require('./lru-cache');
+const {
+  createLocalBackend,
+  createGithubBackend,
+  createHttpBackend,
+  createS3Backend
+} = require('./asset-backends');
+
+// ---------------------------------------------------------------------------
+// Asset provider: answer images and sounds looked up across the configured
+// backends in priority order (lowest number first). Found files are kept in
+// an LRU cache within a memory budget; misses are remembered per backend
+// until that backend's miss TTL runs out, so a file uploaded later is picked
+// up without a restart. Each backend remembers at most `maxMisses` of them,
+// least recently asked for first out, so requests for made-up filenames
+// can't grow memory without bound.
+// ---------------------------------------------------------------------------
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MISS_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_CACHE_BYTES = 50 * 1024 * 1024;
+const DEFAULT_MAX_MISSES = 1000;
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg'
+};
+
+function contentTypeFor(filename) {
+  return CONTENT_TYPES[filename.split('.').pop().toLowerCase()] || 'application/octet-stream';
+}
+
+function createAssetProvider({ backends, maxCacheBytes = DEFAULT_CACHE_BYTES, maxMisses = DEFAULT_MAX_MISSES }) {
+  const ordered = backends
+    .map(backend => ({
+      priority: 0,
+      timeoutMs: DEFAULT_TIMEOUT_MS,
+      missTtlMs: DEFAULT_MISS_TTL_MS,
+      ...backend,
+      // "kind/filename" -> time the miss expires, each miss counting as one
+      misses: createLruCache({ maxBytes: maxMisses, sizeOf: () => 1 }),
+      counts: { found: 0, missed: 0, skipped: 0, errors: 0 }
+    }))
+    .sort((a, b) => a.priority - b.priority);
+
+  // "kind/filename" -> { buffer, contentType, etag, lastModified, source }
+  const cache = createLruCache({ maxBytes: maxCacheBytes, sizeOf: asset => asset.buffer.length });
+  let hits = 0;
+  let misses = 0;
+
+  async function fetchFrom(backend, kind, filename) {
+    const key = `${kind}/${filename}`;
+    const expires = backend.misses.get(key);
+    if (expires !== undefined) {
+      if (expires > Date.now()) {
+        backend.counts.skipped++;
+        return null;
+      }
+      backend.misses.delete(key);
+    }
+
+    try {
+      const file = await backend.fetch(kind, filename, AbortSignal.timeout(backend.timeoutMs));
+      if (file) {
+        backend.counts.found++;
+      } else {
+        backend.counts.missed++;
+        backend.misses.set(key, Date.now() + backend.missTtlMs);
+      }
+      return file;
+    } catch (err) {
+      // Not remembered as a miss: the file may well be there next time
+      backend.counts.errors++;
+      const reason = err.name === 'TimeoutError' ? `timed out after ${backend.timeoutMs}ms` : err.message;
+      console.warn(`Asset backend ${backend.name} failed for ${key}: ${reason}`);
+      return null;
+    }
+  }
+
+  // First of `filenames` any backend has, or null
+  async function get(kind, filenames) {
+    for (const filename of filenames) {
+      const cached = cache.get(`${kind}/${filename}`);
+      if (cached) {
+        hits++;
+        return cached;
+      }
+    }
+    misses++;
+
+    for (const backend of ordered) {
+      for (const filename of filenames) {
+        const file = await fetchFrom(backend, kind, filename);
+        if (file) {
+          const asset = {
+            buffer: file.buffer,
+            contentType: contentTypeFor(filename),
+            etag: `"${crypto.createHash('sha1').update(file.buffer).digest('base64url')}"`,
+            lastModified: file.lastModified || new Date(),
+            source: backend.name
+          };
+          cache.set(`${kind}/${filename}`, asset);
+          return asset;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Whether get() would be answered from memory, without asking any backend
+  function isCached(kind, filenames) {
+    return filenames.some(filename => cache.get(`${kind}/${filename}`) !== undefined);
+  }
+
+  // Memory cache hit rate plus what each backend has been asked
+  function stats() {
+    const lookups = hits + misses;
+    return {
+      cache: {
+        ...cache.stats(),
+        hits,
+        misses,
+        hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : null
+      },
+      backends: ordered.map(b => ({
+        name: b.name,
+        priority: b.priority,
+        timeoutMs: b.timeoutMs,
+        missTtlMs: b.missTtlMs,
+        ...b.counts
+      }))
+    };
+  }
+
+  return {
+    get,
+    isCached,
+    stats,
+    backends: ordered.map(b => ({ name: b.name, priority: b.priority, timeoutMs: b.timeoutMs, missTtlMs: b.missTtlMs }))
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Send an asset from the provider with validators and byte ranges. Browsers
+// revalidate with If-None-Match / If-Modified-Since and get a 304, and audio
+// elements (mobile Safari in particular) fetch mp3s in Range requests.
+// ---------------------------------------------------------------------------
+
+// An If-Range header only lets the Range through if the client's copy is current
+function rangeStillValid(req, asset) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+  if (ifRange.includes('"')) return ifRange === asset.etag;
+  return Date.parse(ifRange) === Date.parse(asset.lastModified.toUTCString());
+}
+
+function sendAsset(req, res, asset, { cacheControl }) {
+  const size = asset.buffer.length;
+  res.set({
+    'Content-Type': asset.contentType,
+    'Cache-Control': cacheControl,
+    'ETag': asset.etag,
+    'Last-Modified': asset.lastModified.toUTCString(),
+    'Accept-Ranges': 'bytes'
+  });
+
+  if (req.fresh) return res.status(304).end();
+
+  // Malformed or multiple ranges fall through to the whole file
+  const ranges = req.headers.range && rangeStillValid(req, asset)
+    ? req.range(size, { combine: true })
+    : undefined;
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+    return res.send(asset.buffer.subarray(start, end + 1));
+  }
+
+  res.send(asset.buffer);
+}
+
+// ---------------------------------------------------------------------------
+// Backends from environment variables. Each backend is switched on by its
+// own settings and accepts <PREFIX>_PRIORITY, <PREFIX>_TIMEOUT_MS and
+// <PREFIX>_MISS_TTL_MS overrides:
+//   LOCAL_ASSETS   always on; LOCAL_ASSETS_DIR replaces public/images/answers
+//                  and public/sounds with <dir>/answers and <dir>/sounds
+//   GITHUB_ASSETS  GITHUB_ASSETS_REPO + GITHUB_ASSETS_TOKEN (+ _BRANCH)
+//   S3_ASSETS      S3_ASSETS_ENDPOINT + S3_ASSETS_BUCKET (+ _REGION, _PREFIX,
+//                  _ACCESS_KEY_ID, _SECRET_ACCESS_KEY)
+//   HTTP_ASSETS    HTTP_ASSETS_URL
+// SKIP_LOCAL_SOUNDS=1 leaves sounds out of the local backend, to check that a
+// remote backend serves them.
+// ---------------------------------------------------------------------------
+function numberSetting(env, name, fallback) {
+  const value = Number(env[name]);
+  return env[name] !== undefined && env[name] !== '' && Number.isFinite(value) ? value : fallback;
+}
+
+function commonSettings(env, prefix, defaults) {
+  return {
+    priority: numberSetting(env, `${prefix}_PRIORITY`, defaults.priority),
+    timeoutMs: numberSetting(env, `${prefix}_TIMEOUT_MS`, DEFAULT_TIMEOUT_MS),
+    missTtlMs: numberSetting(env, `${prefix}_MISS_TTL_MS`, defaults.missTtlMs)
+  };
+}
+
+// Local folders for answer images and sounds
+function localAssetDirs(env, { publicDir }) {
+  const localRoot = env.LOCAL_ASSETS_DIR;
+  return localRoot
+    ? { answers: path.join(localRoot, 'answers'), sounds: path.join(localRoot, 'sounds') }
+    : { answers: path.join(publicDir, 'images', 'answers'), sounds: path.join(publicDir, 'sounds') };
+}
+
+function backendsFromEnv(env, { publicDir }) {
+  const backends = [];
+
+  const dirs = localAssetDirs(env, { publicDir });
+  if (env.SKIP_LOCAL_SOUNDS) delete dirs.sounds;
+  backends.push(createLocalBackend({
+    dirs,
+    ...commonSettings(env, 'LOCAL_ASSETS', { priority: 10, missTtlMs: 60 * 1000 })
+  }));
+
+  if (env.GITHUB_ASSETS_REPO && env.GITHUB_ASSETS_TOKEN) {
+    backends.push(createGithubBackend({
+      repo: env.GITHUB_ASSETS_REPO,
+      token: env.GITHUB_ASSETS_TOKEN,
+      branch: env.GITHUB_ASSETS_BRANCH || 'main',
+      ...commonSettings(env, 'GITHUB_ASSETS', { priority: 20, missTtlMs: DEFAULT_MISS_TTL_MS })
+    }));
+  }
+
+  if (env.S3_ASSETS_ENDPOINT && env.S3_ASSETS_BUCKET) {
+    backends.push(createS3Backend({
+      endpoint: env.S3_ASSETS_ENDPOINT,
+      bucket: env.S3_ASSETS_BUCKET,
+      region: env.S3_ASSETS_REGION || 'us-east-1',
+      prefix: env.S3_ASSETS_PREFIX || '',
+      accessKeyId: env.S3_ASSETS_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_ASSETS_SECRET_ACCESS_KEY,
+      ...commonSettings(env, 'S3_ASSETS', { priority: 30, missTtlMs: DEFAULT_MISS_TTL_MS })
+    }));
+  }
+
+  if (env.HTTP_ASSETS_URL) {
+    backends.push(createHttpBackend({
+      baseUrl: env.HTTP_ASSETS_URL,
+      ...commonSettings(env, 'HTTP_ASSETS', { priority: 40, missTtlMs: DEFAULT_MISS_TTL_MS })
+    }));
+  }
+
+  return backends;
+}
+
+module.exports = { createAssetProvider, backendsFromEnv, localAssetDirs, sendAsset, contentTypeFor };
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const { createSealer } = require('./sealed-tokens');
+
+// ---------------------------------------------------------------------------
+// Player-made puzzles
+// A custom puzzle lives entirely in its share link: the answer, clue and
+// author are sealed with AES-256-GCM into a URL-safe token, so nothing is
+// stored on the server and the answer can't be read (or altered) from the
+// link. Links keep working for as long as the secret stays the same.
+// Practice games are sealed the same way under their own `context`, so a
+// token made for one never opens as the other.
+// ---------------------------------------------------------------------------
+const CUSTOM_ID_PREFIX = 'custom-';
+const MAX_TOKEN_LENGTH = 1024;
+
+function createCustomPuzzleCodec({ secret, context = 'custom-puzzles' }) {
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('CUSTOM_PUZZLE_SECRET not set — using a random secret, custom puzzle links will not survive a restart');
+  }
+  const sealer = createSealer({ secret, context, maxLength: MAX_TOKEN_LENGTH });
+
+  function seal({ answer, clue, author }) {
+    return sealer.seal([answer, clue, author || null]);
+  }
+
+  // { answer, clue, author }, or null for any token this secret didn't seal
+  function open(token) {
+    const sealed = sealer.open(token);
+    if (!Array.isArray(sealed)) return null;
+    const [answer, clue, author] = sealed;
+    return { answer, clue, author };
+  }
+
+  return { seal, open };
+}
+
+function isCustomPuzzleId(id) {
+  return typeof id === 'string' && id.startsWith(CUSTOM_ID_PREFIX);
+}
+
+module.exports = { createCustomPuzzleCodec, isCustomPuzzleId, CUSTOM_ID_PREFIX };
@@ -0,0 +1,80 @@
+// ---------------------------------------------------------------------------
+// Post-game analysis
+// Runs a finished game's clues against the word list: how many words could
+// still have been the answer before and after each guess, and which guess
+// would have narrowed the field the most. A guess is scored by the number
+// of words expected to remain after it, averaged over every word still in
+// the field. That's quadratic in the size of the field, so every word of a
+// field up to EXACT_FIELD is tried against every other, but a bigger one
+// (the first guess or two) is scored on an evenly spread sample of it and
+// its best guess is only an estimate.
+// ---------------------------------------------------------------------------
+const EXACT_FIELD = 400; // fields scored in full
+const MAX_POOL = 100;    // guesses tried at each step of a bigger field
+const MAX_SAMPLE = 300;  // possible answers each one is scored against
+
+// ['correct', 'absent', ...] -> "ca..."
+function patternKey(result) {
+  let key = '';
+  for (const r of result) key += r.status[0];
+  return key;
+}
+
+// Up to max words picked evenly from the list, in order
+function spread(words, max) {
+  if (words.length <= max) return words;
+  const step = words.length / max;
+  return Array.from({ length: max }, (_, i) => words[Math.floor(i * step)]);
+}
+
+// Words expected to remain after the guess: the sum of each clue group's
+// size squared over the field size, estimated from the sample when it's
+// smaller than the field
+function expectedRemaining(guess, sample, fieldSize, checkGuess) {
+  const groups = new Map();
+  for (const word of sample) {
+    const key = patternKey(checkGuess(guess, word));
+    groups.set(key, (groups.get(key) || 0) + 1);
+  }
+  let sumOfSquares = 0;
+  for (const n of groups.values()) sumOfSquares += n * n;
+  return (sumOfSquares / sample.length) * (fieldSize / sample.length);
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// For each guess ({ word, result }): { word, candidatesBefore,
+// candidatesAfter, expected, best: { word, expected }, estimated }. words are
+// all the possible answers of the puzzle's length; checkGuess is the game's
+// own. estimated is set when the field was too big to score in full.
+function analyzeGame({ guesses, words, checkGuess }) {
+  let field = words;
+  return guesses.map(({ word, result }) => {
+    const estimated = field.length > EXACT_FIELD;
+    const sample = estimated ? spread(field, MAX_SAMPLE) : field;
+    const pool = estimated ? spread(field, MAX_POOL) : field;
+    let best = null;
+    for (const candidate of pool) {
+      const expected = expectedRemaining(candidate, sample, field.length, checkGuess);
+      if (!best || expected < best.expected) best = { word: candidate, expected };
+    }
+    const expected = field.length > 0 ? expectedRemaining(word, sample, field.length, checkGuess) : 0;
+
+    const candidatesBefore = field.length;
+    const key = patternKey(result);
+    field = field.filter(candidate => patternKey(checkGuess(word, candidate)) === key);
+
+    return {
+      word,
+      candidatesBefore,
+      candidatesAfter: field.length,
+      expected: round1(expected),
+      best: best && { word: best.word, expected: round1(best.expected) },
+      estimated
+    };
+  });
+}
+
+module.exports = { analyzeGame };
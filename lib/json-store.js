@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+// ---------------------------------------------------------------------------
+// Small JSON-file persistence with debounced writes.
+// `data` is loaded once at startup and mutated in place by the caller, who
+// then calls save(). Writes go to a temp file first so a crash mid-write
+// never leaves a truncated store behind.
+// ---------------------------------------------------------------------------
+function createJsonStore(filePath, defaults = {}, { debounceMs = 1000 } = {}) {
+  let data = { ...defaults };
+  let timer = null;
+
+  if (fs.existsSync(filePath)) {
+    try {
+      data = { ...defaults, ...JSON.parse(fs.readFileSync(filePath, 'utf-8')) };
+    } catch (err) {
+      console.warn(`Could not read ${filePath}, starting empty: ${err.message}`);
+    }
+  }
+
+  function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(data));
+      fs.renameSync(tmpPath, filePath);
+    } catch (err) {
+      console.error(`Could not write ${filePath}: ${err.message}`);
+    }
+  }
+
+  function save() {
+    if (timer) return;
+    timer = setTimeout(flush, debounceMs);
+    timer.unref();
+  }
+
+  return {
+    get data() { return data; },
+    save,
+    flush
+  };
+}
+
+module.exports = { createJsonStore };
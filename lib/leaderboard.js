@@ -0,0 +1,144 @@
+const { createJsonStore } = require('./json-store');
+
+// ---------------------------------------------------------------------------
+// Community results. Every finished game is recorded against an anonymous
+// player id (derived from the session, never the session id itself). Players
+// who pick a display name also appear in the rankings; everyone counts
+// towards the per-puzzle statistics.
+// ---------------------------------------------------------------------------
+const MAX_GUESSES = 6;
+const RANKING_LIMIT = 50;
+const NAME_PATTERN = /^[\p{L}\p{N} _.'\-]{2,20}$/u;
+
+function createLeaderboard({ filePath }) {
+  const store = createJsonStore(filePath, { results: {}, names: {} });
+  // results: puzzleId -> playerId -> { status, guesses, completedAt, hardMode, solveMs? }
+  // names:   playerId -> display name
+
+  function recordResult(playerId, puzzleId, progress) {
+    if (!store.data.results[puzzleId]) store.data.results[puzzleId] = {};
+    const result = {
+      status: progress.status,
+      guesses: progress.guesses.length,
+      completedAt: progress.completedAt || Date.now(),
+      hardMode: progress.hardMode === true
+    };
+    // Only timed wins have a solve time, and only those played without a
+    // pause: the server can't tell a hidden tab from a player still thinking
+    if (progress.status === 'won' && Number.isFinite(progress.solveMs) && !progress.timerPausedMs) {
+      result.solveMs = progress.solveMs;
+    }
+    store.data.results[puzzleId][playerId] = result;
+    store.save();
+  }
+
+  // Returns an API error code, or null once the name is saved (empty clears it)
+  function setName(playerId, name) {
+    const trimmed = String(name || '').trim().replace(/\s+/g, ' ');
+    if (!trimmed) {
+      delete store.data.names[playerId];
+      store.save();
+      return null;
+    }
+    if (!NAME_PATTERN.test(trimmed)) {
+      return 'INVALID_NAME';
+    }
+    store.data.names[playerId] = trimmed;
+    store.save();
+    return null;
+  }
+
+  function getName(playerId) {
+    return store.data.names[playerId] || null;
+  }
+
+  // Global guess distribution for one puzzle
+  function getPuzzleStats(puzzleId) {
+    const results = Object.values(store.data.results[puzzleId] || {});
+    const distribution = new Array(MAX_GUESSES).fill(0);
+    let failed = 0;
+    results.forEach(r => {
+      if (r.status === 'won') distribution[r.guesses - 1]++;
+      else failed++;
+    });
+    return {
+      puzzleId,
+      players: results.length,
+      won: results.length - failed,
+      failed,
+      distribution
+    };
+  }
+
+  // Named players for one puzzle: winners by fewest guesses, then earliest finish
+  function getDailyRanking(puzzleId) {
+    const results = store.data.results[puzzleId] || {};
+    return Object.entries(results)
+      .filter(([playerId, r]) => store.data.names[playerId] && r.status === 'won')
+      .sort(([, a], [, b]) => a.guesses - b.guesses || a.completedAt - b.completedAt)
+      .slice(0, RANKING_LIMIT)
+      .map(([playerId, r], i) => ({
+        rank: i + 1,
+        name: store.data.names[playerId],
+        guesses: r.guesses,
+        hardMode: r.hardMode,
+        completedAt: r.completedAt
+      }));
+  }
+
+  // Named players who solved one puzzle in timed mode: quickest first
+  function getFastestRanking(puzzleId) {
+    const results = store.data.results[puzzleId] || {};
+    return Object.entries(results)
+      .filter(([playerId, r]) => store.data.names[playerId] && r.status === 'won' && r.solveMs !== undefined)
+      .sort(([, a], [, b]) => a.solveMs - b.solveMs || a.completedAt - b.completedAt)
+      .slice(0, RANKING_LIMIT)
+      .map(([playerId, r], i) => ({
+        rank: i + 1,
+        name: store.data.names[playerId],
+        solveMs: r.solveMs,
+        guesses: r.guesses,
+        hardMode: r.hardMode
+      }));
+  }
+
+  // Named players across every puzzle: most wins, then lowest average guesses
+  function getAllTimeRanking() {
+    const totals = {}; // playerId -> { wins, played, guessSum }
+    Object.values(store.data.results).forEach(results => {
+      Object.entries(results).forEach(([playerId, r]) => {
+        if (!store.data.names[playerId]) return;
+        const t = totals[playerId] || (totals[playerId] = { wins: 0, played: 0, guessSum: 0 });
+        t.played++;
+        if (r.status === 'won') {
+          t.wins++;
+          t.guessSum += r.guesses;
+        }
+      });
+    });
+
+    return Object.entries(totals)
+      .map(([playerId, t]) => ({
+        name: store.data.names[playerId],
+        wins: t.wins,
+        played: t.played,
+        averageGuesses: t.wins > 0 ? Math.round((t.guessSum / t.wins) * 100) / 100 : null
+      }))
+      .sort((a, b) => b.wins - a.wins || (a.averageGuesses || 99) - (b.averageGuesses || 99))
+      .slice(0, RANKING_LIMIT)
+      .map((entry, i) => ({ rank: i + 1, ...entry }));
+  }
+
+  return {
+    recordResult,
+    setName,
+    getName,
+    getPuzzleStats,
+    getDailyRanking,
+    getFastestRanking,
+    getAllTimeRanking,
+    flush: store.flush
+  };
+}
+
+module.exports = { createLeaderboard };
@@ -0,0 +1,50 @@
+// ---------------------------------------------------------------------------
+// Least-recently-used cache bounded by total size rather than entry count.
+// A Map keeps keys in insertion order, so re-inserting on every read keeps
+// the least recently used key first in line for eviction. Values larger than
+// the whole budget are simply not cached.
+// ---------------------------------------------------------------------------
+function createLruCache({ maxBytes, sizeOf }) {
+  const entries = new Map(); // key -> { value, size }
+  let bytes = 0;
+  let evictions = 0;
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    entries.delete(key);
+    bytes -= entry.size;
+    return true;
+  }
+
+  function set(key, value) {
+    remove(key);
+    const size = sizeOf(value);
+    if (size > maxBytes) return false;
+
+    for (const oldest of entries.keys()) {
+      if (bytes + size <= maxBytes) break;
+      remove(oldest);
+      evictions++;
+    }
+    entries.set(key, { value, size });
+    bytes += size;
+    return true;
+  }
+
+  function stats() {
+    return { entries: entries.size, bytes, maxBytes, evictions };
+  }
+
+  return { get, set, delete: remove, stats };
+}
+
+module.exports = { createLruCache };
@@ -0,0 +1,76 @@
+// ---------------------------------------------------------------------------
+// Puzzle schedule linter, behind `npm run lint-puzzles`. Checks the same raw
+// entries loadPuzzles() reads (env vars, then the catalog) and reports every
+// problem rather than skipping bad entries with a warning nobody sees.
+// Everything that touches the outside world is passed in, so the checks
+// can run against any puzzle source and asset store.
+// ---------------------------------------------------------------------------
+const { addDays } = require('./timezones');
+
+// Returns { problems: [{ label, message }], checked, daysLeft, lastDate }.
+// daysLeft counts consecutive scheduled days after `today`.
+function lintPuzzles(entries, { validatePuzzle, findScheduleGaps, isDictionaryWord, soundExists, imageExists, today }) {
+  const problems = [];
+  const report = (label, message) => problems.push({ label, message });
+
+  // Later entries win for a date, as in loadPuzzles(). A catalog entry
+  // replacing an env var is the migration path; two of the same kind isn't.
+  const byDate = {};
+  for (const { label, source, fields } of entries) {
+    const { puzzle, error } = validatePuzzle(fields);
+    if (error) {
+      report(label, error);
+      continue;
+    }
+    const earlier = byDate[puzzle.date];
+    if (earlier && earlier.source === source) {
+      report(label, `${puzzle.date} is also scheduled by ${earlier.label}, which this replaces`);
+    }
+    byDate[puzzle.date] = { label, source, puzzle };
+  }
+
+  const dates = Object.keys(byDate).sort();
+  const firstUse = {}; // answer -> { label, date }
+  for (const date of dates) {
+    const { label, puzzle } = byDate[date];
+
+    const used = firstUse[puzzle.answer];
+    if (used) {
+      report(label, `answer ${puzzle.answer} was already used on ${used.date} (${used.label})`);
+    } else {
+      firstUse[puzzle.answer] = { label, date };
+    }
+
+    if (!isDictionaryWord(puzzle.answer)) {
+      report(label, `answer ${puzzle.answer} is not in the dictionary or themed word list`);
+    }
+    for (const sound of [puzzle.altWinSound, puzzle.altLoseSound]) {
+      if (sound && !soundExists(sound)) {
+        report(label, `sound ${sound} not found`);
+      }
+    }
+    if (!imageExists(puzzle)) {
+      report(label, puzzle.image
+        ? `answer image ${puzzle.image} not found`
+        : `no answer image (${puzzle.id}.png/.jpg/.gif/.webp)`);
+    }
+  }
+
+  findScheduleGaps(dates).forEach(day => report('schedule', `no puzzle on ${day}`));
+
+  const scheduled = new Set(dates);
+  let daysLeft = 0;
+  while (scheduled.has(addDays(today, daysLeft + 1))) daysLeft++;
+  if (daysLeft === 0) {
+    report('schedule', `nothing is scheduled after today (${today})`);
+  }
+
+  return {
+    problems,
+    checked: entries.length,
+    daysLeft,
+    lastDate: daysLeft > 0 ? addDays(today, daysLeft) : null
+  };
+}
+
+module.exports = { lintPuzzles };
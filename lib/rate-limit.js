@@ -0,0 +1,71 @@
+// ---------------------------------------------------------------------------
+// Fixed-window rate limiting. Each limiter counts requests per key (client IP,
+// player id, ...) and refuses them with a 429 and Retry-After once `max` is
+// reached within `windowMs`. Counters live in memory, which is fine for the
+// single instance this runs as; expired windows are swept as requests come in.
+// ---------------------------------------------------------------------------
+const { errorBody } = require('./api-errors');
+
+// One JSON line per refused request, easy to filter in the host's log viewer
+function logBlocked(entry) {
+  console.warn(JSON.stringify({ time: new Date().toISOString(), level: 'warn', event: 'rate_limited', ...entry }));
+}
+
+function createRateLimiter({ name, max, windowMs, keyFor = req => req.ip, log = logBlocked }) {
+  const windows = new Map(); // key -> { count, resetAt }
+  let nextSweep = 0;
+
+  function sweep(now) {
+    if (now < nextSweep) return;
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+    nextSweep = now + windowMs;
+  }
+
+  // Counts one request; returns 0 when allowed, otherwise seconds until the window resets
+  function hit(key) {
+    const now = Date.now();
+    sweep(now);
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+    return window.count > max ? Math.ceil((window.resetAt - now) / 1000) : 0;
+  }
+
+  // true if the request may go ahead; otherwise the 429 has been sent
+  function check(req, res) {
+    if (!max) return true; // 0 switches the limiter off
+    const key = keyFor(req);
+    if (key == null) return true;
+
+    const retryAfter = hit(key);
+    if (!retryAfter) return true;
+
+    log({ limiter: name, key, ip: req.ip, method: req.method, path: req.originalUrl, max, windowMs, retryAfter });
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ ...errorBody('RATE_LIMITED', { seconds: retryAfter }), retryAfter });
+    return false;
+  }
+
+  function middleware(req, res, next) {
+    if (check(req, res)) next();
+  }
+
+  return { check, middleware };
+}
+
+// "<max>/<seconds>" from the environment, e.g. RATE_LIMIT_GUESS_IP=30/60
+function parseLimit(value, fallback) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || '');
+  if (!match) {
+    if (value) console.warn(`Ignoring rate limit "${value}": expected <max>/<seconds>`);
+    return fallback;
+  }
+  return { max: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+}
+
+module.exports = { createRateLimiter, parseLimit };
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { createSealer } = require('./sealed-tokens');
+
+// ---------------------------------------------------------------------------
+// Replay links
+// A replay carries a finished game in its link: the puzzle id, the words
+// guessed in order, hard mode and the clock at each guess of a timed game,
+// sealed like a custom puzzle so the link doesn't give the answer away.
+// Tile colours aren't stored; the server works them out again on opening.
+// ---------------------------------------------------------------------------
+const MAX_TOKEN_LENGTH = 4096;
+
+function createReplayCodec({ secret }) {
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('CUSTOM_PUZZLE_SECRET not set — using a random secret, replay links will not survive a restart');
+  }
+  const sealer = createSealer({ secret, context: 'replays', maxLength: MAX_TOKEN_LENGTH });
+
+  function seal({ puzzleId, words, hardMode, elapsedMs }) {
+    return sealer.seal([puzzleId, words, hardMode ? 1 : 0, elapsedMs || null]);
+  }
+
+  // { puzzleId, words, hardMode, elapsedMs }, or null for any token this
+  // secret didn't seal
+  function open(token) {
+    const sealed = sealer.open(token);
+    if (!Array.isArray(sealed)) return null;
+    const [puzzleId, words, hardMode, elapsedMs] = sealed;
+    if (typeof puzzleId !== 'string' || !Array.isArray(words)) return null;
+    return { puzzleId, words, hardMode: hardMode === 1, elapsedMs: Array.isArray(elapsedMs) ? elapsedMs : null };
+  }
+
+  return { seal, open };
+}
+
+module.exports = { createReplayCodec };
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+
+// ---------------------------------------------------------------------------
+// URL-safe tokens that carry a JSON value sealed with AES-256-GCM, so links
+// can hold game data that players can neither read nor alter. Each use gets
+// its own key derived from the secret and a context name, so a token sealed
+// for one purpose never opens as another.
+// ---------------------------------------------------------------------------
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+function createSealer({ secret, context, maxLength = 1024 }) {
+  // Derived, so sharing SESSION_SECRET doesn't reuse the cookie-signing key
+  const key = crypto.createHash('sha256').update(`${context}:${secret}`).digest();
+
+  function seal(value) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const body = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), body]).toString('base64url');
+  }
+
+  // The sealed value, or undefined for any token this key didn't seal
+  function open(token) {
+    if (typeof token !== 'string' || token.length > maxLength || !/^[\w-]+$/.test(token)) {
+      return undefined;
+    }
+    const raw = Buffer.from(token, 'base64url');
+    if (raw.length <= IV_BYTES + TAG_BYTES) return undefined;
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, IV_BYTES));
+      decipher.setAuthTag(raw.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+      const text = Buffer.concat([
+        decipher.update(raw.subarray(IV_BYTES + TAG_BYTES)),
+        decipher.final()
+      ]).toString('utf8');
+      return JSON.parse(text);
+    } catch {
+      return undefined;
+    }
+  }
+
+  return { seal, open };
+}
+
+module.exports = { createSealer };
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+
+// ---------------------------------------------------------------------------
+// Player sessions
+// Each browser gets a random session id in a signed cookie. The session
+// records the guesses made for every puzzle, so the server (not the
+// client's localStorage) decides how many guesses are left and whether the
+// answer may be revealed.
+// ---------------------------------------------------------------------------
+const COOKIE_NAME = 'svwb_sid';
+const MAX_AGE_DAYS = 400;
+
+function createSessionStore({ secret, filePath }) {
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('SESSION_SECRET not set — using a random secret, sessions will not survive a restart');
+  }
+
+  const store = createJsonStore(filePath, { sessions: {} });
+  pruneExpired();
+
+  function sign(id) {
+    return crypto.createHmac('sha256', secret).update(id).digest('base64url');
+  }
+
+  function readCookie(req) {
+    const header = req.headers.cookie;
+    if (!header) return null;
+    for (const part of header.split(';')) {
+      const eq = part.indexOf('=');
+      if (eq === -1) continue;
+      if (part.slice(0, eq).trim() === COOKIE_NAME) {
+        return decodeURIComponent(part.slice(eq + 1).trim());
+      }
+    }
+    return null;
+  }
+
+  // Returns the session id if the cookie is present and correctly signed
+  function verifiedId(req) {
+    const value = readCookie(req);
+    if (!value) return null;
+    const dot = value.lastIndexOf('.');
+    if (dot === -1) return null;
+    const id = value.slice(0, dot);
+    const expected = Buffer.from(sign(id));
+    const actual = Buffer.from(value.slice(dot + 1));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    return id;
+  }
+
+  function pruneExpired() {
+    const cutoff = Date.now() - MAX_AGE_DAYS * 86400000;
+    const all = store.data.sessions;
+    let removed = 0;
+    for (const id of Object.keys(all)) {
+      if (all[id].updatedAt < cutoff) {
+        delete all[id];
+        removed++;
+      }
+    }
+    if (removed > 0) store.save();
+  }
+
+  // Existing session for this request, or null
+  function get(req) {
+    if (req.svwbSession !== undefined) return req.svwbSession;
+    const id = verifiedId(req);
+    req.svwbSession = (id && store.data.sessions[id]) || null;
+    return req.svwbSession;
+  }
+
+  // Existing session for this request, creating one (and its cookie) if needed
+  function ensure(req, res) {
+    const existing = get(req);
+    if (existing) return existing;
+
+    const id = crypto.randomBytes(18).toString('base64url');
+    const now = Date.now();
+    const session = { id, createdAt: now, updatedAt: now, puzzles: {} };
+    store.data.sessions[id] = session;
+    store.save();
+
+    res.cookie(COOKIE_NAME, `${id}.${sign(id)}`, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      maxAge: MAX_AGE_DAYS * 86400000
+    });
+    req.svwbSession = session;
+    return session;
+  }
+
+  // Progress for one puzzle. Read-only callers get an empty record without
+  // it being stored.
+  function getPuzzleProgress(session, puzzleId, { create = false } = {}) {
+    if (session && session.puzzles[puzzleId]) return session.puzzles[puzzleId];
+    const progress = { guesses: [], status: 'in-progress' };
+    if (create && session) session.puzzles[puzzleId] = progress;
+    return progress;
+  }
+
+  // Drops the progress of every puzzle whose id passes `test`
+  function forgetPuzzles(session, test) {
+    for (const puzzleId of Object.keys(session.puzzles)) {
+      if (test(puzzleId)) delete session.puzzles[puzzleId];
+    }
+  }
+
+  // Stable public id for a session, safe to store alongside community
+  // results. The session id itself is what the cookie carries, so it stays private.
+  function getPlayerId(session) {
+    return crypto.createHash('sha256').update(`player:${session.id}`).digest('base64url').slice(0, 16);
+  }
+
+  function touch(session) {
+    session.updatedAt = Date.now();
+    store.save();
+  }
+
+  return {
+    get,
+    ensure,
+    getPuzzleProgress,
+    forgetPuzzles,
+    getPlayerId,
+    touch,
+    flush: store.flush
+  };
+}
+
+function isFinished(progress) {
+  return progress.status === 'won' || progress.status === 'lost';
+}
+
+module.exports = { createSessionStore, isFinished };
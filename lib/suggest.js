@@ -0,0 +1,32 @@
+// ---------------------------------------------------------------------------
+// "Did you mean" suggestions for guesses that aren't in the word list: the
+// nearest candidates by Levenshtein distance (insertions, deletions and
+// substitutions), closest first, then alphabetically.
+// ---------------------------------------------------------------------------
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function closestWords(word, candidates, { limit = 3, maxDistance = 2 } = {}) {
+  const scored = [];
+  for (const candidate of candidates) {
+    if (candidate === word || Math.abs(candidate.length - word.length) > maxDistance) continue;
+    const distance = editDistance(word, candidate);
+    if (distance <= maxDistance) scored.push({ candidate, distance });
+  }
+  return scored
+    .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+    .slice(0, limit)
+    .map(s => s.candidate);
+}
+
+module.exports = { editDistance, closestWords };
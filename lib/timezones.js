@@ -0,0 +1,82 @@
+// ---------------------------------------------------------------------------
+// Calendar dates and midnights in IANA time zones. Offsets are read from
+// Intl's formatted parts for the exact instant, so daylight-saving changes
+// (including zones that change at midnight or by half an hour) come out right
+// without round-tripping through toLocaleString and the host's own zone.
+// ---------------------------------------------------------------------------
+const DAY_MS = 86400000;
+const MAX_ZONE_LENGTH = 64;
+
+function addDays(dateStr, days) {
+  return new Date(Date.parse(`${dateStr}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// One formatter per canonical zone name; the set of zones is finite, so this
+// can't grow without bound however names are spelled in requests
+const formatters = new Map();
+
+function formatterFor(zone) {
+  let formatter = formatters.get(zone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    formatters.set(zone, formatter);
+  }
+  return formatter;
+}
+
+// Canonical name for a zone the runtime knows (e.g. "europe/london" ->
+// "Europe/London"), or null
+function normalizeTimeZone(zone) {
+  if (typeof zone !== 'string' || !zone || zone.length > MAX_ZONE_LENGTH) return null;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: zone }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+function wallClock(zone, instant) {
+  const parts = {};
+  for (const { type, value } of formatterFor(zone).formatToParts(new Date(instant))) {
+    parts[type] = Number(value);
+  }
+  return parts;
+}
+
+// Milliseconds to add to a UTC instant to get the zone's wall-clock time
+function zoneOffsetMs(zone, instant) {
+  const seconds = Math.floor(instant / 1000) * 1000;
+  const { year, month, day, hour, minute, second } = wallClock(zone, seconds);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - seconds;
+}
+
+// YYYY-MM-DD in the zone at the given instant
+function dateInZone(zone, instant = Date.now()) {
+  const { year, month, day } = wallClock(zone, instant);
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// First instant of a YYYY-MM-DD date in the zone. Usually local midnight;
+// where the clocks jump forward at midnight the day starts at 01:00 instead.
+function startOfDay(zone, dateStr) {
+  const wall = Date.parse(`${dateStr}T00:00:00Z`);
+  // The offset may change either side of midnight, so try the one from the
+  // day before and the day after and keep the earliest instant on this date
+  const before = wall - zoneOffsetMs(zone, wall - DAY_MS);
+  const after = wall - zoneOffsetMs(zone, wall + DAY_MS);
+  const onDate = [before, after].filter(instant => dateInZone(zone, instant) === dateStr);
+  // Neither only for a date the zone skipped entirely (Samoa, 30 Dec 2011)
+  return onDate.length > 0 ? Math.min(...onDate) : startOfDay(zone, addDays(dateStr, 1));
+}
+
+// Start of the zone's next calendar day after the instant, as a Date
+function nextMidnight(zone, instant = Date.now()) {
+  return new Date(startOfDay(zone, addDays(dateInZone(zone, instant), 1)));
+}
+
+module.exports = { normalizeTimeZone, zoneOffsetMs, dateInZone, startOfDay, nextMidnight, addDays };
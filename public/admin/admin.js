@@ -0,0 +1,238 @@
+/* =====================================================
+   Slave, Vader, Wampa, Bingo – Puzzle Admin
+   ===================================================== */
+
+(function () {
+  'use strict';
+
+  // ---- State ----
+  let puzzles = [];          // From /api/admin/puzzles (includes answers)
+  let editingDate = null;    // Date of the puzzle being edited, null when creating
+
+  // ---- DOM refs ----
+  const summaryEl = document.getElementById('admin-summary');
+  const toastContainer = document.getElementById('toast-container');
+  const gapsSection = document.getElementById('gaps-section');
+  const gapsList = document.getElementById('gaps-list');
+  const editorTitle = document.getElementById('editor-title');
+  const form = document.getElementById('puzzle-form');
+  const saveBtn = document.getElementById('save-btn');
+  const cancelBtn = document.getElementById('cancel-btn');
+  const previewTiles = document.getElementById('preview-tiles');
+  const previewClue = document.getElementById('preview-clue');
+  const previewSounds = document.getElementById('preview-sounds');
+  const previewImage = document.getElementById('preview-image');
+  const scheduleBody = document.getElementById('schedule-body');
+
+  // ---- Toast ----
+  function showToast(msg, duration = 2500) {
+    const el = document.createElement('div');
+    el.className = 'toast';
+    el.textContent = msg;
+    toastContainer.appendChild(el);
+    setTimeout(() => el.remove(), duration);
+  }
+
+  function escapeHTML(str) {
+    const div = document.createElement('div');
+    div.textContent = str == null ? '' : String(str);
+    return div.innerHTML;
+  }
+
+  // ---- API ----
+  async function api(method, url, body) {
+    const res = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+    return data;
+  }
+
+  async function refresh() {
+    try {
+      const data = await api('GET', '/api/admin/puzzles');
+      puzzles = data.puzzles;
+      renderSummary(data);
+      renderGaps(data.gaps);
+      renderSchedule();
+    } catch (err) {
+      showToast(err.message);
+    }
+  }
+
+  // ---- Rendering ----
+  function renderSummary(data) {
+    const upcoming = puzzles.filter(p => !p.released);
+    const last = puzzles.length ? puzzles[puzzles.length - 1].date : null;
+    summaryEl.innerHTML = `
+      <span><strong>${puzzles.length}</strong> puzzles</span>
+      <span><strong>${upcoming.length}</strong> upcoming</span>
+      <span><strong>${data.gaps.length}</strong> gaps</span>
+      <span>Today: <strong>${data.today}</strong></span>
+      ${last ? `<span>Scheduled through <strong>${last}</strong></span>` : ''}
+    `;
+  }
+
+  function renderGaps(gaps) {
+    gapsList.innerHTML = '';
+    gapsSection.classList.toggle('hidden', gaps.length === 0);
+    gaps.forEach(date => {
+      const btn = document.createElement('button');
+      btn.className = 'gap-chip';
+      btn.textContent = date;
+      btn.title = 'Schedule a puzzle for this day';
+      btn.addEventListener('click', () => startCreate(date));
+      gapsList.appendChild(btn);
+    });
+  }
+
+  function renderSchedule() {
+    scheduleBody.innerHTML = '';
+    puzzles.slice().reverse().forEach(p => {
+      const tr = document.createElement('tr');
+      tr.className = p.released ? 'released' : 'upcoming';
+      if (p.date === editingDate) tr.classList.add('editing');
+      tr.innerHTML = `
+        <td>${p.puzzleNumber}</td>
+        <td>${p.date}${p.released ? '' : ' <span class="badge">upcoming</span>'}</td>
+        <td class="answer-cell">${escapeHTML(p.answer)}</td>
+        <td>${escapeHTML(p.clue)}</td>
+        <td>${escapeHTML(p.author || '')}</td>
+        <td>${p.source === 'env' ? 'env var' : 'catalog'}</td>
+        <td class="row-actions">
+          <button class="btn btn-secondary" data-action="edit">Edit</button>
+          <button class="btn btn-danger" data-action="delete" ${p.source === 'env' ? 'disabled title="Defined in the environment"' : ''}>Delete</button>
+        </td>
+      `;
+      tr.querySelector('[data-action="edit"]').addEventListener('click', () => startEdit(p));
+      tr.querySelector('[data-action="delete"]').addEventListener('click', () => deletePuzzle(p));
+      scheduleBody.appendChild(tr);
+    });
+  }
+
+  // ---- Preview ----
+  function renderPreview() {
+    const fields = readForm();
+    const answer = (fields.answer || '').toUpperCase();
+
+    previewTiles.innerHTML = '';
+    const tileCount = Math.min(Math.max(answer.length, 5), 7);
+    for (let i = 0; i < tileCount; i++) {
+      const tile = document.createElement('div');
+      tile.className = 'tile' + (answer[i] ? ' correct' : '');
+      tile.textContent = answer[i] || '';
+      previewTiles.appendChild(tile);
+    }
+
+    previewClue.innerHTML = fields.clue
+      ? `<span class="clue-label">Clue</span>${escapeHTML(fields.clue)}`
+      : '';
+
+    previewSounds.innerHTML = '';
+    [['Win', fields.altWinSound], ['Lose', fields.altLoseSound]].forEach(([label, file]) => {
+      if (!file) return;
+      const row = document.createElement('div');
+      row.className = 'preview-sound';
+      row.innerHTML = `<span>${label}: ${escapeHTML(file)}</span>`;
+      const audio = document.createElement('audio');
+      audio.controls = true;
+      audio.preload = 'none';
+      audio.src = `/api/sounds/${encodeURIComponent(file)}`;
+      row.appendChild(audio);
+      previewSounds.appendChild(row);
+    });
+
+    // Images can only be previewed for saved puzzles (the server resolves the file)
+    previewImage.classList.add('hidden');
+    if (editingDate) {
+      previewImage.onload = () => previewImage.classList.remove('hidden');
+      previewImage.onerror = () => previewImage.classList.add('hidden');
+      previewImage.src = `/api/admin/puzzles/${editingDate}/image?t=${Date.now()}`;
+    }
+  }
+
+  // ---- Form ----
+  function readForm() {
+    const fields = {};
+    new FormData(form).forEach((value, key) => {
+      fields[key] = value.trim() || null;
+    });
+    return fields;
+  }
+
+  function fillForm(fields) {
+    ['date', 'answer', 'clue', 'altWinSound', 'altLoseSound', 'image', 'author'].forEach(name => {
+      form.elements[name].value = fields[name] || '';
+    });
+    form.elements.extraWords.value = (fields.extraWords || []).join(', ');
+    // Blank for the default ladder, "none" for a puzzle without hints
+    const hints = fields.hints && fields.hints.map(h => `${h.type}:${h.after}`).join(', ');
+    form.elements.hints.value = hints === undefined || hints === null ? '' : hints || 'none';
+  }
+
+  function startCreate(date) {
+    editingDate = null;
+    fillForm({ date });
+    editorTitle.textContent = 'New Puzzle';
+    saveBtn.textContent = 'Schedule';
+    cancelBtn.classList.add('hidden');
+    renderPreview();
+    renderSchedule();
+    form.scrollIntoView({ behavior: 'smooth' });
+    form.elements.answer.focus();
+  }
+
+  function startEdit(puzzle) {
+    editingDate = puzzle.date;
+    fillForm(puzzle);
+    editorTitle.textContent = `Edit Puzzle #${puzzle.puzzleNumber}`;
+    saveBtn.textContent = 'Save Changes';
+    cancelBtn.classList.remove('hidden');
+    renderPreview();
+    renderSchedule();
+    form.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  form.addEventListener('input', renderPreview);
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const fields = readForm();
+    try {
+      if (editingDate) {
+        await api('PUT', `/api/admin/puzzles/${editingDate}`, fields);
+        showToast(fields.date !== editingDate ? `Moved to ${fields.date}` : 'Saved');
+      } else {
+        await api('POST', '/api/admin/puzzles', fields);
+        showToast(`Scheduled for ${fields.date}`);
+      }
+      await refresh();
+      startCreate('');
+    } catch (err) {
+      showToast(err.message);
+    }
+  });
+
+  cancelBtn.addEventListener('click', () => startCreate(''));
+
+  async function deletePuzzle(puzzle) {
+    if (!confirm(`Delete puzzle #${puzzle.puzzleNumber} (${puzzle.date}, ${puzzle.answer})?`)) return;
+    try {
+      await api('DELETE', `/api/admin/puzzles/${puzzle.date}`);
+      showToast(`Deleted ${puzzle.date}`);
+      if (editingDate === puzzle.date) startCreate('');
+      await refresh();
+    } catch (err) {
+      showToast(err.message);
+    }
+  }
+
+  // ---- Start ----
+  document.addEventListener('DOMContentLoaded', () => {
+    startCreate('');
+    refresh();
+  });
+})();
@@ -6,17 +6,133 @@
   'use strict';
 
   // ---- Constants ----
-  const WORD_LENGTH = 5;
+  const DEFAULT_WORD_LENGTH = 5;
   const MAX_GUESSES = 6;
   const STORAGE_KEY = 'svwb_game_state';
   const VALID_CHARS = /^[A-Z0-9\-]$/;
+  const CUSTOM_ID_PREFIX = 'custom-'; // Player-made puzzles, played from /c/<token> links
+  const PRACTICE_ID_PREFIX = 'practice-';
+  const PRACTICE_KEY = 'svwb_practice_state';
+  // Used by the server when the puzzle day rolls over at each player's local midnight
+  const TIME_ZONE_HEADERS = { 'X-Time-Zone': Intl.DateTimeFormat().resolvedOptions().timeZone || '' };
+
+  const KB_NUMBER_ROW = ['1','2','3','4','5','6','7','8','9','0','-'];
+  const KB_LAYOUTS = {
+    qwerty: [
+      KB_NUMBER_ROW,
+      ['Q','W','E','R','T','Y','U','I','O','P'],
+      ['A','S','D','F','G','H','J','K','L'],
+      ['DEL','Z','X','C','V','B','N','M','SUBMIT']
+    ],
+    qwertz: [
+      KB_NUMBER_ROW,
+      ['Q','W','E','R','T','Z','U','I','O','P'],
+      ['A','S','D','F','G','H','J','K','L'],
+      ['DEL','Y','X','C','V','B','N','M','SUBMIT']
+    ],
+    azerty: [
+      KB_NUMBER_ROW,
+      ['A','Z','E','R','T','Y','U','I','O','P'],
+      ['Q','S','D','F','G','H','J','K','L','M'],
+      ['DEL','W','X','C','V','B','N','SUBMIT']
+    ]
+  };
+
+  // ---- Localization ----
+  // UI strings live in /locales/<locale>.json. English is always loaded too,
+  // as the fallback for anything a translation is missing. The player's pick
+  // (svwb_locale) beats the browser's language list; each locale suggests a
+  // keyboard layout unless one has been picked (svwb_keyboard).
+  const LOCALES = { en: 'English', de: 'Deutsch', fr: 'Français' };
+  const LOCALE_KEYBOARDS = { en: 'qwerty', de: 'qwertz', fr: 'azerty' };
+  const LOCALE_VERSION = 10; // Bump with the locale files (and sw.js SHELL_URLS)
+  let locale = 'en';
+  let strings = {};
+
+  // First of the browser's languages we have strings for
+  function browserLocale() {
+    const preferred = navigator.languages && navigator.languages.length
+      ? navigator.languages
+      : [navigator.language || 'en'];
+    for (const tag of preferred) {
+      const base = String(tag).toLowerCase().split('-')[0];
+      if (LOCALES[base]) return base;
+    }
+    return 'en';
+  }
+
+  function negotiateLocale() {
+    const saved = localStorage.getItem('svwb_locale');
+    return LOCALES[saved] ? saved : browserLocale();
+  }
+
+  async function fetchLocale(code) {
+    try {
+      const res = await fetch(`/locales/${code}.json?v=${LOCALE_VERSION}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return await res.json();
+    } catch (err) {
+      console.warn(`Could not load locale ${code}:`, err);
+      return {};
+    }
+  }
+
+  async function loadLocale() {
+    locale = negotiateLocale();
+    const [en, own] = await Promise.all([
+      fetchLocale('en'),
+      locale === 'en' ? {} : fetchLocale(locale)
+    ]);
+    strings = { ...en, ...own };
+    document.documentElement.lang = locale;
+  }
+
+  function getKeyboardLayout() {
+    const saved = localStorage.getItem('svwb_keyboard');
+    return KB_LAYOUTS[saved] ? saved : LOCALE_KEYBOARDS[locale];
+  }
+
+  // "2nd" / "2." / "2e", from the locale's ordinal forms
+  function formatOrdinal(n) {
+    const forms = strings.ordinal || {};
+    const form = forms[new Intl.PluralRules(locale, { type: 'ordinal' }).select(n)] || forms.other || '{n}';
+    return form.replace('{n}', n);
+  }
+
+  // t('sync.imported', { count: 2 }) – {name} placeholders are filled from
+  // params ({name:ordinal} as an ordinal); entries with one/other forms are
+  // picked by params.count. Unknown keys come back as the key itself.
+  function t(key, params = {}) {
+    let entry = strings[key];
+    if (entry && typeof entry === 'object') {
+      entry = entry[new Intl.PluralRules(locale).select(params.count)] || entry.other;
+    }
+    if (typeof entry !== 'string') return key;
+    return entry.replace(/\{(\w+)(:ordinal)?\}/g, (match, name, ordinal) => {
+      if (!(name in params)) return match;
+      return ordinal ? formatOrdinal(params[name]) : String(params[name]);
+    });
+  }
+
+  // Server errors come with a code to translate; fall back to the server's
+  // English text, then to a generic message
+  function apiErrorMessage(data, fallbackKey = 'toast.error') {
+    if (data && data.code && strings[`error.${data.code}`]) return t(`error.${data.code}`, data.params);
+    return (data && data.error) || t(fallbackKey);
+  }
 
-  const KB_ROWS = [
-    ['1','2','3','4','5','6','7','8','9','0','-'],
-    ['Q','W','E','R','T','Y','U','I','O','P'],
-    ['A','S','D','F','G','H','J','K','L'],
-    ['DEL','Z','X','C','V','B','N','M','SUBMIT']
-  ];
+  // Static text in index.html: data-i18n sets the text content,
+  // data-i18n-<attribute> sets that attribute
+  function translatePage() {
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    ['title', 'placeholder', 'aria-label'].forEach(attr => {
+      document.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+        el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+      });
+    });
+  }
 
   // ---- Sound System ----
   // Preloads sounds progressively to eliminate network delay
@@ -168,13 +284,17 @@
   };
 
   // ---- State ----
-  let currentPuzzle = null;   // { puzzleNumber, puzzleId, clue, date }
+  let currentPuzzle = null;   // { puzzleNumber, puzzleId, custom, practice, hints, date, wordLength }
+  let wordLength = DEFAULT_WORD_LENGTH; // Letters in the current puzzle's answer (4-7)
   let gameState = {};          // All puzzle states from localStorage
+  let practiceState = null;    // { puzzleId, game, stats } for practice mode
   let currentGuess = '';       // Letters typed so far for current row
   let currentRow = 0;          // Which row we're on (0-5)
   let gameOver = false;        // Is the current puzzle finished?
+  let sessionOwnsResult = false; // Did this server session finish it (not an import)?
   let isRevealing = false;     // Animation lock
   let nextPuzzleTime = null;   // UTC ISO string of next puzzle
+  let puzzleTimeZone = 'America/New_York'; // Zone our puzzle day follows (from the server)
   let countdownInterval = null;
   let allPuzzlesList = [];     // From /api/puzzles/list
   let todayPuzzleId = null;    // The puzzle ID for today (set during init)
@@ -183,28 +303,35 @@
 	// ---- DOM refs ----
   const boardEl = document.getElementById('board');
   const toastContainer = document.getElementById('toast-container');
+  const puzzleLabelEl = document.getElementById('puzzle-label-text');
   const puzzleNumberEl = document.getElementById('puzzle-number');
+  const puzzleAuthorEl = document.getElementById('puzzle-author');
   const resultArea = document.getElementById('result-area');
   const resultMessage = document.getElementById('result-message');
+  const globalStatsEl = document.getElementById('global-stats');
   const revealBtn = document.getElementById('reveal-btn');
   const revealedAnswer = document.getElementById('revealed-answer');
   const playPrevBtn = document.getElementById('play-previous-btn');
+  const newWordBtn = document.getElementById('new-word-btn');
+  const shareBtn = document.getElementById('share-btn');
+  const shareImageBtn = document.getElementById('share-image-btn');
   const countdownEl = document.getElementById('countdown');
   const puzzlesCalendarEl = document.getElementById('puzzles-calendar');
   const statsSection = document.getElementById('stats-section');
   const statsSummary = document.getElementById('stats-summary');
+  const statsStreaks = document.getElementById('stats-streaks');
   const statsDistribution = document.getElementById('stats-distribution');
-  const clueBtn = document.getElementById('clue-btn');
-  const clueText = document.getElementById('clue-text');
+  const hintBtn = document.getElementById('hint-btn');
+  const hintList = document.getElementById('hint-list');
   const answerImageContainer = document.getElementById('answer-image-container');
   const answerImage = document.getElementById('answer-image');
-  let clueRevealed = false;
   const muteBtn = document.getElementById('mute-btn');
   let isMuted = localStorage.getItem('svwb_muted') === 'true';
 
   // Initialize mute state
   function updateMuteButton() {
     muteBtn.textContent = isMuted ? '🔇' : '🔊';
+    muteBtn.setAttribute('aria-pressed', isMuted);
     if (isMuted) {
       muteBtn.classList.add('muted');
     } else {
@@ -219,6 +346,111 @@
     updateMuteButton();
   });
 
+  // Hard mode: revealed hints must be used in later guesses (enforced server-side)
+  const hardModeBtn = document.getElementById('hard-mode-btn');
+  let isHardMode = localStorage.getItem('svwb_hard_mode') === 'true';
+
+  function updateHardModeButton() {
+    hardModeBtn.classList.toggle('active', isHardMode);
+    hardModeBtn.setAttribute('aria-pressed', isHardMode);
+  }
+  updateHardModeButton();
+
+  hardModeBtn.addEventListener('click', () => {
+    // The server fixes hard mode at the first guess, so don't pretend it can change mid-game
+    const pState = currentPuzzle ? getPuzzleState(currentPuzzle.puzzleId) : null;
+    if (pState && pState.status === 'in-progress' && pState.guesses.length > 0) {
+      showToast(t('toast.hardModeLocked'));
+      return;
+    }
+    isHardMode = !isHardMode;
+    localStorage.setItem('svwb_hard_mode', isHardMode);
+    updateHardModeButton();
+    showToast(t(isHardMode ? 'toast.hardModeOn' : 'toast.hardModeOff'));
+  });
+
+  // Timed mode: a game's clock starts at its first keypress (see Game Timer)
+  const timedModeBtn = document.getElementById('timed-mode-btn');
+  let isTimedMode = localStorage.getItem('svwb_timed_mode') === 'true';
+
+  function updateTimedModeButton() {
+    timedModeBtn.classList.toggle('active', isTimedMode);
+    timedModeBtn.setAttribute('aria-pressed', isTimedMode);
+  }
+  updateTimedModeButton();
+
+  timedModeBtn.addEventListener('click', () => {
+    const pState = currentPuzzle ? getPuzzleState(currentPuzzle.puzzleId) : null;
+    if (pState && pState.timer && pState.status === 'in-progress') {
+      showToast(t('toast.timedLocked'));
+      return;
+    }
+    isTimedMode = !isTimedMode;
+    localStorage.setItem('svwb_timed_mode', isTimedMode);
+    updateTimedModeButton();
+    showToast(t(isTimedMode ? 'toast.timedOn' : 'toast.timedOff'));
+  });
+
+  // High contrast: orange/blue instead of green/yellow, for the board, keys,
+  // attempt boxes and share output. Set on <html> so the CSS variables that
+  // drawShareImage() reads pick it up too.
+  const contrastBtn = document.getElementById('contrast-btn');
+  let isHighContrast = localStorage.getItem('svwb_high_contrast') === 'true';
+
+  function updateContrast() {
+    document.documentElement.classList.toggle('high-contrast', isHighContrast);
+    contrastBtn.classList.toggle('active', isHighContrast);
+    contrastBtn.setAttribute('aria-pressed', isHighContrast);
+  }
+  updateContrast();
+
+  contrastBtn.addEventListener('click', () => {
+    isHighContrast = !isHighContrast;
+    localStorage.setItem('svwb_high_contrast', isHighContrast);
+    updateContrast();
+    showToast(t(isHighContrast ? 'toast.contrastOn' : 'toast.contrastOff'));
+  });
+
+  // Reduced motion: skip the flip and bounce animations. Follows the OS
+  // setting until the player picks one here.
+  const motionBtn = document.getElementById('motion-btn');
+  const storedMotion = localStorage.getItem('svwb_reduced_motion');
+  let isReducedMotion = storedMotion !== null
+    ? storedMotion === 'true'
+    : !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+
+  function updateMotion() {
+    document.documentElement.classList.toggle('reduced-motion', isReducedMotion);
+    motionBtn.classList.toggle('active', isReducedMotion);
+    motionBtn.setAttribute('aria-pressed', isReducedMotion);
+  }
+  updateMotion();
+
+  motionBtn.addEventListener('click', () => {
+    isReducedMotion = !isReducedMotion;
+    localStorage.setItem('svwb_reduced_motion', isReducedMotion);
+    updateMotion();
+    showToast(t(isReducedMotion ? 'toast.motionOn' : 'toast.motionOff'));
+  });
+
+  function isCustomPuzzle(puzzleId) {
+    return typeof puzzleId === 'string' && puzzleId.startsWith(CUSTOM_ID_PREFIX);
+  }
+
+  function isPracticePuzzle(puzzleId) {
+    return typeof puzzleId === 'string' && puzzleId.startsWith(PRACTICE_ID_PREFIX);
+  }
+
+  // Custom and practice games have no number or date and stay out of the
+  // daily stats, streaks, calendar, leaderboard and progress exports
+  function isDailyPuzzle(puzzleId) {
+    return !isCustomPuzzle(puzzleId) && !isPracticePuzzle(puzzleId);
+  }
+
+  function customPuzzleUrl(puzzleId) {
+    return `${location.origin}/c/${puzzleId.slice(CUSTOM_ID_PREFIX.length)}`;
+  }
+
   // ---- LocalStorage helpers ----
   function loadState() {
     try {
@@ -227,16 +459,47 @@
     } catch { return {}; }
   }
 
+  // Practice is kept apart from the daily history: just the latest game
+  // and its own running stats
+  function loadPracticeState() {
+    const empty = {
+      puzzleId: null,
+      game: null,
+      stats: { played: 0, won: 0, currentStreak: 0, maxStreak: 0, distribution: [0, 0, 0, 0, 0, 0] }
+    };
+    try {
+      return { ...empty, ...JSON.parse(localStorage.getItem(PRACTICE_KEY)) };
+    } catch { return empty; }
+  }
+
   function saveState() {
     localStorage.setItem(STORAGE_KEY, JSON.stringify(gameState));
+    localStorage.setItem(PRACTICE_KEY, JSON.stringify(practiceState));
+  }
+
+  function newPuzzleState() {
+    return {
+      guesses: [],   // [{ word, result }]
+      status: 'in-progress',
+      hardMode: false,  // Fixed by the server at the first guess
+      completedAt: null, // ms timestamp when won/lost
+      hints: [],         // Hints taken, in ladder order
+      hintsUsed: 0,      // How many of them were taken before the puzzle was finished
+      timer: null,       // { elapsedMs, runningSince, splits } in timed games
+      solveMs: null      // Time on the clock at a timed win
+    };
   }
 
   function getPuzzleState(puzzleId) {
+    if (isPracticePuzzle(puzzleId)) {
+      if (practiceState.puzzleId !== puzzleId) {
+        practiceState.puzzleId = puzzleId;
+        practiceState.game = newPuzzleState();
+      }
+      return practiceState.game;
+    }
     if (!gameState[puzzleId]) {
-      gameState[puzzleId] = {
-        guesses: [],   // [{ word, result }]
-        status: 'in-progress'
-      };
+      gameState[puzzleId] = newPuzzleState();
     }
     return gameState[puzzleId];
   }
@@ -246,6 +509,7 @@
     answerImageContainer.classList.add('hidden');
     answerImage.src = '';
     answerImage.alt = '';
+    if (!isDailyPuzzle(puzzleId)) return;
     const url = `/api/answer-image/${puzzleId}`;
     try {
       const res = await fetch(url, { method: 'HEAD' });
@@ -269,18 +533,37 @@
     setTimeout(() => el.remove(), duration);
   }
 
+  // ---- Screen Reader Announcements ----
+  const announcerEl = document.getElementById('sr-announcer');
+
+  function announce(msg) {
+    // Clear first so the same text twice in a row is still read out
+    announcerEl.textContent = '';
+    setTimeout(() => { announcerEl.textContent = msg; }, 50);
+  }
+
+  function describeResult(result) {
+    return result.map(r => `${r.letter} ${t(`status.${r.status}`)}`).join(', ');
+  }
+
   // ---- Board Rendering ----
   function createBoard() {
     boardEl.innerHTML = '';
+    boardEl.style.setProperty('--word-length', wordLength);
+    boardEl.dataset.length = wordLength;
     for (let r = 0; r < MAX_GUESSES; r++) {
       const row = document.createElement('div');
       row.className = 'board-row';
       row.dataset.row = r;
-      for (let c = 0; c < WORD_LENGTH; c++) {
+      row.setAttribute('role', 'row');
+      row.setAttribute('aria-label', t('board.row', { n: r + 1 }));
+      for (let c = 0; c < wordLength; c++) {
         const tile = document.createElement('div');
         tile.className = 'tile';
         tile.dataset.row = r;
         tile.dataset.col = c;
+        tile.setAttribute('role', 'cell');
+        labelTile(tile);
         row.appendChild(tile);
       }
       boardEl.appendChild(row);
@@ -291,6 +574,15 @@
     return boardEl.querySelector(`.tile[data-row="${row}"][data-col="${col}"]`);
   }
 
+  // "Letter 2, A, correct" – the color alone says nothing to a screen reader
+  function labelTile(tile) {
+    const col = Number(tile.dataset.col) + 1;
+    const status = ['correct', 'present', 'absent'].find(s => tile.classList.contains(s));
+    const parts = [t('board.tile', { n: col }), tile.textContent || t('board.empty')];
+    if (status) parts.push(t(`status.${status}`));
+    tile.setAttribute('aria-label', parts.join(', '));
+  }
+
   function updateTileLetter(row, col, letter) {
     const tile = getTile(row, col);
     tile.textContent = letter;
@@ -299,27 +591,40 @@
     } else {
       tile.classList.remove('filled');
     }
+    labelTile(tile);
   }
 
   function setTileStatus(row, col, status) {
     const tile = getTile(row, col);
     tile.classList.remove('absent', 'present', 'correct');
     if (status) tile.classList.add(status);
+    labelTile(tile);
   }
 
   // Animate reveal of a row – all tiles flip simultaneously
   function revealRow(row, result, callback) {
+    announce(t('board.announce', { n: row + 1, result: describeResult(result) }));
+
+    if (isReducedMotion) {
+      for (let i = 0; i < wordLength; i++) {
+        setTileStatus(row, i, result[i].status);
+        updateKeyboardKey(result[i].letter, result[i].status);
+      }
+      if (callback) callback();
+      return;
+    }
+
     isRevealing = true;
 
     // Start all flips at the same time
-    for (let i = 0; i < WORD_LENGTH; i++) {
+    for (let i = 0; i < wordLength; i++) {
       const tile = getTile(row, i);
       tile.classList.add('reveal');
     }
 
     // Apply colors at the halfway point of the flip (150ms)
     setTimeout(() => {
-      for (let i = 0; i < WORD_LENGTH; i++) {
+      for (let i = 0; i < wordLength; i++) {
         setTileStatus(row, i, result[i].status);
         updateKeyboardKey(result[i].letter, result[i].status);
       }
@@ -334,7 +639,8 @@
 
   // Win bounce animation
   function bounceRow(row) {
-    for (let i = 0; i < WORD_LENGTH; i++) {
+    if (isReducedMotion) return;
+    for (let i = 0; i < wordLength; i++) {
       setTimeout(() => {
         getTile(row, i).classList.add('win-bounce');
       }, i * 100);
@@ -344,7 +650,7 @@
   // Restore previous guesses on the board (no animation)
   function restoreBoard(puzzleState) {
     puzzleState.guesses.forEach((g, rowIdx) => {
-      for (let c = 0; c < WORD_LENGTH; c++) {
+      for (let c = 0; c < wordLength; c++) {
         updateTileLetter(rowIdx, c, g.result[c].letter);
         setTileStatus(rowIdx, c, g.result[c].status);
         updateKeyboardKey(g.result[c].letter, g.result[c].status);
@@ -354,6 +660,7 @@
 
   // ---- Keyboard Rendering ----
   const keyStatusMap = {}; // letter -> best status
+  const KEY_LABELS = { DEL: 'keyboard.delLabel', SUBMIT: 'keyboard.submitLabel' };
 
   function createKeyboard() {
     const rowEls = [
@@ -363,17 +670,21 @@
       document.getElementById('kb-row-bot')
     ];
 
-    KB_ROWS.forEach((row, ri) => {
+    KB_LAYOUTS[getKeyboardLayout()].forEach((row, ri) => {
       rowEls[ri].innerHTML = '';
       row.forEach(key => {
         const btn = document.createElement('button');
+        btn.type = 'button';
         btn.className = 'key';
         btn.dataset.key = key;
-        btn.textContent = key;
+        btn.textContent = KEY_LABELS[key] ? t(`keyboard.${key}`) : key;
+        if (KEY_LABELS[key]) btn.setAttribute('aria-label', t(KEY_LABELS[key]));
 
         if (key === 'SUBMIT' || key === 'DEL') {
           btn.classList.add('wide');
         }
+        // Switching layouts mid-game keeps the colors already earned
+        if (keyStatusMap[key]) paintKey(btn, keyStatusMap[key]);
 
         btn.addEventListener('click', () => handleKeyPress(key));
         rowEls[ri].appendChild(btn);
@@ -381,6 +692,12 @@
     });
   }
 
+  function paintKey(btn, status) {
+    btn.classList.remove('absent', 'present', 'correct');
+    btn.classList.add(status);
+    btn.setAttribute('aria-label', t('keyboard.keyStatus', { letter: btn.dataset.key, status: t(`status.${status}`) }));
+  }
+
   function updateKeyboardKey(letter, status) {
     const priority = { absent: 0, present: 1, correct: 2 };
     const upper = letter.toUpperCase();
@@ -389,21 +706,26 @@
     keyStatusMap[upper] = status;
 
     const btn = document.querySelector(`.key[data-key="${upper}"]`);
-    if (!btn) return;
-    btn.classList.remove('absent', 'present', 'correct');
-    btn.classList.add(status);
+    if (btn) paintKey(btn, status);
   }
 
   function resetKeyboardColors() {
     Object.keys(keyStatusMap).forEach(k => delete keyStatusMap[k]);
     document.querySelectorAll('.key').forEach(btn => {
       btn.classList.remove('absent', 'present', 'correct');
+      if (!KEY_LABELS[btn.dataset.key]) btn.removeAttribute('aria-label');
     });
   }
 
   // ---- Input Handling ----
   function handleKeyPress(key) {
     if (gameOver || isRevealing) return;
+    if (currentPuzzle && getPendingGuess(currentPuzzle.puzzleId)) return;
+
+    if (isTimedMode && currentPuzzle) {
+      const pState = getPuzzleState(currentPuzzle.puzzleId);
+      if (!pState.timer && pState.guesses.length === 0) startGameTimer();
+    }
 
     if (key === 'DEL' || key === 'BACKSPACE') {
       if (currentGuess.length > 0) {
@@ -419,7 +741,7 @@
     }
 
     const upper = key.toUpperCase();
-    if (currentGuess.length < WORD_LENGTH && VALID_CHARS.test(upper)) {
+    if (currentGuess.length < wordLength && VALID_CHARS.test(upper)) {
       currentGuess += upper;
       updateTileLetter(currentRow, currentGuess.length - 1, upper);
     }
@@ -428,7 +750,10 @@
   // Physical keyboard listener
   document.addEventListener('keydown', (e) => {
     if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest('input, textarea, select')) return;
     const key = e.key.toUpperCase();
+    // Enter on a focused control (header toggles, calendar) activates it rather than submitting
+    if (key === 'ENTER' && e.target.closest('button:not(.key), [role="button"]')) return;
     if (key === 'ENTER') {
       e.preventDefault();
       handleKeyPress('SUBMIT');
@@ -440,76 +765,192 @@
   });
 
   // ---- Guess Submission ----
+  function postGuess(puzzleId, guess, hardMode) {
+    return fetch('/api/guess', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ puzzleId, guess, hardMode })
+    });
+  }
+
+  // Friendly toast for a 429, using the server's Retry-After; returns the wait in seconds
+  function showRateLimitToast(res) {
+    const seconds = Number(res.headers.get('Retry-After')) || 30;
+    showToast(t('toast.slowDown', { count: seconds }), 3000);
+    return seconds;
+  }
+
   async function submitGuess() {
-    if (currentGuess.length !== WORD_LENGTH) {
-      showToast('Not enough letters');
+    if (currentGuess.length !== wordLength) {
+      showToast(t('toast.notEnoughLetters'));
       shakeRow(currentRow);
       return;
     }
 
+    const pState = getPuzzleState(currentPuzzle.puzzleId);
+    const elapsedMs = pState.timer ? timerElapsed(pState.timer) : undefined;
+    let res;
     try {
-      const res = await fetch('/api/guess', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          puzzleId: currentPuzzle.puzzleId,
-          guess: currentGuess
-        })
-      });
+      res = await postGuess(currentPuzzle.puzzleId, currentGuess, isHardMode);
+    } catch (err) {
+      // No connection: hold on to the guess and send it once we're back online
+      console.error('Guess error:', err);
+      queueOfflineGuess(currentPuzzle.puzzleId, currentGuess, isHardMode, elapsedMs);
+      return;
+    }
 
+    try {
+      if (res.status === 429) {
+        showRateLimitToast(res);
+        return;
+      }
       if (!res.ok) {
-        const err = await res.json();
-        showToast(err.error || 'Error');
+        const data = await res.json();
+        const suggestions = data.suggestions || [];
+        if (suggestions.length > 0) {
+          showToast(t('toast.didYouMean', { message: apiErrorMessage(data), words: suggestions.join(', ') }), 3000);
+        } else {
+          showToast(apiErrorMessage(data));
+        }
         shakeRow(currentRow);
         return;
       }
+      applyGuessResult(await res.json(), currentGuess, elapsedMs);
+    } catch (err) {
+      console.error('Guess error:', err);
+      showToast(t('toast.connectionError'));
+    }
+  }
 
-      const data = await res.json();
-      const guessNum = currentRow + 1;
-      const pState = getPuzzleState(currentPuzzle.puzzleId);
+  // Save a server-checked guess for the current puzzle and reveal its row
+  function applyGuessResult(data, word, elapsedMs) {
+    const guessNum = currentRow + 1;
+    const pState = getPuzzleState(currentPuzzle.puzzleId);
+
+    // Save guess
+    pState.guesses.push({ word, result: data.result });
+    pState.hardMode = data.hardMode;
+    if (data.completedAt) pState.completedAt = data.completedAt;
+    recordSplit(pState, data, elapsedMs);
+    tickGameTimer();
+
+    // Reveal the row
+    revealRow(currentRow, data.result, () => {
+      if (data.status === 'won') {
+        // WIN
+        pState.status = 'won';
+        recordPracticeResult(pState);
+        saveState();
+        gameOver = true;
+        sessionOwnsResult = true;
+        bounceRow(currentRow);
+        SoundManager.playWin();
+        showResult('won', guessNum);
+        tryShowAnswerImage(currentPuzzle.puzzleId);
+        refreshPuzzlesList();
+        syncWithServer();
+        loadLeaderboard();
+      } else if (data.status === 'lost') {
+        // LOSE
+        pState.status = 'lost';
+        recordPracticeResult(pState);
+        saveState();
+        gameOver = true;
+        sessionOwnsResult = true;
+        SoundManager.playLose();
+        showResult('lost');
+        refreshPuzzlesList();
+        syncWithServer();
+        loadLeaderboard();
+      } else {
+        // Wrong but still has guesses
+        SoundManager.playWrong(guessNum);
+        currentRow++;
+        currentGuess = '';
+        saveState();
+      }
+      renderHints();
+    });
 
-      // Save guess
-      pState.guesses.push({ word: currentGuess, result: data.result });
-
-      // Reveal the row
-      revealRow(currentRow, data.result, () => {
-        if (data.correct) {
-          // WIN
-          pState.status = 'won';
-          saveState();
-          gameOver = true;
-          bounceRow(currentRow);
-          SoundManager.playWin();
-          showResult('won', guessNum);
-          tryShowAnswerImage(currentPuzzle.puzzleId);
-          refreshPuzzlesList();
-        } else if (guessNum >= MAX_GUESSES) {
-          // LOSE
-          pState.status = 'lost';
-          saveState();
-          gameOver = true;
-          SoundManager.playLose();
-          showResult('lost');
-          refreshPuzzlesList();
-        } else {
-          // Wrong but still has guesses
-          SoundManager.playWrong(guessNum);
-          currentRow++;
-          currentGuess = '';
-          saveState();
-        }
-        updateClueVisibility();
-      });
+    currentGuess = '';
+    saveState();
+  }
 
-      currentGuess = '';
-      saveState();
+  // ---- Offline Guess Queue ----
+  // Guesses can't be checked without the server, so an offline guess waits in
+  // localStorage (at most one per puzzle, since the next guess depends on its
+  // result) and is replayed in order when the connection returns.
+  const PENDING_KEY = 'svwb_pending_guesses';
+  let pendingGuesses = (() => {
+    try { return JSON.parse(localStorage.getItem(PENDING_KEY)) || []; }
+    catch { return []; }
+  })();
+
+  function savePendingGuesses() {
+    localStorage.setItem(PENDING_KEY, JSON.stringify(pendingGuesses));
+  }
 
-    } catch (err) {
-      console.error('Guess error:', err);
-      showToast('Connection error. Try again.');
+  function getPendingGuess(puzzleId) {
+    return pendingGuesses.find(p => p.puzzleId === puzzleId) || null;
+  }
+
+  function setRowPending(row, pending) {
+    const rowEl = boardEl.querySelector(`.board-row[data-row="${row}"]`);
+    if (rowEl) rowEl.classList.toggle('pending', pending);
+  }
+
+  function queueOfflineGuess(puzzleId, guess, hardMode, elapsedMs) {
+    pendingGuesses = pendingGuesses.filter(p => p.puzzleId !== puzzleId);
+    pendingGuesses.push({ puzzleId, guess, hardMode, elapsedMs });
+    savePendingGuesses();
+    setRowPending(currentRow, true);
+    showToast(t('toast.offlineQueued'), 3000);
+  }
+
+  async function replayPendingGuesses() {
+    for (const pending of [...pendingGuesses]) {
+      let res;
+      try {
+        res = await postGuess(pending.puzzleId, pending.guess, pending.hardMode);
+      } catch {
+        return; // Still offline – try again on the next 'online' event
+      }
+      if (res.status === 429) {
+        // Keep the queue and retry once the limit has reset
+        setTimeout(replayPendingGuesses, showRateLimitToast(res) * 1000);
+        return;
+      }
+
+      pendingGuesses = pendingGuesses.filter(p => p !== pending);
+      savePendingGuesses();
+      const isCurrent = currentPuzzle && currentPuzzle.puzzleId === pending.puzzleId;
+      if (isCurrent) setRowPending(currentRow, false);
+
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        // e.g. not in the word list – leave the letters so the player can fix them
+        showToast(t('toast.pendingRejected', { guess: pending.guess, message: apiErrorMessage(data) }), 3000);
+        if (isCurrent) shakeRow(currentRow);
+        continue;
+      }
+
+      if (isCurrent) {
+        applyGuessResult(data, pending.guess, pending.elapsedMs);
+      } else {
+        const pState = getPuzzleState(pending.puzzleId);
+        pState.guesses.push({ word: pending.guess, result: data.result });
+        pState.status = data.status;
+        pState.hardMode = data.hardMode;
+        if (data.completedAt) pState.completedAt = data.completedAt;
+        recordSplit(pState, data, pending.elapsedMs);
+        saveState();
+        renderPuzzlesList();
+      }
     }
   }
 
+  window.addEventListener('online', replayPendingGuesses);
+
   function shakeRow(row) {
     const rowEl = boardEl.querySelector(`.board-row[data-row="${row}"]`);
     rowEl.style.animation = 'none';
@@ -519,16 +960,22 @@
   }
 
   // ---- Win / Lose ----
+  // Reveal, analysis, replay links and the answer image are checked against
+  // the server session, so a result imported from another device only gets
+  // the buttons that work from local state.
   function showResult(type, guessNum) {
     resultArea.classList.remove('hidden');
     resultMessage.className = '';
+    shareBtn.classList.remove('hidden');
+    shareImageBtn.classList.remove('hidden');
+    replayBtn.classList.remove('hidden');
+    replayLinkBtn.classList.toggle('hidden', !sessionOwnsResult);
+    analysisBtn.classList.toggle('hidden', !sessionOwnsResult);
+    newWordBtn.classList.toggle('hidden', !currentPuzzle.practice);
+    showGlobalStats(currentPuzzle.puzzleId, type, guessNum);
 
     if (type === 'won') {
-      const messages = [
-        'Genius!', 'Magnificent!', 'Impressive!',
-        'Splendid!', 'Great!', 'Phew!'
-      ];
-      resultMessage.textContent = messages[Math.min(guessNum - 1, 5)];
+      resultMessage.textContent = t(`result.win${Math.min(guessNum, 6)}`);
       resultMessage.classList.add('win');
       revealBtn.classList.add('hidden');
       revealedAnswer.classList.add('hidden');
@@ -536,15 +983,47 @@
       const hasPrevious = allPuzzlesList.some(p => p.puzzleId !== todayPuzzleId);
       if (hasPrevious) playPrevBtn.classList.remove('hidden');
     } else {
-      resultMessage.textContent = 'Better luck next time!';
+      resultMessage.textContent = t('result.lose');
       resultMessage.classList.add('lose');
-      revealBtn.classList.remove('hidden');
+      revealBtn.classList.toggle('hidden', !sessionOwnsResult);
       revealedAnswer.classList.add('hidden');
       const hasPrevious = allPuzzlesList.some(p => p.puzzleId !== todayPuzzleId);
       if (hasPrevious) playPrevBtn.classList.remove('hidden');
     }
   }
 
+  // The result area for a puzzle finished earlier
+  function showFinishedResult(puzzleId, pState) {
+    if (pState.status === 'won') {
+      showResult('won', pState.guesses.length);
+      if (sessionOwnsResult) tryShowAnswerImage(puzzleId);
+    } else if (pState.status === 'lost') {
+      showResult('lost');
+    }
+  }
+
+  // "X% of players solved this in N" from the community results
+  async function showGlobalStats(puzzleId, type, guessNum) {
+    if (!isDailyPuzzle(puzzleId)) return;
+    try {
+      const res = await fetch(`/api/stats/${puzzleId}`);
+      if (!res.ok) return;
+      const stats = await res.json();
+      // The player may have moved on to another puzzle while this loaded
+      if (!currentPuzzle || currentPuzzle.puzzleId !== puzzleId || stats.players === 0) return;
+
+      const players = t('result.players', { count: stats.players });
+      if (type === 'won') {
+        const pct = Math.round((stats.distribution[guessNum - 1] / stats.players) * 100);
+        globalStatsEl.textContent = t('result.solvedIn', { pct, players, guesses: guessNum });
+      } else {
+        const pct = Math.round((stats.won / stats.players) * 100);
+        globalStatsEl.textContent = t('result.solvedAtAll', { pct, players });
+      }
+      globalStatsEl.classList.remove('hidden');
+    } catch {}
+  }
+
   // Reveal answer button
   revealBtn.addEventListener('click', async () => {
     try {
@@ -554,47 +1033,213 @@
         body: JSON.stringify({ puzzleId: currentPuzzle.puzzleId })
       });
       const data = await res.json();
-      revealedAnswer.textContent = `The answer was: ${data.answer}`;
+      if (!res.ok) {
+        showToast(apiErrorMessage(data, 'toast.revealFailed'));
+        return;
+      }
+      revealedAnswer.textContent = t('result.answer', { answer: data.answer });
       revealedAnswer.classList.remove('hidden');
       revealBtn.classList.add('hidden');
       tryShowAnswerImage(currentPuzzle.puzzleId);
     } catch (err) {
-      showToast('Error revealing answer');
+      showToast(t('toast.revealFailed'));
     }
   });
 
+  // ---- Share ----
+  // Spoiler-free: only the statuses of each guess are shared, never the letters
+  const SHARE_EMOJI = { correct: '🟩', present: '🟨', absent: '⬛' };
+  const SHARE_EMOJI_HIGH_CONTRAST = { correct: '🟧', present: '🟦', absent: '⬛' };
+
+  function getShareScore(pState) {
+    const score = pState.status === 'won' ? pState.guesses.length : 'X';
+    const time = pState.status === 'won' && pState.solveMs != null ? ` ⏱ ${formatDuration(pState.solveMs)}` : '';
+    const hints = hintsUsedIn(pState) > 0 ? ` 💡${hintsUsedIn(pState)}` : '';
+    return `${score}/${MAX_GUESSES}${pState.hardMode ? '*' : ''}${time}${hints}`;
+  }
+
+  function getShareTitle(puzzle) {
+    if (puzzle.custom) return `Slave, Vader, Wampa, Bingo: ${t('puzzle.custom')}`;
+    if (puzzle.practice) return `Slave, Vader, Wampa, Bingo: ${t('puzzle.practice')}`;
+    return `Slave, Vader, Wampa, Bingo #${puzzle.puzzleNumber}`;
+  }
+
+  function buildShareText(puzzle, pState) {
+    const emoji = isHighContrast ? SHARE_EMOJI_HIGH_CONTRAST : SHARE_EMOJI;
+    const rows = pState.guesses.map(g => g.result.map(r => emoji[r.status]).join(''));
+    // A custom result links to the same puzzle so friends can play it too
+    const link = puzzle.custom ? customPuzzleUrl(puzzle.puzzleId) : location.origin;
+    return `${getShareTitle(puzzle)} ${getShareScore(pState)}\n\n` +
+      `${rows.join('\n')}\n${link}`;
+  }
+
+  // Draw the same grid as a PNG-ready canvas, using the board's own colors
+  function drawShareImage(puzzle, pState) {
+    const css = getComputedStyle(document.documentElement);
+    const colors = {
+      correct: css.getPropertyValue('--tile-correct').trim(),
+      present: css.getPropertyValue('--tile-present').trim(),
+      absent: css.getPropertyValue('--tile-absent').trim()
+    };
+    const tile = 48, gap = 6, pad = 24, headerH = 64;
+    const cols = pState.guesses[0] ? pState.guesses[0].result.length : wordLength;
+    const rows = pState.guesses.length;
+    const gridW = cols * tile + (cols - 1) * gap;
+    const width = Math.max(gridW + pad * 2, 340);
+    const height = headerH + rows * (tile + gap) - gap + pad;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = css.getPropertyValue('--bg').trim();
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = css.getPropertyValue('--accent').trim();
+    ctx.font = 'bold 20px "Segoe UI", "Helvetica Neue", Arial, sans-serif';
+    ctx.fillText(getShareTitle(puzzle), width / 2, 30);
+    ctx.fillStyle = css.getPropertyValue('--text').trim();
+    ctx.font = '600 16px "Segoe UI", "Helvetica Neue", Arial, sans-serif';
+    ctx.fillText(getShareScore(pState), width / 2, 52);
+
+    const left = (width - gridW) / 2;
+    pState.guesses.forEach((g, r) => {
+      g.result.forEach((cell, c) => {
+        const x = left + c * (tile + gap);
+        const y = headerH + r * (tile + gap);
+        ctx.fillStyle = colors[cell.status];
+        ctx.beginPath();
+        if (ctx.roundRect) ctx.roundRect(x, y, tile, tile, 4);
+        else ctx.rect(x, y, tile, tile);
+        ctx.fill();
+      });
+    });
+
+    return canvas;
+  }
+
+  async function shareText() {
+    const pState = getPuzzleState(currentPuzzle.puzzleId);
+    const text = buildShareText(currentPuzzle, pState);
+    try {
+      if (navigator.share && /Android|iPhone|iPad|iPod/i.test(navigator.userAgent)) {
+        await navigator.share({ text });
+        return;
+      }
+      await navigator.clipboard.writeText(text);
+      showToast(t('toast.copiedResults'));
+    } catch (err) {
+      if (err.name !== 'AbortError') showToast(t('toast.shareFailed'));
+    }
+  }
+
+  async function shareImage() {
+    const pState = getPuzzleState(currentPuzzle.puzzleId);
+    const canvas = drawShareImage(currentPuzzle, pState);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) {
+      showToast(t('toast.imageFailed'));
+      return;
+    }
+    const filename = `svwb-${currentPuzzle.puzzleNumber || (currentPuzzle.custom ? 'custom' : 'practice')}.png`;
+    const file = new File([blob], filename, { type: 'image/png' });
+
+    try {
+      if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        await navigator.share({ files: [file] });
+        return;
+      }
+      if (navigator.clipboard && window.ClipboardItem) {
+        await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+        showToast(t('toast.copiedImage'));
+        return;
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+    }
+
+    // Last resort: download the PNG
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  shareBtn.addEventListener('click', shareText);
+  shareImageBtn.addEventListener('click', shareImage);
+
   // Scroll to previous puzzles
   playPrevBtn.addEventListener('click', () => {
     document.getElementById('puzzles-nav').scrollIntoView({ behavior: 'smooth' });
   });
 
-  // Clue button toggle
-  clueBtn.addEventListener('click', () => {
-    clueRevealed = !clueRevealed;
-    if (clueRevealed) {
-      clueText.classList.remove('hidden');
-      clueBtn.textContent = 'Hide Clue';
-    } else {
-      clueText.classList.add('hidden');
-      clueBtn.textContent = 'Show Clue';
-    }
-  });
+  // ---- Hints ----
+  // The puzzle only says which hints it has and when each unlocks; the hints
+  // themselves come from the server one at a time, in ladder order.
+  function hintText(hint) {
+    if (hint.type === 'clue') return t('hint.clue', { text: hint.text });
+    if (hint.type === 'letter') return t('hint.letter', { n: hint.position + 1, letter: hint.letter });
+    return t('hint.absent', { letter: hint.letter });
+  }
+
+  // Games saved before the hint ladder only recorded whether the clue was shown
+  function hintsUsedIn(pState) {
+    return pState.hintsUsed || (pState.clueUsed ? 1 : 0);
+  }
 
-  // Show/hide clue button based on guess count (visible after 3rd guess or game over)
-  function updateClueVisibility() {
+  // Taken hints in a list, then a button for the next one (disabled until
+  // enough guesses have been made; every hint is open once the game is over)
+  function renderHints() {
+    const ladder = (currentPuzzle && currentPuzzle.hints) || [];
     const pState = currentPuzzle ? getPuzzleState(currentPuzzle.puzzleId) : null;
-    const guessCount = pState ? pState.guesses.length : 0;
-    const isFinished = pState && (pState.status === 'won' || pState.status === 'lost');
-    if (guessCount >= 3 || isFinished) {
-      clueBtn.classList.remove('hidden');
-    } else {
-      clueBtn.classList.add('hidden');
-      clueText.classList.add('hidden');
-      clueRevealed = false;
-      clueBtn.textContent = 'Show Clue';
-    }
+    const taken = (pState && pState.hints) || [];
+    hintList.innerHTML = '';
+    taken.forEach(hint => {
+      const li = document.createElement('li');
+      li.textContent = hintText(hint);
+      hintList.appendChild(li);
+    });
+    hintList.classList.toggle('hidden', taken.length === 0);
+
+    const next = ladder[taken.length];
+    hintBtn.classList.toggle('hidden', !next);
+    if (!next) return;
+    const isFinished = pState.status === 'won' || pState.status === 'lost';
+    const locked = !isFinished && pState.guesses.length < next.after;
+    hintBtn.disabled = locked;
+    hintBtn.textContent = locked
+      ? t('hint.locked', { n: next.after })
+      : t('hint.next', { n: taken.length + 1, total: ladder.length });
   }
 
+  hintBtn.addEventListener('click', async () => {
+    const puzzleId = currentPuzzle.puzzleId;
+    hintBtn.disabled = true;
+    try {
+      const res = await fetch('/api/hint', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ puzzleId })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        showToast(apiErrorMessage(data, 'toast.hintFailed'));
+        return;
+      }
+      const pState = getPuzzleState(puzzleId);
+      pState.hints = data.hints;
+      if (pState.status === 'in-progress') pState.hintsUsed = data.hintsUsed;
+      saveState();
+    } catch {
+      showToast(t('toast.hintFailed'));
+    } finally {
+      if (currentPuzzle && currentPuzzle.puzzleId === puzzleId) renderHints();
+    }
+  });
+
   // ---- Countdown Timer ----
   function startCountdown() {
     if (countdownInterval) clearInterval(countdownInterval);
@@ -630,61 +1275,461 @@
       `${String(h).padStart(2,'0')}:${String(m).padStart(2,'0')}:${String(s).padStart(2,'0')}`;
   }
 
-  // ---- Previous Puzzles List ----
-  async function refreshPuzzlesList() {
-    try {
-      const res = await fetch('/api/puzzles/list');
-      const data = await res.json();
-      allPuzzlesList = data.puzzles;
-      nextPuzzleTime = data.nextPuzzleTime;
-      renderPuzzlesList();
-    } catch (err) {
-      console.error('Error loading puzzles list:', err);
-    }
+  // ---- Game Timer (timed mode) ----
+  // A timed game keeps pState.timer = { elapsedMs, runningSince, splits }:
+  // elapsedMs banks the time already run, runningSince is set while the
+  // clock runs, and splits holds the reading at each guess. The clock stops
+  // while the tab is hidden or the player is on another puzzle.
+  const gameTimerEl = document.getElementById('game-timer');
+  let gameTimerInterval = null;
+
+  // 83400 -> "1:23.4"
+  function formatDuration(ms) {
+    const tenths = Math.floor(ms / 100);
+    const seconds = ((tenths % 600) / 10).toFixed(1).padStart(4, '0');
+    return `${Math.floor(tenths / 600)}:${seconds}`;
   }
 
-  // ---- Attempt Boxes Helper ----
-  // Returns HTML string for 6 small boxes representing guess attempts
-  function buildAttemptBoxes(puzzleId) {
-    const pState = gameState[puzzleId];
-    let boxes = '';
+  function timerElapsed(timer) {
+    return timer.elapsedMs + (timer.runningSince ? Date.now() - timer.runningSince : 0);
+  }
 
-    for (let i = 0; i < MAX_GUESSES; i++) {
-      if (!pState || !pState.guesses[i]) {
-        // No guess made for this slot
-        boxes += '<div class="attempt-box"></div>';
-        continue;
-      }
+  // The current puzzle's state if it's a timed game, else null
+  function currentTimedState() {
+    if (!currentPuzzle) return null;
+    const pState = getPuzzleState(currentPuzzle.puzzleId);
+    return pState.timer ? pState : null;
+  }
 
-      const guess = pState.guesses[i];
-      const allCorrect = guess.result.every(r => r.status === 'correct');
+  function renderGameTimer() {
+    const pState = currentTimedState();
+    gameTimerEl.classList.toggle('hidden', !pState);
+    if (pState) gameTimerEl.textContent = formatDuration(pState.solveMs ?? timerElapsed(pState.timer));
+  }
 
-      if (allCorrect) {
-        boxes += '<div class="attempt-box box-green"></div>';
-      } else if (i === MAX_GUESSES - 1 && pState.status === 'lost') {
-        // 6th guess and player lost
-        boxes += '<div class="attempt-box box-red"></div>';
-      } else {
-        const hasHit = guess.result.some(r => r.status === 'correct' || r.status === 'present');
-        boxes += hasHit
-          ? '<div class="attempt-box box-yellow"></div>'
-          : '<div class="attempt-box box-gray"></div>';
-      }
+  // Redraws the clock, ten times a second while it runs
+  function tickGameTimer() {
+    const pState = currentTimedState();
+    const running = !!(pState && pState.timer.runningSince);
+    if (running && !gameTimerInterval) {
+      gameTimerInterval = setInterval(renderGameTimer, 100);
+    } else if (!running && gameTimerInterval) {
+      clearInterval(gameTimerInterval);
+      gameTimerInterval = null;
     }
+    renderGameTimer();
+  }
 
-    return `<div class="attempt-boxes">${boxes}</div>`;
+  // The server keeps its own clock for the leaderboard, told when the game
+  // starts, pauses and resumes. Offline, the time just stays local.
+  function sendTimerAction(puzzleId, action) {
+    fetch('/api/timer', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ puzzleId, action }),
+      keepalive: true
+    }).catch(() => {});
+  }
+
+  function startGameTimer() {
+    const puzzleId = currentPuzzle.puzzleId;
+    getPuzzleState(puzzleId).timer = { elapsedMs: 0, runningSince: Date.now(), splits: [] };
+    saveState();
+    tickGameTimer();
+    sendTimerAction(puzzleId, 'start');
+  }
+
+  function pauseGameTimer() {
+    const pState = currentTimedState();
+    if (pState && pState.timer.runningSince) {
+      pState.timer.elapsedMs = timerElapsed(pState.timer);
+      pState.timer.runningSince = null;
+      saveState();
+      sendTimerAction(currentPuzzle.puzzleId, 'pause');
+    }
+    tickGameTimer();
+  }
+
+  function resumeGameTimer() {
+    const pState = currentTimedState();
+    if (pState && pState.status === 'in-progress' && !pState.timer.runningSince && !document.hidden) {
+      pState.timer.runningSince = Date.now();
+      saveState();
+      sendTimerAction(currentPuzzle.puzzleId, 'resume');
+    }
+    tickGameTimer();
+  }
+
+  // Notes the clock reading at a checked guess, stopping the clock once the
+  // game is over. A win keeps the server's time when it has one, since
+  // that's the one the leaderboard ranks.
+  function recordSplit(pState, data, elapsedMs) {
+    if (!pState.timer) return;
+    const split = elapsedMs ?? timerElapsed(pState.timer);
+    pState.timer.splits.push(split);
+    if (data.status === 'won' || data.status === 'lost') {
+      pState.timer.elapsedMs = split;
+      pState.timer.runningSince = null;
+      if (data.status === 'won') pState.solveMs = data.solveMs ?? split;
+    }
+  }
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) pauseGameTimer();
+    else resumeGameTimer();
+  });
+  window.addEventListener('pagehide', pauseGameTimer);
+
+  // ---- Game Replay ----
+  // Re-animates a finished game a guess at a time: the player's own, from the
+  // result area, or a friend's from a /r/<token> link, whose answer stays
+  // hidden until the last row. A replay only borrows the board. Its game is
+  // { guesses, status, answer }, where each guess may carry the clock
+  // reading of a timed game as elapsedMs.
+  const REPLAY_STEP_MS = 1200;
+  const replayBar = document.getElementById('replay-bar');
+  const replayPlayBtn = document.getElementById('replay-play-btn');
+  const replayStepBtn = document.getElementById('replay-step-btn');
+  const replayStatusEl = document.getElementById('replay-status');
+  const replayBtn = document.getElementById('replay-btn');
+  const replayLinkBtn = document.getElementById('replay-link-btn');
+  let replay = null; // { game, step, playing, done, timeout, shared }
+
+  function ownReplayGame(pState) {
+    const splits = pState.timer ? pState.timer.splits : [];
+    return {
+      guesses: pState.guesses.map((g, i) => ({ result: g.result, elapsedMs: splits[i] })),
+      status: pState.status,
+      answer: null
+    };
+  }
+
+  function startReplay(game, { shared = false } = {}) {
+    stopReplay();
+    replay = { game, step: 0, playing: true, done: false, timeout: null, shared };
+    gameOver = true;
+    replayBar.classList.remove('hidden');
+    rewindReplay();
+  }
+
+  // Back to an empty board, playing from the first guess
+  function rewindReplay() {
+    clearTimeout(replay.timeout);
+    Object.assign(replay, { step: 0, playing: true, done: false });
+    createBoard();
+    resetKeyboardColors();
+    resultArea.classList.add('hidden');
+    renderReplayControls();
+    replay.timeout = setTimeout(stepReplay, REPLAY_STEP_MS / 2);
+  }
+
+  // Types the next guess into its row and flips it
+  function stepReplay() {
+    if (!replay || replay.done || isRevealing) return;
+    const current = replay;
+    clearTimeout(current.timeout);
+    const { guesses } = current.game;
+    const row = current.step++;
+    guesses[row].result.forEach((r, c) => updateTileLetter(row, c, r.letter));
+    renderReplayControls();
+    revealRow(row, guesses[row].result, () => {
+      if (replay !== current) return;
+      if (current.step === guesses.length) {
+        finishReplay();
+      } else if (current.playing) {
+        current.timeout = setTimeout(stepReplay, REPLAY_STEP_MS);
+      }
+    });
+  }
+
+  function finishReplay() {
+    const { game, shared } = replay;
+    Object.assign(replay, { playing: false, done: true });
+    if (game.status === 'won') bounceRow(game.guesses.length - 1);
+    if (!shared) showFinishedResult(currentPuzzle.puzzleId, getPuzzleState(currentPuzzle.puzzleId));
+    renderReplayControls();
+  }
+
+  function stopReplay() {
+    if (!replay) return;
+    clearTimeout(replay.timeout);
+    replay = null;
+    replayBar.classList.add('hidden');
+  }
+
+  // Puts the player's own game back, or leaves a friend's for today's puzzle
+  function closeReplay() {
+    if (!replay || isRevealing) return;
+    const { shared } = replay;
+    stopReplay();
+    if (shared) {
+      if (todayPuzzleId) loadPuzzle(todayPuzzleId);
+      else location.assign('/');
+      return;
+    }
+    const pState = getPuzzleState(currentPuzzle.puzzleId);
+    createBoard();
+    resetKeyboardColors();
+    restoreBoard(pState);
+    showFinishedResult(currentPuzzle.puzzleId, pState);
+  }
+
+  function renderReplayControls() {
+    const { game, step, playing, done } = replay;
+    const total = game.guesses.length;
+    const guess = game.guesses[step - 1];
+    let status = step === 0 ? '' : t('replay.progress', { n: step, total });
+    if (done) {
+      status = game.status === 'won' ? t('replay.won', { n: total, max: MAX_GUESSES })
+        : game.answer ? t('replay.lostAnswer', { answer: game.answer }) : t('replay.lost');
+    }
+    if (guess && Number.isFinite(guess.elapsedMs)) status += ` · ${formatDuration(guess.elapsedMs)}`;
+    replayStatusEl.textContent = status;
+
+    const playLabel = t(playing ? 'replay.pause' : done ? 'replay.again' : 'replay.play');
+    replayPlayBtn.textContent = playing ? '⏸' : '▶';
+    replayPlayBtn.title = playLabel;
+    replayPlayBtn.setAttribute('aria-label', playLabel);
+    replayStepBtn.disabled = done;
+  }
+
+  replayPlayBtn.addEventListener('click', () => {
+    if (!replay) return;
+    if (replay.done) {
+      rewindReplay();
+      return;
+    }
+    replay.playing = !replay.playing;
+    clearTimeout(replay.timeout);
+    // Mid-flip, the reveal carries on to the next row by itself
+    if (replay.playing) stepReplay();
+    renderReplayControls();
+  });
+
+  replayStepBtn.addEventListener('click', () => {
+    if (!replay) return;
+    replay.playing = false;
+    stepReplay();
+    renderReplayControls();
+  });
+
+  document.getElementById('replay-restart-btn').addEventListener('click', () => {
+    if (replay && !isRevealing) rewindReplay();
+  });
+  document.getElementById('replay-close-btn').addEventListener('click', closeReplay);
+
+  replayBtn.addEventListener('click', () => {
+    startReplay(ownReplayGame(getPuzzleState(currentPuzzle.puzzleId)));
+  });
+
+  // The server seals the game from its own record of this session, so a
+  // link can't show guesses that weren't made
+  replayLinkBtn.addEventListener('click', async () => {
+    try {
+      const res = await fetch('/api/replay', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ puzzleId: currentPuzzle.puzzleId })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        showToast(apiErrorMessage(data, 'toast.replayLinkFailed'));
+        return;
+      }
+      if (navigator.share && /Android|iPhone|iPad|iPod/i.test(navigator.userAgent)) {
+        await navigator.share({ title: getShareTitle(currentPuzzle), url: data.url });
+        return;
+      }
+      await navigator.clipboard.writeText(data.url);
+      showToast(t('toast.copiedReplayLink'));
+    } catch (err) {
+      if (err.name !== 'AbortError') showToast(t('toast.replayLinkFailed'));
+    }
+  });
+
+  // Opened from a replay link. False if it couldn't be loaded.
+  async function openSharedReplay(token) {
+    try {
+      const res = await fetch(`/api/replay/${token}`);
+      const data = await res.json();
+      if (!res.ok) {
+        showToast(apiErrorMessage(data, 'toast.replayFailed'), 3000);
+        return false;
+      }
+      wordLength = data.wordLength;
+      const puzzleLabel = t(data.custom ? 'puzzle.custom' : data.practice ? 'puzzle.practice' : 'puzzle.label');
+      puzzleLabelEl.textContent = t('replay.heading', { puzzle: puzzleLabel });
+      puzzleNumberEl.textContent = data.puzzleNumber || '';
+      puzzleAuthorEl.textContent = data.author ? t('puzzle.author', { author: data.author }) : '';
+      puzzleAuthorEl.classList.toggle('hidden', !data.author);
+      startReplay({ guesses: data.guesses, status: data.status, answer: data.answer }, { shared: true });
+      return true;
+    } catch {
+      showToast(t('toast.replayFailed'), 3000);
+      return false;
+    }
+  }
+
+  // ---- Post-game Analysis ----
+  // How many words could still have been the answer after each guess, and
+  // the guess that would have narrowed them down the most. The server only
+  // works it out for a finished game, and only when asked.
+  const analysisBtn = document.getElementById('analysis-btn');
+  const analysisPanel = document.getElementById('analysis-panel');
+  const analysisBody = document.getElementById('analysis-body');
+
+  function renderAnalysis(guesses) {
+    analysisBody.innerHTML = '';
+    guesses.forEach(g => {
+      let best = '–';
+      if (g.best && (g.best.word === g.word || g.expected <= g.best.expected)) {
+        best = t('analysis.yours');
+      } else if (g.best) {
+        best = t('analysis.bestScore', { word: g.best.word, expected: g.best.expected, yours: g.expected });
+      }
+      // A big field is scored on a sample, so its best guess may not be
+      if (g.best && g.estimated) best = t('analysis.estimate', { best });
+      const row = document.createElement('tr');
+      [g.word, g.candidatesBefore.toLocaleString(locale), g.candidatesAfter.toLocaleString(locale), best].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      analysisBody.appendChild(row);
+    });
+  }
+
+  function hideAnalysis() {
+    analysisPanel.classList.add('hidden');
+    analysisBtn.setAttribute('aria-expanded', 'false');
+  }
+
+  analysisBtn.addEventListener('click', async () => {
+    if (!analysisPanel.classList.contains('hidden')) {
+      hideAnalysis();
+      return;
+    }
+    const puzzleId = currentPuzzle.puzzleId;
+    try {
+      const res = await fetch(`/api/analysis/${puzzleId}`);
+      const data = await res.json();
+      if (!res.ok) {
+        showToast(apiErrorMessage(data, 'toast.analysisFailed'));
+        return;
+      }
+      // The player may have moved on to another puzzle while this loaded
+      if (!currentPuzzle || currentPuzzle.puzzleId !== puzzleId) return;
+      renderAnalysis(data.guesses);
+      analysisPanel.classList.remove('hidden');
+      analysisBtn.setAttribute('aria-expanded', 'true');
+    } catch {
+      showToast(t('toast.analysisFailed'));
+    }
+  });
+
+  // ---- Previous Puzzles List ----
+  async function refreshPuzzlesList() {
+    try {
+      const res = await fetch('/api/puzzles/list', { headers: TIME_ZONE_HEADERS });
+      const data = await res.json();
+      allPuzzlesList = data.puzzles;
+      nextPuzzleTime = data.nextPuzzleTime;
+      puzzleTimeZone = data.timeZone || puzzleTimeZone;
+      renderPuzzlesList();
+    } catch (err) {
+      console.error('Error loading puzzles list:', err);
+    }
+  }
+
+  // ---- Attempt Boxes Helper ----
+  // Returns HTML string for 6 small boxes representing guess attempts
+  function buildAttemptBoxes(puzzleId) {
+    const pState = gameState[puzzleId];
+    let boxes = '';
+
+    for (let i = 0; i < MAX_GUESSES; i++) {
+      if (!pState || !pState.guesses[i]) {
+        // No guess made for this slot
+        boxes += '<div class="attempt-box"></div>';
+        continue;
+      }
+
+      const guess = pState.guesses[i];
+      const allCorrect = guess.result.every(r => r.status === 'correct');
+
+      if (allCorrect) {
+        boxes += '<div class="attempt-box box-green"></div>';
+      } else if (i === MAX_GUESSES - 1 && pState.status === 'lost') {
+        // 6th guess and player lost
+        boxes += '<div class="attempt-box box-red"></div>';
+      } else {
+        const hasHit = guess.result.some(r => r.status === 'correct' || r.status === 'present');
+        boxes += hasHit
+          ? '<div class="attempt-box box-yellow"></div>'
+          : '<div class="attempt-box box-gray"></div>';
+      }
+    }
+
+    return `<div class="attempt-boxes" aria-hidden="true">${boxes}</div>`;
   }
 
   // ---- Stats Scoreboard ----
+
+  // Puzzle day (in the zone the server picked for us) that a timestamp falls on
+  function getPuzzleDateForTimestamp(ts) {
+    return new Date(ts).toLocaleDateString('en-CA', { timeZone: puzzleTimeZone });
+  }
+
+  function isOnDay(puzzle, pState) {
+    return !!pState.completedAt && getPuzzleDateForTimestamp(pState.completedAt) === puzzle.date;
+  }
+
+  // Streaks count consecutive puzzles (in release order) won on their
+  // release day. Today's puzzle doesn't break the current streak until
+  // it's been finished.
+  function computeStreaks() {
+    const ordered = allPuzzlesList.slice().sort((a, b) => a.date.localeCompare(b.date));
+    let max = 0;
+    let run = 0;
+    ordered.forEach(p => {
+      const pState = gameState[p.puzzleId];
+      if (pState && pState.status === 'won' && isOnDay(p, pState)) {
+        run++;
+        max = Math.max(max, run);
+      } else {
+        run = 0;
+      }
+    });
+
+    let current = 0;
+    for (let i = ordered.length - 1; i >= 0; i--) {
+      const p = ordered[i];
+      const pState = gameState[p.puzzleId];
+      const finished = pState && (pState.status === 'won' || pState.status === 'lost');
+      if (p.puzzleId === todayPuzzleId && !finished) continue;
+      if (!pState || pState.status !== 'won' || !isOnDay(p, pState)) break;
+      current++;
+    }
+
+    return { current, max };
+  }
+
   function renderStats() {
     // Collect all completed puzzles (won or lost only)
     const completed = [];
     const available = allPuzzlesList.length;
+    let onDay = 0;
+    let catchUp = 0;
 
     allPuzzlesList.forEach(p => {
       const pState = gameState[p.puzzleId];
       if (pState && (pState.status === 'won' || pState.status === 'lost')) {
         completed.push(pState);
+        // Results saved before timestamps existed count as neither
+        if (pState.completedAt) {
+          if (isOnDay(p, pState)) onDay++;
+          else catchUp++;
+        }
       }
     });
 
@@ -699,6 +1744,17 @@
     const lost = completed.filter(s => s.status === 'lost');
     const total = completed.length;
     const winPct = total > 0 ? Math.round((won.length / total) * 100) : 0;
+    const hardWins = won.filter(s => s.hardMode).length;
+    const streaks = computeStreaks();
+    const avgGuesses = won.length > 0
+      ? (won.reduce((sum, s) => sum + s.guesses.length, 0) / won.length).toFixed(1)
+      : '–';
+    const hintPct = Math.round((completed.filter(s => hintsUsedIn(s) > 0).length / total) * 100);
+
+    // Timed wins: best and median solve time
+    const times = won.map(s => s.solveMs).filter(ms => typeof ms === 'number').sort((a, b) => a - b);
+    const mid = Math.floor(times.length / 2);
+    const medianTime = times.length % 2 === 1 ? times[mid] : (times[mid - 1] + times[mid]) / 2;
 
     // Guess distribution: count how many wins at each guess number (1-6)
     const dist = [0, 0, 0, 0, 0, 0]; // index 0 = 1 guess, index 5 = 6 guesses
@@ -709,15 +1765,37 @@
 
     // Summary row
     statsSummary.innerHTML = `
-      <div class="stat-box"><div class="stat-value">${won.length}</div><div class="stat-label">Solved</div></div>
-      <div class="stat-box"><div class="stat-value">${total}</div><div class="stat-label">Played</div></div>
-      <div class="stat-box"><div class="stat-value">${available}</div><div class="stat-label">Available</div></div>
-      <div class="stat-box"><div class="stat-value">${winPct}%</div><div class="stat-label">Win Rate</div></div>
+      <div class="stat-box"><div class="stat-value">${won.length}</div><div class="stat-label">${t('stats.solved')}</div></div>
+      <div class="stat-box"><div class="stat-value">${total}</div><div class="stat-label">${t('stats.played')}</div></div>
+      <div class="stat-box"><div class="stat-value">${available}</div><div class="stat-label">${t('stats.available')}</div></div>
+      <div class="stat-box"><div class="stat-value">${winPct}%</div><div class="stat-label">${t('stats.winRate')}</div></div>
+      ${hardWins > 0 ? `<div class="stat-box"><div class="stat-value">${hardWins}</div><div class="stat-label">${t('stats.hardMode')}</div></div>` : ''}
     `;
 
+    // Streaks and habits row
+    statsStreaks.innerHTML = `
+      <div class="stat-box"><div class="stat-value">${streaks.current}</div><div class="stat-label">${t('stats.currentStreak')}</div></div>
+      <div class="stat-box"><div class="stat-value">${streaks.max}</div><div class="stat-label">${t('stats.maxStreak')}</div></div>
+      <div class="stat-box"><div class="stat-value">${onDay}</div><div class="stat-label">${t('stats.onTheDay')}</div></div>
+      <div class="stat-box"><div class="stat-value">${catchUp}</div><div class="stat-label">${t('stats.caughtUp')}</div></div>
+      <div class="stat-box"><div class="stat-value">${avgGuesses}</div><div class="stat-label">${t('stats.avgGuesses')}</div></div>
+      <div class="stat-box"><div class="stat-value">${hintPct}%</div><div class="stat-label">${t('stats.usedHints')}</div></div>
+      ${times.length > 0 ? `
+      <div class="stat-box"><div class="stat-value">${formatDuration(times[0])}</div><div class="stat-label">${t('stats.bestTime')}</div></div>
+      <div class="stat-box"><div class="stat-value">${formatDuration(medianTime)}</div><div class="stat-label">${t('stats.medianTime')}</div></div>` : ''}
+    `;
+
+    // Highlight the bar for the puzzle being viewed, if it's finished
+    const viewed = currentPuzzle && isDailyPuzzle(currentPuzzle.puzzleId) ? gameState[currentPuzzle.puzzleId] : null;
+    let highlightRow = null; // 0-5 for a win at that guess count, 'fail' for a loss
+    if (viewed && viewed.status === 'won') highlightRow = viewed.guesses.length - 1;
+    if (viewed && viewed.status === 'lost') highlightRow = 'fail';
+    const barClass = (row, baseClass) =>
+      highlightRow === null || highlightRow === row ? baseClass : 'bar-dim';
+
     // Distribution bars
     const maxCount = Math.max(...dist, lost.length, 1);
-    let distHTML = '<h3 class="dist-header">Attempts</h3>';
+    let distHTML = `<h3 class="dist-header">${t('stats.attempts')}</h3>`;
 
     for (let i = 0; i < 6; i++) {
       const count = dist[i];
@@ -728,7 +1806,7 @@
         <div class="dist-row">
           <div class="dist-label">${i + 1}</div>
           <div class="dist-bar-wrapper">
-            <div class="dist-bar bar-green" style="width:${barWidth}%"></div>
+            <div class="dist-bar ${barClass(i, 'bar-green')}" style="width:${barWidth}%"></div>
             <span class="dist-value">${count} (${pct}%)</span>
           </div>
         </div>
@@ -744,7 +1822,7 @@
         <div class="dist-row">
           <div class="dist-label">✗</div>
           <div class="dist-bar-wrapper">
-            <div class="dist-bar bar-red" style="width:${failWidth}%"></div>
+            <div class="dist-bar ${barClass('fail', 'bar-red')}" style="width:${failWidth}%"></div>
             <span class="dist-value">${failCount} (${failPct}%)</span>
           </div>
         </div>
@@ -755,7 +1833,53 @@
   }
 
   // ---- Calendar-style Previous Puzzles ----
+  // Enter/Space on a focused banner, header or cell acts like a click
+  function activateOnKey(el, action) {
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        e.stopPropagation();
+        action();
+      }
+    });
+  }
+
+  function describePuzzleStatus(puzzleId) {
+    const pState = gameState[puzzleId];
+    if (!pState) return t('calendar.notStarted');
+    if (pState.status === 'won') return t('calendar.solvedIn', { count: pState.guesses.length });
+    if (pState.status === 'lost') return t('calendar.notSolved');
+    return t('calendar.inProgress');
+  }
+
+  // Arrow keys move between the cells of one month's grid (one tab stop per
+  // grid, the usual roving tabindex); Home/End jump to the ends.
+  function handleCalendarKey(e) {
+    const cells = Array.from(e.currentTarget.querySelectorAll('.cal-cell'));
+    const index = cells.indexOf(document.activeElement);
+    if (index === -1) return;
+    const columns = getComputedStyle(e.currentTarget).gridTemplateColumns.split(' ').length || 1;
+    const moves = {
+      ArrowLeft: index - 1,
+      ArrowRight: index + 1,
+      ArrowUp: index - columns,
+      ArrowDown: index + columns,
+      Home: 0,
+      End: cells.length - 1
+    };
+    if (!(e.key in moves)) return;
+    // Keep the page's letter typing and scrolling out of it
+    e.preventDefault();
+    e.stopPropagation();
+    const next = cells[Math.max(0, Math.min(cells.length - 1, moves[e.key]))];
+    cells.forEach(c => { c.tabIndex = c === next ? 0 : -1; });
+    next.focus();
+  }
+
   function renderPuzzlesList() {
+    // Re-rendering replaces every cell, so put keyboard focus back afterwards
+    const focusedCell = document.activeElement?.closest('.cal-cell');
+    const focusedId = focusedCell ? focusedCell.dataset.puzzleId : null;
     puzzlesCalendarEl.innerHTML = '';
     const puzzlesNav = document.getElementById('puzzles-nav');
 
@@ -774,6 +1898,8 @@
     if (viewingPrevious && todayPuzzle) {
       const banner = document.createElement('div');
       banner.className = 'cal-today-banner';
+      banner.setAttribute('role', 'button');
+      banner.tabIndex = 0;
 
       const pState = gameState[todayPuzzle.puzzleId];
       let statusClass = 'not-started';
@@ -786,11 +1912,12 @@
       banner.innerHTML = `
         <div class="puzzle-nav-status ${statusClass}"></div>
         <div class="cal-today-banner-info">
-          <div class="cal-today-banner-title">Today &mdash; Puzzle #${todayPuzzle.puzzleNumber}</div>
-          <div class="cal-today-banner-sub">Back to today's puzzle</div>
+          <div class="cal-today-banner-title">${t('calendar.today', { number: todayPuzzle.puzzleNumber })}</div>
+          <div class="cal-today-banner-sub">${t('calendar.backToToday')}</div>
         </div>
       `;
       banner.addEventListener('click', () => loadPuzzle(todayPuzzle.puzzleId));
+      activateOnKey(banner, () => loadPuzzle(todayPuzzle.puzzleId));
       puzzlesCalendarEl.appendChild(banner);
     }
 
@@ -819,7 +1946,7 @@
       puzzles.sort((a, b) => b.date.localeCompare(a.date));
 
       const dateRef = new Date(monthKey + '-15T12:00:00');
-      const monthName = dateRef.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+      const monthName = dateRef.toLocaleDateString(locale, { month: 'long', year: 'numeric' });
 
       // Auto-expand: first month (most recent) OR the month containing the active puzzle
       const isExpanded = idx === 0 || monthKey === activeMonthKey;
@@ -829,21 +1956,30 @@
 
       const header = document.createElement('div');
       header.className = 'cal-month-header';
+      header.setAttribute('role', 'button');
+      header.setAttribute('aria-expanded', isExpanded);
+      header.tabIndex = 0;
       header.innerHTML = `
         <span class="cal-month-title">${monthName} (${puzzles.length})</span>
-        <span class="cal-month-toggle ${isExpanded ? 'open' : ''}">▼</span>
+        <span class="cal-month-toggle ${isExpanded ? 'open' : ''}" aria-hidden="true">▼</span>
       `;
 
       const body = document.createElement('div');
       body.className = 'cal-month-body' + (isExpanded ? ' open' : '');
 
-      header.addEventListener('click', () => {
-        body.classList.toggle('open');
+      const toggleMonth = () => {
+        const open = body.classList.toggle('open');
         header.querySelector('.cal-month-toggle').classList.toggle('open');
-      });
+        header.setAttribute('aria-expanded', open);
+      };
+      header.addEventListener('click', toggleMonth);
+      activateOnKey(header, toggleMonth);
 
       const grid = document.createElement('div');
       grid.className = 'cal-grid';
+      grid.setAttribute('role', 'group');
+      grid.setAttribute('aria-label', monthName);
+      grid.addEventListener('keydown', handleCalendarKey);
 
       puzzles.forEach(p => {
         const pState = gameState[p.puzzleId];
@@ -855,50 +1991,557 @@
         }
 
         const dateObj = new Date(p.date + 'T12:00:00');
-        const dayStr = dateObj.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        const dayStr = dateObj.toLocaleDateString(locale, { month: 'short', day: 'numeric' });
 
         const cell = document.createElement('div');
         cell.className = 'cal-cell';
+        cell.dataset.puzzleId = p.puzzleId;
+        cell.setAttribute('role', 'button');
+        cell.setAttribute('aria-label', t('calendar.cell', {
+          number: p.puzzleNumber,
+          day: dayStr,
+          status: describePuzzleStatus(p.puzzleId)
+        }));
+        cell.tabIndex = -1;
         if (currentPuzzle && p.puzzleId === currentPuzzle.puzzleId) {
           cell.classList.add('active');
+          cell.setAttribute('aria-current', 'true');
         }
 
         cell.innerHTML = `
-          <div class="cal-cell-top">
+          <div class="cal-cell-top" aria-hidden="true">
             <span class="cal-cell-number">#${p.puzzleNumber}</span>
             <div class="puzzle-nav-status ${statusClass}"></div>
           </div>
-          <div class="cal-cell-day">${dayStr}</div>
+          <div class="cal-cell-day" aria-hidden="true">${dayStr}</div>
           ${buildAttemptBoxes(p.puzzleId)}
         `;
 
         cell.addEventListener('click', () => loadPuzzle(p.puzzleId));
+        activateOnKey(cell, () => loadPuzzle(p.puzzleId));
         grid.appendChild(cell);
       });
 
+      // The grid's single tab stop: the puzzle being played, else the newest
+      const tabStop = grid.querySelector('.cal-cell.active') || grid.firstElementChild;
+      if (tabStop) tabStop.tabIndex = 0;
+
       body.appendChild(grid);
       group.appendChild(header);
       group.appendChild(body);
       puzzlesCalendarEl.appendChild(group);
     });
 
+    if (focusedId) {
+      const cell = puzzlesCalendarEl.querySelector(`.cal-cell[data-puzzle-id="${focusedId}"]`);
+      if (cell) {
+        puzzlesCalendarEl.querySelectorAll('.cal-cell').forEach(c => {
+          if (c.parentElement === cell.parentElement) c.tabIndex = c === cell ? 0 : -1;
+        });
+        cell.focus();
+      }
+    }
+
     // Render stats scoreboard
     renderStats();
   }
 
+  // ---- Community Leaderboard ----
+  const leaderboardList = document.getElementById('leaderboard-list');
+  const displayNameInput = document.getElementById('display-name-input');
+  const LEADERBOARD_EMPTY = {
+    daily: 'leaderboard.emptyDaily',
+    fastest: 'leaderboard.emptyFastest',
+    'all-time': 'leaderboard.emptyAllTime'
+  };
+  let activeBoard = 'daily';
+  let displayName = null;
+
+  async function loadDisplayName() {
+    try {
+      const res = await fetch('/api/player');
+      displayName = (await res.json()).name;
+      displayNameInput.value = displayName || '';
+    } catch {}
+  }
+
+  async function loadLeaderboard() {
+    if (!currentPuzzle) return;
+    // Custom and practice games have no leaderboard, so show today's instead
+    const boardPuzzle = isDailyPuzzle(currentPuzzle.puzzleId)
+      ? currentPuzzle
+      : allPuzzlesList.find(p => p.puzzleId === todayPuzzleId);
+    if (!boardPuzzle) return;
+    document.getElementById('lb-puzzle-number').textContent = boardPuzzle.puzzleNumber;
+    const url = activeBoard === 'all-time'
+      ? '/api/leaderboard/all-time'
+      : `/api/leaderboard/${activeBoard}?puzzleId=${boardPuzzle.puzzleId}`;
+    try {
+      const res = await fetch(url);
+      if (!res.ok) return;
+      renderLeaderboard((await res.json()).entries);
+    } catch (err) {
+      console.error('Error loading leaderboard:', err);
+    }
+  }
+
+  function renderLeaderboard(entries) {
+    leaderboardList.innerHTML = '';
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'lb-empty';
+      empty.textContent = t(LEADERBOARD_EMPTY[activeBoard]);
+      leaderboardList.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => {
+      const li = document.createElement('li');
+      li.className = 'lb-entry' + (displayName && entry.name === displayName ? ' you' : '');
+      const guesses = `${entry.guesses}/${MAX_GUESSES}${entry.hardMode ? '*' : ''}`;
+      const score = activeBoard === 'daily' ? guesses
+        : activeBoard === 'fastest' ? t('leaderboard.fastestScore', { time: formatDuration(entry.solveMs), guesses })
+        : t('leaderboard.allTimeScore', { wins: entry.wins, average: entry.averageGuesses ?? '–' });
+      [['lb-rank', entry.rank], ['lb-name', entry.name], ['lb-score', score]].forEach(([cls, text]) => {
+        const span = document.createElement('span');
+        span.className = cls;
+        span.textContent = text;
+        li.appendChild(span);
+      });
+      leaderboardList.appendChild(li);
+    });
+  }
+
+  document.querySelectorAll('.lb-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      activeBoard = tab.dataset.board;
+      document.querySelectorAll('.lb-tab').forEach(t => t.classList.toggle('active', t === tab));
+      loadLeaderboard();
+    });
+  });
+
+  document.getElementById('display-name-btn').addEventListener('click', async () => {
+    try {
+      const res = await fetch('/api/player/name', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: displayNameInput.value })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        showToast(apiErrorMessage(data, 'leaderboard.nameFailed'), 3000);
+        return;
+      }
+      displayName = data.name;
+      showToast(displayName ? t('leaderboard.nameSaved', { name: displayName }) : t('leaderboard.anonymous'));
+      loadLeaderboard();
+    } catch {
+      showToast(t('toast.connectionError'));
+    }
+  });
+
+  // ---- Progress Export / Import / Sync ----
+  // Export codes look like SVWB.<Z|J>.<base64url payload>.<crc32>, where Z
+  // means the JSON payload is deflated and J means it's plain. Each puzzle is
+  // packed as [status, words, statuses, completedAt, flags, solveMs?] to keep codes short.
+  const STATUS_CODES = { won: 'w', lost: 'l', 'in-progress': 'i' };
+  const RESULT_CODES = { correct: 'c', present: 'p', absent: 'a' };
+  const SYNC_KEY_STORAGE = 'svwb_sync_key';
+  let syncKey = localStorage.getItem(SYNC_KEY_STORAGE);
+
+  function invert(map) {
+    return Object.fromEntries(Object.entries(map).map(([k, v]) => [v, k]));
+  }
+
+  function crc32(str) {
+    let crc = -1;
+    for (let i = 0; i < str.length; i++) {
+      crc ^= str.charCodeAt(i);
+      for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+    }
+    return ((crc ^ -1) >>> 0).toString(16).padStart(8, '0');
+  }
+
+  function bytesToBase64Url(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function base64UrlToBytes(str) {
+    const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(bin, c => c.charCodeAt(0));
+  }
+
+  async function pipeBytes(bytes, stream) {
+    const out = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(out).arrayBuffer());
+  }
+
+  function packState(state) {
+    const packed = {};
+    Object.entries(state).forEach(([id, p]) => {
+      if (!p.guesses || p.guesses.length === 0 || !isDailyPuzzle(id)) return;
+      packed[id] = [
+        STATUS_CODES[p.status] || 'i',
+        p.guesses.map(g => g.word).join(','),
+        p.guesses.map(g => g.result.map(r => RESULT_CODES[r.status]).join('')).join(','),
+        p.completedAt || 0,
+        (p.hardMode ? 1 : 0) | (hintsUsedIn(p) > 0 ? 2 : 0)
+      ];
+      if (p.solveMs != null || p.hintsUsed > 1) packed[id].push(p.solveMs != null ? p.solveMs : null);
+      if (p.hintsUsed > 1) packed[id].push(p.hintsUsed);
+    });
+    return { v: 1, p: packed };
+  }
+
+  function unpackState(data) {
+    if (!data || data.v !== 1 || typeof data.p !== 'object') throw new Error(t('sync.unsupported'));
+    const statuses = invert(STATUS_CODES);
+    const results = invert(RESULT_CODES);
+    const state = {};
+    Object.entries(data.p).forEach(([id, [status, words, marks, completedAt, flags, solveMs, hintsUsed]]) => {
+      const wordList = words.split(',');
+      const markList = marks.split(',');
+      if (!statuses[status] || wordList.length !== markList.length) throw new Error(t('sync.corrupt'));
+      state[id] = {
+        guesses: wordList.map((word, i) => {
+          if (word.length !== markList[i].length) throw new Error(t('sync.corrupt'));
+          return {
+            word,
+            result: word.split('').map((letter, c) => {
+              const mark = results[markList[i][c]];
+              if (!mark) throw new Error(t('sync.corrupt'));
+              return { letter, status: mark };
+            })
+          };
+        }),
+        status: statuses[status],
+        hardMode: !!(flags & 1),
+        completedAt: completedAt || null,
+        // Flag 2 alone means one hint, as it did when there was only the clue
+        hints: [],
+        hintsUsed: typeof hintsUsed === 'number' ? hintsUsed : (flags & 2 ? 1 : 0),
+        solveMs: typeof solveMs === 'number' ? solveMs : null
+      };
+    });
+    return state;
+  }
+
+  async function encodeProgress(state) {
+    let bytes = new TextEncoder().encode(JSON.stringify(packState(state)));
+    let mode = 'J';
+    if (window.CompressionStream) {
+      bytes = await pipeBytes(bytes, new CompressionStream('deflate-raw'));
+      mode = 'Z';
+    }
+    const payload = bytesToBase64Url(bytes);
+    return `SVWB.${mode}.${payload}.${crc32(payload)}`;
+  }
+
+  async function decodeProgress(code) {
+    const parts = code.trim().split('.');
+    if (parts.length !== 4 || parts[0] !== 'SVWB') throw new Error(t('sync.notExportCode'));
+    const [, mode, payload, checksum] = parts;
+    if (crc32(payload) !== checksum) throw new Error(t('sync.damaged'));
+    let bytes = base64UrlToBytes(payload);
+    if (mode === 'Z') {
+      if (!window.DecompressionStream) throw new Error(t('sync.cannotDecompress'));
+      bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (mode !== 'J') {
+      throw new Error(t('sync.notExportCode'));
+    }
+    return unpackState(JSON.parse(new TextDecoder().decode(bytes)));
+  }
+
+  // Merge per puzzle: only finished results come across, since the server
+  // counts an unfinished game's guesses from this session's own rows. A
+  // finished result beats an in-progress one and is never replaced. Returns
+  // how many changed.
+  function mergeProgress(incoming) {
+    let changed = 0;
+    Object.entries(incoming).forEach(([id, theirs]) => {
+      const ours = gameState[id];
+      const oursDone = ours && (ours.status === 'won' || ours.status === 'lost');
+      const theirsDone = theirs.status === 'won' || theirs.status === 'lost';
+      const take = theirsDone && !oursDone;
+      if (take) {
+        gameState[id] = theirs;
+        changed++;
+      }
+    });
+    if (changed > 0) saveState();
+    return changed;
+  }
+
+  async function importProgress(code) {
+    try {
+      const changed = mergeProgress(await decodeProgress(code));
+      showToast(changed > 0 ? t('sync.imported', { count: changed }) : t('sync.nothingNew'));
+      if (changed > 0 && currentPuzzle) await loadPuzzle(currentPuzzle.puzzleId);
+      if (syncKey) syncWithServer();
+    } catch (err) {
+      showToast(err.message || t('sync.invalidCode'), 3000);
+    }
+  }
+
+  // Pull the blob stored under the sync key, merge it, then push the result
+  async function syncWithServer({ quiet = true } = {}) {
+    if (!syncKey) return;
+    try {
+      const res = await fetch(`/api/sync/${syncKey}`);
+      if (res.status === 404) {
+        showToast(t('sync.keyMissing'), 3000);
+        setSyncKey(null);
+        return;
+      }
+      if (!res.ok) throw new Error(`Sync failed: HTTP ${res.status}`);
+      const { blob } = await res.json();
+      const changed = mergeProgress(await decodeProgress(blob));
+      await fetch(`/api/sync/${syncKey}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ blob: await encodeProgress(gameState) })
+      });
+      if (changed > 0) renderPuzzlesList();
+      if (!quiet) showToast(changed > 0 ? t('sync.synced', { count: changed }) : t('sync.alreadyInSync'));
+    } catch (err) {
+      console.error('Sync error:', err);
+      if (!quiet) showToast(t('sync.failed'));
+    }
+  }
+
+  function setSyncKey(key) {
+    syncKey = key;
+    if (key) localStorage.setItem(SYNC_KEY_STORAGE, key);
+    else localStorage.removeItem(SYNC_KEY_STORAGE);
+    updateSyncUI();
+  }
+
+  function updateSyncUI() {
+    document.getElementById('sync-unlinked').classList.toggle('hidden', !!syncKey);
+    document.getElementById('sync-linked').classList.toggle('hidden', !syncKey);
+    document.getElementById('sync-status').textContent = syncKey
+      ? t('sync.linked', { key: syncKey })
+      : t('sync.unlinked');
+  }
+
+  document.getElementById('export-copy-btn').addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(await encodeProgress(gameState));
+      showToast(t('sync.exportCopied'));
+    } catch {
+      showToast(t('sync.exportCopyFailed'));
+    }
+  });
+
+  document.getElementById('export-file-btn').addEventListener('click', async () => {
+    const blob = new Blob([await encodeProgress(gameState)], { type: 'text/plain' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'svwb-progress.txt';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  });
+
+  document.getElementById('import-btn').addEventListener('click', () => {
+    const input = document.getElementById('import-code');
+    if (!input.value.trim()) return;
+    importProgress(input.value).then(() => { input.value = ''; });
+  });
+
+  document.getElementById('import-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (file) await importProgress(await file.text());
+    e.target.value = '';
+  });
+
+  document.getElementById('sync-create-btn').addEventListener('click', async () => {
+    try {
+      const res = await fetch('/api/sync', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ blob: await encodeProgress(gameState) })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(apiErrorMessage(data, 'sync.createFailed'));
+      setSyncKey(data.key);
+      showToast(t('sync.keyCreated', { key: data.key }), 4000);
+    } catch (err) {
+      showToast(err.message || t('sync.createFailed'));
+    }
+  });
+
+  document.getElementById('sync-link-btn').addEventListener('click', async () => {
+    const key = document.getElementById('sync-key-input').value.trim().toUpperCase();
+    if (!key) return;
+    setSyncKey(key);
+    await syncWithServer({ quiet: false });
+    if (syncKey && currentPuzzle) await loadPuzzle(currentPuzzle.puzzleId);
+  });
+
+  document.getElementById('sync-now-btn').addEventListener('click', () => syncWithServer({ quiet: false }));
+  document.getElementById('sync-unlink-btn').addEventListener('click', () => setSyncKey(null));
+
+  // ---- Practice Mode ----
+  const practiceStatsEl = document.getElementById('practice-stats');
+
+  function recordPracticeResult(pState) {
+    if (!currentPuzzle || !currentPuzzle.practice) return;
+    const stats = practiceState.stats;
+    stats.played++;
+    if (pState.status === 'won') {
+      stats.won++;
+      stats.distribution[pState.guesses.length - 1]++;
+      stats.currentStreak++;
+      stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
+    } else {
+      stats.currentStreak = 0;
+    }
+    renderPracticeStats();
+  }
+
+  function renderPracticeStats() {
+    const { played, won, currentStreak, maxStreak } = practiceState.stats;
+    practiceStatsEl.classList.toggle('hidden', played === 0);
+    if (played === 0) return;
+    practiceStatsEl.textContent = t('practice.stats', {
+      played,
+      pct: Math.round((won / played) * 100),
+      streak: currentStreak,
+      max: maxStreak
+    });
+  }
+
+  async function startPractice() {
+    try {
+      const res = await fetch('/api/practice', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ previousId: practiceState.puzzleId })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        showToast(apiErrorMessage(data, 'practice.failed'));
+        return;
+      }
+      getPuzzleState(data.puzzleId);
+      saveState();
+      await loadPuzzle(data.puzzleId);
+    } catch (err) {
+      console.error('Practice error:', err);
+      showToast(t('practice.failed'));
+    }
+  }
+
+  // Pick up an unfinished practice game before starting a new one
+  document.getElementById('practice-btn').addEventListener('click', () => {
+    const game = practiceState.game;
+    if (practiceState.puzzleId && game && game.status === 'in-progress') {
+      loadPuzzle(practiceState.puzzleId);
+    } else {
+      startPractice();
+    }
+  });
+
+  newWordBtn.addEventListener('click', startPractice);
+
+  // ---- Create a Puzzle ----
+  // The server seals the answer into the link, so the creator's browser
+  // never keeps it
+  const createForm = document.getElementById('create-form');
+  const createResult = document.getElementById('create-result');
+  const createLink = document.getElementById('create-link');
+
+  createForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    createResult.classList.add('hidden');
+    try {
+      const res = await fetch('/api/custom', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          answer: document.getElementById('create-answer').value,
+          clue: document.getElementById('create-clue').value,
+          author: document.getElementById('create-author').value
+        })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(apiErrorMessage(data, 'create.failed'));
+      createLink.value = data.url;
+      createResult.classList.remove('hidden');
+      createLink.select();
+    } catch (err) {
+      showToast(err.message || t('create.failed'), 3000);
+    }
+  });
+
+  document.getElementById('create-copy-btn').addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(createLink.value);
+      showToast(t('create.copied'));
+    } catch {
+      showToast(t('create.copyFailed'));
+    }
+  });
+
+  // ---- Language & Keyboard Settings ----
+  const localeSelect = document.getElementById('locale-select');
+  const keyboardSelect = document.getElementById('keyboard-select');
+
+  // "Automatic" options name what they currently resolve to
+  function renderSettings() {
+    const fill = (select, automatic, entries, saved) => {
+      select.innerHTML = '';
+      select.appendChild(new Option(`${t('settings.automatic')} (${automatic})`, ''));
+      entries.forEach(([value, label]) => select.appendChild(new Option(label, value)));
+      select.value = entries.some(([value]) => value === saved) ? saved : '';
+    };
+    fill(localeSelect, LOCALES[browserLocale()], Object.entries(LOCALES),
+      localStorage.getItem('svwb_locale'));
+    fill(keyboardSelect, LOCALE_KEYBOARDS[locale].toUpperCase(),
+      Object.keys(KB_LAYOUTS).map(layout => [layout, layout.toUpperCase()]),
+      localStorage.getItem('svwb_keyboard'));
+  }
+
+  // Nearly every string on the page would need redrawing, so reload instead
+  localeSelect.addEventListener('change', () => {
+    if (localeSelect.value) localStorage.setItem('svwb_locale', localeSelect.value);
+    else localStorage.removeItem('svwb_locale');
+    location.reload();
+  });
+
+  keyboardSelect.addEventListener('change', () => {
+    if (keyboardSelect.value) localStorage.setItem('svwb_keyboard', keyboardSelect.value);
+    else localStorage.removeItem('svwb_keyboard');
+    createKeyboard();
+  });
+
   // ---- Load a Puzzle ----
   async function loadPuzzle(puzzleId) {
+    stopReplay();
+    pauseGameTimer();
     try {
       const res = await fetch(`/api/puzzle/${puzzleId}`);
       if (!res.ok) {
-        const err = await res.json();
-        showToast(err.error || 'Cannot load puzzle');
+        showToast(apiErrorMessage(await res.json(), 'toast.cannotLoadPuzzle'));
+        resumeGameTimer();
         return;
       }
       const data = await res.json();
 
       currentPuzzle = data;
-      puzzleNumberEl.textContent = data.puzzleNumber;
+      wordLength = data.wordLength || DEFAULT_WORD_LENGTH;
+      puzzleLabelEl.textContent = t(data.custom ? 'puzzle.custom' : data.practice ? 'puzzle.practice' : 'puzzle.label');
+      puzzleNumberEl.textContent = data.puzzleNumber || '';
+      // Leaving a replay link, or a custom puzzle's link for a daily one
+      if (location.pathname.startsWith('/r/') || (!data.custom && location.pathname.startsWith('/c/'))) {
+        history.replaceState(null, '', '/');
+      }
+      puzzleAuthorEl.textContent = data.author ? t('puzzle.author', { author: data.author }) : '';
+      puzzleAuthorEl.classList.toggle('hidden', !data.author);
 
       // Store alt sound overrides for this puzzle
       currentAltSounds = {
@@ -906,12 +2549,6 @@
         lose: data.altLoseSound ? `/api/sounds/${data.altLoseSound}` : null
       };
 
-      // Set clue text but keep hidden until conditions met
-      clueText.textContent = data.clue;
-      clueText.classList.add('hidden');
-      clueRevealed = false;
-      clueBtn.textContent = 'Show Clue';
-
       // Reset UI
       createBoard();
       resetKeyboardColors();
@@ -920,70 +2557,114 @@
       revealBtn.classList.add('hidden');
       revealedAnswer.classList.add('hidden');
       playPrevBtn.classList.add('hidden');
-
-      // Load saved state
+      newWordBtn.classList.add('hidden');
+      shareBtn.classList.add('hidden');
+      shareImageBtn.classList.add('hidden');
+      replayBtn.classList.add('hidden');
+      replayLinkBtn.classList.add('hidden');
+      analysisBtn.classList.add('hidden');
+      hideAnalysis();
+      globalStatsEl.classList.add('hidden');
+
+      // Load saved state – the server session is authoritative for any
+      // puzzle that isn't already finished locally
       const pState = getPuzzleState(data.puzzleId);
+      const isLocallyFinished = pState.status === 'won' || pState.status === 'lost';
+      if (!isLocallyFinished && data.progress) {
+        pState.guesses = data.progress.guesses;
+        pState.status = data.progress.status;
+        pState.hardMode = data.progress.hardMode;
+        pState.completedAt = data.progress.completedAt;
+        pState.hints = data.progress.hints;
+        pState.hintsUsed = data.progress.hintsUsed;
+        saveState();
+      }
       currentRow = pState.guesses.length;
       currentGuess = '';
       gameOver = pState.status === 'won' || pState.status === 'lost';
+      sessionOwnsResult = !!data.progress && (data.progress.status === 'won' || data.progress.status === 'lost');
 
       // Restore board
       if (pState.guesses.length > 0) {
         restoreBoard(pState);
       }
 
-      // Show result if already finished
-      if (pState.status === 'won') {
-        showResult('won', pState.guesses.length);
-        tryShowAnswerImage(data.puzzleId);
-      } else if (pState.status === 'lost') {
-        showResult('lost');
+      // Show a guess still waiting for the connection to come back
+      const pending = getPendingGuess(data.puzzleId);
+      if (pending && !gameOver) {
+        currentGuess = pending.guess;
+        currentGuess.split('').forEach((letter, c) => updateTileLetter(currentRow, c, letter));
+        setRowPending(currentRow, true);
       }
 
-      // Update clue button visibility
-      updateClueVisibility();
+      // Show result if already finished
+      showFinishedResult(data.puzzleId, pState);
+
+      renderHints();
+      resumeGameTimer();
 
       // Preload sounds for the next guess
       SoundManager.preloadForGuess(currentRow + 1);
 
       // Refresh nav highlighting
       renderPuzzlesList();
+      loadLeaderboard();
 
       // Scroll to top
       window.scrollTo({ top: 0, behavior: 'smooth' });
 
     } catch (err) {
       console.error('Error loading puzzle:', err);
-      showToast('Error loading puzzle');
+      showToast(t('toast.loadPuzzleFailed'));
+      resumeGameTimer();
     }
   }
 
   // ---- Initialize ----
   async function init() {
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Service worker registration failed:', err));
+    }
     SoundManager.init();
+    await loadLocale();
+    translatePage();
+    updateSyncUI();
+    renderSettings();
     gameState = loadState();
+    practiceState = loadPracticeState();
+    renderPracticeStats();
     createBoard();
     createKeyboard();
 
+    // Opened from a custom puzzle's share link, or a replay link
+    const customMatch = location.pathname.match(/^\/c\/([\w-]+)\/?$/);
+    const replayMatch = location.pathname.match(/^\/r\/([\w-]+)\/?$/);
+
     try {
-      const res = await fetch('/api/today');
+      const res = await fetch('/api/today', { headers: TIME_ZONE_HEADERS });
       const data = await res.json();
       nextPuzzleTime = data.nextPuzzleTime;
+      puzzleTimeZone = data.timeZone || puzzleTimeZone;
       todayPuzzleId = data.puzzleId || null;
 
-      if (!data.active && data.totalAvailable === 0) {
-        showToast(data.message || 'No puzzles available yet.', 5000);
+      if (!data.active && data.totalAvailable === 0 && !customMatch && !replayMatch) {
+        showToast(t('toast.noPuzzles'), 5000);
         startCountdown();
         return;
       }
 
       await refreshPuzzlesList();
-      await loadPuzzle(data.puzzleId);
+      await syncWithServer();
+      loadDisplayName();
+      if (!replayMatch || !(await openSharedReplay(replayMatch[1]))) {
+        await loadPuzzle(customMatch ? CUSTOM_ID_PREFIX + customMatch[1] : data.puzzleId);
+      }
       startCountdown();
+      if (navigator.onLine) replayPendingGuesses();
 
     } catch (err) {
       console.error('Init error:', err);
-      showToast('Error loading puzzle. Please refresh.', 5000);
+      showToast(t(navigator.onLine ? 'toast.initFailed' : 'toast.initOffline'), 5000);
     }
   }
 
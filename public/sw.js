@@ -0,0 +1,133 @@
+/* =====================================================
+   Slave, Vader, Wampa, Bingo – Service Worker
+   Keeps the app shell, puzzle metadata and already-heard
+   sounds available offline.
+   ===================================================== */
+
+const CACHE_VERSION = 'v16';
+const SHELL_CACHE = `svwb-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `svwb-data-${CACHE_VERSION}`;
+const SOUND_CACHE = `svwb-sounds-${CACHE_VERSION}`;
+
+// Must match the URLs index.html actually requests
+const SHELL_URLS = [
+  '/',
+  '/css/style.css?v=10',
+  '/js/app.js?v=17',
+  '/locales/en.json?v=10',
+  '/locales/de.json?v=10',
+  '/locales/fr.json?v=10',
+  '/images/logo.png',
+  '/images/banner.png',
+  '/manifest.webmanifest'
+];
+
+// Puzzle metadata needed to start offline (these responses never contain answers)
+const DATA_PATTERNS = [
+  /^\/api\/today$/,
+  /^\/api\/puzzles\/list$/,
+  /^\/api\/puzzle\/\d{8}$/
+];
+
+// A puzzle also carries the player's progress, which is only current while
+// online – a stale copy would overwrite newer guesses made offline
+const PROGRESS_PATTERN = /^\/api\/puzzle\/\d{8}$/;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, DATA_CACHE, SOUND_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => !current.includes(k)).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ---- Strategies ----
+
+// Copy of a JSON response without its "progress" field
+async function withoutProgress(response) {
+  const data = await response.json();
+  delete data.progress;
+  return new Response(JSON.stringify(data), {
+    status: response.status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// Try the network, fall back to the cache (or a fallback URL) when offline.
+// prepare, if given, turns the response into the copy that gets cached.
+async function networkFirst(request, cacheName, fallbackUrl, prepare) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const copy = prepare ? await prepare(response.clone()) : response.clone();
+      cache.put(request, copy);
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request) || (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Serve from cache right away and refresh it in the background
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const refresh = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || refresh;
+}
+
+// Sounds never change, so a cached copy wins. Audio elements often ask for
+// byte ranges; partial (206) responses can't be cached, so those are passed
+// through and the full file is fetched separately for next time.
+async function cacheFirstSound(request) {
+  const cache = await caches.open(SOUND_CACHE);
+  const cached = await cache.match(request.url);
+  if (cached) return cached;
+
+  if (request.headers.has('range')) {
+    fetch(request.url)
+      .then(response => { if (response.status === 200) cache.put(request.url, response); })
+      .catch(() => {});
+    return fetch(request);
+  }
+
+  const response = await fetch(request);
+  if (response.status === 200) cache.put(request.url, response.clone());
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+  } else if (url.pathname.startsWith('/api/sounds/')) {
+    event.respondWith(cacheFirstSound(request));
+  } else if (DATA_PATTERNS.some(re => re.test(url.pathname))) {
+    const prepare = PROGRESS_PATTERN.test(url.pathname) ? withoutProgress : undefined;
+    event.respondWith(networkFirst(request, DATA_CACHE, undefined, prepare));
+  } else if (!url.pathname.startsWith('/api/') && !url.pathname.startsWith('/admin')) {
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+  }
+});
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// ---------------------------------------------------------------------------
+// npm run lint-puzzles – check the puzzle schedule (PUZZLE_* env vars, .env
+// and the catalog file) and exit non-zero if anything needs fixing.
+// Answer images and sounds are looked up in the local asset folders only.
+// ---------------------------------------------------------------------------
+const fs = require('fs');
+const path = require('path');
+const { lintPuzzles } = require('../lib/puzzle-lint');
+const { localAssetDirs } = require('../lib/assets');
+
+// The server logs what it loads as it starts; this report covers all of it
+const { log, warn, error } = console;
+console.log = console.warn = console.error = () => {};
+const server = require('../server');
+Object.assign(console, { log, warn, error });
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'gif', 'webp'];
+const dirs = localAssetDirs(process.env, { publicDir: path.join(__dirname, '..', 'public') });
+
+const rejects = [];
+let entries = server.loadEnvPuzzles(rejects);
+let catalogError = null;
+try {
+  entries = entries.concat(server.loadCatalogPuzzles() || []);
+} catch (err) {
+  catalogError = err.message;
+}
+
+const result = lintPuzzles(entries, {
+  validatePuzzle: server.validatePuzzle,
+  findScheduleGaps: server.findScheduleGaps,
+  isDictionaryWord: word => server.DICTIONARY_WORDS.has(word) || server.THEMED_WORDS.has(word),
+  soundExists: name => fs.existsSync(path.join(dirs.sounds, name)),
+  imageExists: puzzle => (puzzle.image ? [puzzle.image] : IMAGE_EXTENSIONS.map(ext => `${puzzle.id}.${ext}`))
+    .some(name => fs.existsSync(path.join(dirs.answers, name))),
+  today: server.getPuzzleDateString()
+});
+
+result.problems.unshift(...rejects);
+if (catalogError) {
+  result.problems.unshift({ label: path.basename(process.env.PUZZLES_FILE || 'puzzles.json'), message: catalogError });
+}
+
+result.problems.forEach(({ label, message }) => console.log(`${label}: ${message}`));
+if (result.problems.length > 0) console.log('');
+console.log(`${result.checked} puzzle entries checked, ${result.problems.length} problem${result.problems.length === 1 ? '' : 's'}`);
+console.log(result.daysLeft > 0
+  ? `${result.daysLeft} day${result.daysLeft === 1 ? '' : 's'} of puzzles left, through ${result.lastDate}`
+  : 'The puzzle queue has run dry');
+
+process.exitCode = result.problems.length > 0 ? 1 : 0;
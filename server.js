@@ -1,12 +1,79 @@
-require('dotenv').config();
+// Tests set their own environment; a developer's .env must not leak into them
+if (process.env.NODE_ENV !== 'test') require('dotenv').config();
 const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
+const { createSessionStore, isFinished } = require('./lib/sessions');
+const { createAdminAuth } = require('./lib/admin-auth');
+const { createJsonStore } = require('./lib/json-store');
+const { createLeaderboard } = require('./lib/leaderboard');
+const { createAssetProvider, backendsFromEnv, sendAsset } = require('./lib/assets');
+const { createRateLimiter, parseLimit } = require('./lib/rate-limit');
+const { errorBody, sendError } = require('./lib/api-errors');
+const { createCustomPuzzleCodec, isCustomPuzzleId, CUSTOM_ID_PREFIX } = require('./lib/custom-puzzles');
+const { createReplayCodec } = require('./lib/replays');
+const { analyzeGame } = require('./lib/game-analysis');
+const { createLruCache } = require('./lib/lru-cache');
+const { closestWords } = require('./lib/suggest');
+const { normalizeTimeZone, dateInZone, nextMidnight } = require('./lib/timezones');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const MAX_GUESSES = 6;
+const MIN_WORD_LENGTH = 4;
+const MAX_WORD_LENGTH = 7;
 
 app.use(express.json());
 
+// Behind a proxy (Render: TRUST_PROXY=1) req.ip must come from X-Forwarded-For,
+// or every player would share the proxy's address for rate limiting
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// Server-side game sessions (signed cookie -> guesses per puzzle)
+const sessions = createSessionStore({
+  secret: process.env.SESSION_SECRET,
+  filePath: process.env.SESSIONS_FILE || path.join(__dirname, 'data', 'sessions.json')
+});
+
+// Community results for global stats and rankings
+const leaderboard = createLeaderboard({
+  filePath: process.env.LEADERBOARD_FILE || path.join(__dirname, 'data', 'leaderboard.json')
+});
+
+// ---------------------------------------------------------------------------
+// Rate limits, each overridable as RATE_LIMIT_<NAME>=<max>/<seconds> (a max
+// of 0 switches it off). Guesses are limited per IP, which stops an answer
+// being brute-forced with fresh sessions, and per player for shared IPs.
+// Every route that can start a session also limits new sessions per IP, so
+// cookieless requests can't grow the session store without bound.
+// Asset lookups that miss the memory cache reach GitHub/S3, so those get a
+// much tighter budget than cached files. Sync writes are stored on disk, so
+// they're limited per IP too.
+// ---------------------------------------------------------------------------
+function limiterFromEnv(name, envName, fallback, keyFor) {
+  return createRateLimiter({ name, keyFor, ...parseLimit(process.env[envName], fallback) });
+}
+
+const guessIpLimit = limiterFromEnv('guess-ip', 'RATE_LIMIT_GUESS_IP', { max: 60, windowMs: 60 * 1000 });
+function playerKey(req) {
+  const session = sessions.get(req);
+  return session ? sessions.getPlayerId(session) : null;
+}
+
+const guessPlayerLimit = limiterFromEnv('guess-player', 'RATE_LIMIT_GUESS_PLAYER', { max: 20, windowMs: 60 * 1000 }, playerKey);
+const hintPlayerLimit = limiterFromEnv('hints-player', 'RATE_LIMIT_HINTS_PLAYER', { max: 20, windowMs: 60 * 1000 }, playerKey);
+const timerPlayerLimit = limiterFromEnv('timer-player', 'RATE_LIMIT_TIMER_PLAYER', { max: 60, windowMs: 60 * 1000 }, playerKey);
+const newSessionIpLimit = limiterFromEnv('new-sessions-ip', 'RATE_LIMIT_NEW_SESSIONS_IP', { max: 30, windowMs: 10 * 60 * 1000 }, req => {
+  return sessions.get(req) ? null : req.ip;
+});
+const assetIpLimit = limiterFromEnv('assets-ip', 'RATE_LIMIT_ASSETS_IP', { max: 300, windowMs: 60 * 1000 });
+const assetMissLimit = limiterFromEnv('asset-misses-ip', 'RATE_LIMIT_ASSET_MISSES_IP', { max: 30, windowMs: 10 * 60 * 1000 });
+const syncIpLimit = limiterFromEnv('sync-ip', 'RATE_LIMIT_SYNC_IP', { max: 60, windowMs: 10 * 60 * 1000 });
+
 // Block direct static access to answer images
 app.use('/images/answers', (req, res, next) => {
   res.status(403).json({ error: 'Access denied' });
@@ -17,14 +84,124 @@ app.use('/sounds', (req, res, next) => {
   res.status(403).json({ error: 'Access denied' });
 });
 
+// Admin console and its API sit behind ADMIN_PASSWORD
+const requireAdmin = createAdminAuth(process.env.ADMIN_PASSWORD);
+app.use('/admin', requireAdmin);
+app.use('/api/admin', requireAdmin);
+app.use('/api/cache', requireAdmin);
+
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ---------------------------------------------------------------------------
-// Load puzzles from environment variables
-// Format: PUZZLE_001=ANSWER|Clue text here
+// Puzzle validation – shared by every puzzle source
+// Returns { puzzle } on success or { error } describing the first problem
 // ---------------------------------------------------------------------------
-function loadPuzzles() {
-  const puzzleMap = {}; // date string 'YYYY-MM-DD' -> { id, answer, clue, date }
+const SOUND_FILE_PATTERN = /^[\w\-]+\.(mp3|wav|ogg)$/i;
+const IMAGE_FILE_PATTERN = /^[\w\-]+\.(png|jpg|gif|webp)$/i;
+
+// Answers are MIN–MAX_WORD_LENGTH characters of A-Z, 0-9 and hyphens.
+// Returns { answer } (upper-cased) or { error }
+function validateAnswer(answer) {
+  answer = String(answer || '').toUpperCase().trim();
+  if (answer.length < MIN_WORD_LENGTH || answer.length > MAX_WORD_LENGTH) {
+    return { error: `answer "${answer}" is not ${MIN_WORD_LENGTH}–${MAX_WORD_LENGTH} characters` };
+  }
+  if (!/^[A-Z0-9\-]+$/.test(answer)) {
+    return { error: 'answer contains invalid characters' };
+  }
+  return { answer };
+}
+
+// Extra guess words come as an array or a comma/space separated string
+function parseExtraWords(extraWords) {
+  const list = Array.isArray(extraWords) ? extraWords : String(extraWords || '').split(/[\s,]+/);
+  return [...new Set(list.map(w => String(w).toUpperCase().trim()).filter(Boolean))];
+}
+
+// Hint ladders come as an array or a comma separated string of
+// type:guesses, taken in order – "clue:3, letter:4, absent:5" unlocks the
+// clue after three guesses, a letter's position after four and a letter
+// that isn't in the answer after five. "none" turns hints off. Returns
+// { hints } ([{ type, after }], or null when not given) or { error }
+const HINT_TYPES = ['clue', 'letter', 'absent'];
+
+function parseHints(hints) {
+  if (hints === undefined || hints === null || hints === '') return { hints: null };
+  if (String(hints).trim().toLowerCase() === 'none') return { hints: [] };
+  const list = Array.isArray(hints) ? hints : String(hints).split(',');
+  const parsed = [];
+  for (const item of list) {
+    const text = String(item).trim();
+    const match = text.toLowerCase().match(/^([a-z]+)\s*:\s*(\d+)$/);
+    if (!match || !HINT_TYPES.includes(match[1]) || Number(match[2]) >= MAX_GUESSES) {
+      return { error: `hint "${text}" is not clue, letter or absent followed by :0–${MAX_GUESSES - 1} guesses` };
+    }
+    const hint = { type: match[1], after: Number(match[2]) };
+    if (parsed.length > 0 && hint.after < parsed[parsed.length - 1].after) {
+      return { error: `hint "${text}" unlocks before the hint ahead of it` };
+    }
+    parsed.push(hint);
+  }
+  return { hints: parsed };
+}
+
+function validatePuzzle({ date, answer, clue, altWinSound, altLoseSound, image, author, extraWords, hints }) {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return { error: `date "${date}" is not in YYYY-MM-DD format` };
+  }
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (isNaN(parsed) || parsed.toISOString().slice(0, 10) !== date) {
+    return { error: `date "${date}" is not a real calendar date` };
+  }
+
+  const checked = validateAnswer(answer);
+  if (checked.error) return checked;
+  answer = checked.answer;
+
+  for (const sound of [altWinSound, altLoseSound]) {
+    if (sound && !SOUND_FILE_PATTERN.test(sound)) {
+      return { error: `sound "${sound}" is not a valid .mp3/.wav/.ogg filename` };
+    }
+  }
+  if (image && !IMAGE_FILE_PATTERN.test(image)) {
+    return { error: `image "${image}" is not a valid .png/.jpg/.gif/.webp filename` };
+  }
+
+  extraWords = parseExtraWords(extraWords);
+  for (const word of extraWords) {
+    if (word.length !== answer.length || !/^[A-Z0-9\-]+$/.test(word)) {
+      return { error: `extra word "${word}" is not ${answer.length} characters of A-Z, 0-9 or -` };
+    }
+  }
+
+  const ladder = parseHints(hints);
+  if (ladder.error) return ladder;
+
+  return {
+    puzzle: {
+      id: date.replace(/-/g, ''),
+      answer,
+      wordLength: answer.length,
+      clue: String(clue || '').trim(),
+      date,
+      altWinSound: altWinSound || null,
+      altLoseSound: altLoseSound || null,
+      image: image || null,
+      author: author ? String(author).trim() : null,
+      extraWords,
+      hints: ladder.hints
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Load puzzles from environment variables (fallback source)
+// Format: PUZZLE_YYYYMMDD=ANSWER|Clue text here|win.mp3,lose.mp3|EXTRA,WORDS|clue:3,letter:4
+// Values that can't be parsed are skipped with a warning, or collected as
+// { label, message } in `rejects` when the caller reports them itself.
+// ---------------------------------------------------------------------------
+function loadEnvPuzzles(rejects = null) {
+  const entries = [];
   const keys = Object.keys(process.env)
     .filter(k => /^PUZZLE_\d{8}$/.test(k))
     .sort();
@@ -35,42 +212,101 @@ function loadPuzzles() {
     const value = process.env[key];
     const pipeIndex = value.indexOf('|');
     if (pipeIndex === -1) {
-      console.warn(`Skipping ${key}: missing pipe delimiter`);
+      if (rejects) rejects.push({ label: key, message: 'missing pipe delimiter' });
+      else console.warn(`Skipping ${key}: missing pipe delimiter`);
       continue;
     }
-    const answer = value.substring(0, pipeIndex).toUpperCase().trim();
+    const answer = value.substring(0, pipeIndex);
     const rest = value.substring(pipeIndex + 1);
     const secondPipe = rest.indexOf('|');
-    let clue, altWinSound = null, altLoseSound = null;
+    let clue, altWinSound = null, altLoseSound = null, extraWords = null, hints = null;
     if (secondPipe !== -1) {
-      clue = rest.substring(0, secondPipe).trim();
-      const soundPart = rest.substring(secondPipe + 1).trim();
-      const sounds = soundPart.split(',').map(s => s.trim());
+      clue = rest.substring(0, secondPipe);
+      const [soundPart, extraPart, hintPart] = rest.substring(secondPipe + 1).split('|');
+      const sounds = soundPart.trim().split(',').map(s => s.trim());
       if (sounds[0]) altWinSound = sounds[0];
       if (sounds[1]) altLoseSound = sounds[1];
+      if (extraPart) extraWords = extraPart;
+      if (hintPart) hints = hintPart;
     } else {
-      clue = rest.trim();
+      clue = rest;
     }
 
-    if (answer.length !== 5) {
-      console.warn(`Skipping ${key}: answer "${answer}" is not 5 characters`);
-      continue;
-    }
-    if (!/^[A-Z0-9\-]+$/.test(answer)) {
-      console.warn(`Skipping ${key}: answer contains invalid characters`);
+    entries.push({ label: key, source: 'env', fields: { date: dateStr, answer, clue, altWinSound, altLoseSound, extraWords, hints } });
+  }
+
+  return entries;
+}
+
+// ---------------------------------------------------------------------------
+// Load puzzles from the catalog file (data/puzzles.json by default)
+// Format: { "puzzles": [{ "date", "answer", "clue", "altWinSound",
+//           "altLoseSound", "image", "author", "extraWords", "hints" }, ...] }
+// Returns null when the file is missing; throws when it can't be parsed.
+// ---------------------------------------------------------------------------
+const PUZZLES_FILE = process.env.PUZZLES_FILE || path.join(__dirname, 'data', 'puzzles.json');
+
+function loadCatalogPuzzles() {
+  if (!fs.existsSync(PUZZLES_FILE)) return null;
+  const catalog = JSON.parse(fs.readFileSync(PUZZLES_FILE, 'utf-8'));
+  if (!catalog || !Array.isArray(catalog.puzzles)) {
+    throw new Error('expected a top-level "puzzles" array');
+  }
+  return catalog.puzzles.map((fields, i) => ({
+    label: `${path.basename(PUZZLES_FILE)}[${i}]`,
+    source: 'catalog',
+    fields: fields || {}
+  }));
+}
+
+// Raw catalog entries, for rewriting the file (empty when it doesn't exist yet)
+function readCatalogEntries() {
+  if (!fs.existsSync(PUZZLES_FILE)) return [];
+  const catalog = JSON.parse(fs.readFileSync(PUZZLES_FILE, 'utf-8'));
+  return Array.isArray(catalog && catalog.puzzles) ? catalog.puzzles : [];
+}
+
+// Write the catalog sorted by date and reload it straight away
+function writeCatalogEntries(entries) {
+  const sorted = [...entries].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  const tmpPath = `${PUZZLES_FILE}.tmp`;
+  fs.mkdirSync(path.dirname(PUZZLES_FILE), { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify({ puzzles: sorted }, null, 2) + '\n');
+  fs.renameSync(tmpPath, PUZZLES_FILE);
+  reloadPuzzles();
+}
+
+// Build the date -> puzzle map. Catalog entries win over env vars for the
+// same date, so the env format keeps working while puzzles are migrated.
+// A catalog that can't be read throws, unless skipBrokenCatalog is set: then
+// it's logged and the env vars are loaded on their own.
+function loadPuzzles({ skipBrokenCatalog = false } = {}) {
+  const puzzleMap = {}; // date string 'YYYY-MM-DD' -> { id, answer, clue, date, ... }
+  let catalogEntries = [];
+  try {
+    catalogEntries = loadCatalogPuzzles() || [];
+  } catch (err) {
+    if (!skipBrokenCatalog) throw err;
+    console.error(`Could not load ${PUZZLES_FILE}: ${err.message} — using PUZZLE_ env vars only`);
+  }
+  const entries = [...loadEnvPuzzles(), ...catalogEntries];
+
+  for (const { label, source, fields } of entries) {
+    const { puzzle, error } = validatePuzzle(fields);
+    if (error) {
+      console.warn(`Skipping ${label}: ${error}`);
       continue;
     }
-
-    puzzleMap[dateStr] = { id: dateRaw, answer, clue, date: dateStr, altWinSound, altLoseSound };
+    puzzleMap[puzzle.date] = { ...puzzle, source };
   }
 
-  console.log(`Loaded ${Object.keys(puzzleMap).length} puzzles`);
+  console.log(`Loaded ${Object.keys(puzzleMap).length} puzzles (${catalogEntries.length} from catalog)`);
   return puzzleMap;
 }
 
-// Get sorted array of available puzzle dates up to today (Eastern)
-function getAvailablePuzzleDates() {
-  const today = getEasternDateString();
+// Get sorted array of available puzzle dates up to today (PUZZLE_TIMEZONE
+// unless a player's date is given)
+function getAvailablePuzzleDates(today = getPuzzleDateString()) {
   return Object.keys(PUZZLES)
     .filter(d => d <= today)
     .sort();
@@ -87,80 +323,162 @@ function getTotalPuzzleCount() {
   return Object.keys(PUZZLES).length;
 }
 
-const PUZZLES = loadPuzzles();
+// At boot there are no previous puzzles to fall back on, so a broken catalog
+// still leaves the env puzzles live. Later reloads keep the previous set.
+let PUZZLES = loadPuzzles({ skipBrokenCatalog: true });
 
 // ---------------------------------------------------------------------------
-// Load valid 5-letter dictionary words for guess validation
+// Load valid dictionary words for guess validation, one list per length:
+// valid-words.txt holds the 5-letter words, valid-words-<n>.txt the others
 // ---------------------------------------------------------------------------
-function loadValidWords() {
-  const fs = require('fs');
-  const filePath = path.join(__dirname, 'data', 'valid-words.txt');
+function getWordListPath(length) {
+  const filename = length === 5 ? 'valid-words.txt' : `valid-words-${length}.txt`;
+  return path.join(__dirname, 'data', filename);
+}
+
+function loadDictionaryWords() {
   const words = new Set();
 
-  if (fs.existsSync(filePath)) {
+  for (let length = MIN_WORD_LENGTH; length <= MAX_WORD_LENGTH; length++) {
+    const filePath = getWordListPath(length);
+    if (!fs.existsSync(filePath)) {
+      console.warn(`No ${path.basename(filePath)} found in data/ — only puzzle answers will be accepted as ${length}-letter guesses`);
+      continue;
+    }
+    let count = 0;
     const content = fs.readFileSync(filePath, 'utf-8');
     content.split('\n').forEach(line => {
       const word = line.trim().toUpperCase();
-      if (word.length === 5 && /^[A-Z]+$/.test(word)) {
+      if (word.length === length && /^[A-Z]+$/.test(word)) {
         words.add(word);
+        count++;
       }
     });
-    console.log(`Loaded ${words.size} valid dictionary words`);
-  } else {
-    console.warn('No valid-words.txt found in data/ — only puzzle answers will be accepted as guesses');
+    console.log(`Loaded ${count} valid ${length}-letter dictionary words`);
   }
 
+  return words;
+}
+
+const DICTIONARY_WORDS = loadDictionaryWords();
+
+// Franchise terms (data/themed-words.txt, or THEMED_WORDS_FILE), which may
+// use digits and hyphens like answers do: R2-D2, C-3PO, X-WING
+const THEMED_WORDS_FILE = process.env.THEMED_WORDS_FILE || path.join(__dirname, 'data', 'themed-words.txt');
+
+function loadThemedWords() {
+  const words = new Set();
+  if (!fs.existsSync(THEMED_WORDS_FILE)) return words;
+  fs.readFileSync(THEMED_WORDS_FILE, 'utf-8').split('\n').forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    const { answer, error } = validateAnswer(line);
+    if (error) {
+      console.warn(`Skipping ${path.basename(THEMED_WORDS_FILE)} line ${i + 1}: ${error}`);
+      return;
+    }
+    words.add(answer);
+  });
+  console.log(`Loaded ${words.size} themed words`);
+  return words;
+}
+
+const THEMED_WORDS = loadThemedWords();
+
+// Words that may be offered as "did you mean" suggestions, by length.
+// Puzzle answers aren't added, so a suggestion can't give away one that
+// isn't an ordinary word (and the current answer is always filtered out).
+const SUGGESTABLE_WORDS = {};
+[...DICTIONARY_WORDS, ...THEMED_WORDS].forEach(word => {
+  (SUGGESTABLE_WORDS[word.length] = SUGGESTABLE_WORDS[word.length] || []).push(word);
+});
+
+function loadValidWords() {
+  const words = new Set([...DICTIONARY_WORDS, ...THEMED_WORDS]);
+
   // Add all puzzle answers as valid guesses (covers non-dictionary words like VADER)
   Object.values(PUZZLES).forEach(p => words.add(p.answer));
 
   return words;
 }
 
-const VALID_WORDS = loadValidWords();
+let VALID_WORDS = loadValidWords();
 
 // ---------------------------------------------------------------------------
-// Eastern‑time helpers (respects DST via Intl)
+// Hot reload: poll the catalog file and swap in the new puzzles when it
+// changes. A catalog that fails to parse leaves the current puzzles in place.
 // ---------------------------------------------------------------------------
-function getEasternNow() {
-  const now = new Date();
-  const eastern = new Date(
-    now.toLocaleString('en-US', { timeZone: 'America/New_York' })
-  );
-  return eastern;
+function reloadPuzzles() {
+  try {
+    PUZZLES = loadPuzzles();
+    VALID_WORDS = loadValidWords();
+  } catch (err) {
+    console.error(`Not reloading ${PUZZLES_FILE}: ${err.message}`);
+  }
 }
 
-function getEasternDateString() {
-  return new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+fs.watchFile(PUZZLES_FILE, { interval: 2000 }, (curr, prev) => {
+  if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+  console.log(`${path.basename(PUZZLES_FILE)} changed, reloading puzzles`);
+  reloadPuzzles();
+}).unref();
+
+// ---------------------------------------------------------------------------
+// Puzzle day rollover. With PUZZLE_ROLLOVER=global (the default) everyone
+// moves to the next puzzle at midnight in PUZZLE_TIMEZONE. With "local" each
+// player's puzzle of the day follows the time zone their browser reports,
+// but nothing is served before its date has begun somewhere on Earth.
+// ---------------------------------------------------------------------------
+const DEFAULT_TIMEZONE = 'America/New_York';
+const PUZZLE_TIMEZONE = normalizeTimeZone(process.env.PUZZLE_TIMEZONE || DEFAULT_TIMEZONE) || DEFAULT_TIMEZONE;
+if (process.env.PUZZLE_TIMEZONE && !normalizeTimeZone(process.env.PUZZLE_TIMEZONE)) {
+  console.warn(`PUZZLE_TIMEZONE "${process.env.PUZZLE_TIMEZONE}" is not a known time zone — using ${DEFAULT_TIMEZONE}`);
+}
+const LOCAL_ROLLOVER = process.env.PUZZLE_ROLLOVER === 'local';
+if (process.env.PUZZLE_ROLLOVER && !['global', 'local'].includes(process.env.PUZZLE_ROLLOVER)) {
+  console.warn(`PUZZLE_ROLLOVER "${process.env.PUZZLE_ROLLOVER}" should be "global" or "local" — using global`);
+}
+// Every date begins at UTC+14 and ends last at UTC-12 (note the POSIX signs)
+const FIRST_ZONE = 'Etc/GMT-14';
+const LAST_ZONE = 'Etc/GMT+12';
+
+// The zone this request's puzzle day follows
+function getPlayerTimeZone(req) {
+  if (!LOCAL_ROLLOVER) return PUZZLE_TIMEZONE;
+  return normalizeTimeZone(req.get('X-Time-Zone')) || PUZZLE_TIMEZONE;
 }
 
-function getNextMidnightEasternUTC() {
-  // Get the current time expressed in Eastern
-  const now = new Date();
-  const easternStr = now.toLocaleString('en-US', { timeZone: 'America/New_York' });
-  const easternNow = new Date(easternStr);
+// Today's puzzle date (YYYY-MM-DD) in a zone, PUZZLE_TIMEZONE by default
+function getPuzzleDateString(zone = PUZZLE_TIMEZONE) {
+  return dateInZone(zone);
+}
 
-  // Build next midnight in Eastern
-  const nextMidnightEastern = new Date(easternNow);
-  nextMidnightEastern.setHours(24, 0, 0, 0);
+// When the next puzzle day starts in a zone, as a Date
+function getNextRolloverUTC(zone = PUZZLE_TIMEZONE) {
+  return nextMidnight(zone);
+}
 
-  // Difference in ms between real now and eastern now gives us the offset
-  const offsetMs = now.getTime() - easternNow.getTime();
+// Latest date any player can be on; later puzzles are unreleased for everyone
+function getLatestReleasedDate() {
+  return getPuzzleDateString(LOCAL_ROLLOVER ? FIRST_ZONE : PUZZLE_TIMEZONE);
+}
 
-  // Apply the offset to get next midnight in real UTC
-  return new Date(nextMidnightEastern.getTime() + offsetMs);
+// Earliest date any player can still be on
+function getEarliestCurrentDate() {
+  return getPuzzleDateString(LOCAL_ROLLOVER ? LAST_ZONE : PUZZLE_TIMEZONE);
 }
 
 // ---------------------------------------------------------------------------
 // Wordle guess‑checking algorithm
 // ---------------------------------------------------------------------------
 function checkGuess(guess, answer) {
-  const result = new Array(5);
+  const length = answer.length;
+  const result = new Array(length);
   const answerArr = answer.split('');
   const guessArr = guess.split('');
   const remaining = [...answerArr];
 
   // Pass 1: mark correct (green)
-  for (let i = 0; i < 5; i++) {
+  for (let i = 0; i < length; i++) {
     if (guessArr[i] === answerArr[i]) {
       result[i] = { letter: guessArr[i], status: 'correct' };
       remaining[i] = null;
@@ -168,7 +486,7 @@ function checkGuess(guess, answer) {
   }
 
   // Pass 2: mark present (yellow) or absent (gray)
-  for (let i = 0; i < 5; i++) {
+  for (let i = 0; i < length; i++) {
     if (result[i]) continue;
     const idx = remaining.indexOf(guessArr[i]);
     if (idx !== -1) {
@@ -182,20 +500,300 @@ function checkGuess(guess, answer) {
   return result;
 }
 
+// ---------------------------------------------------------------------------
+// Hard mode: every hint revealed so far must be used in later guesses.
+// Greens stay in place and yellows must be reused. Returns null when the
+// guess is allowed, otherwise an API error { code, params } naming the rule
+// it breaks.
+// ---------------------------------------------------------------------------
+
+function checkHardModeGuess(guess, previousResults) {
+  const required = {}; // letter -> how many times it must appear
+
+  for (const result of previousResults) {
+    const seen = {};
+    for (let i = 0; i < result.length; i++) {
+      const { letter, status } = result[i];
+      if (status === 'correct' && guess[i] !== letter) {
+        return { code: 'HARD_MODE_POSITION', params: { position: i + 1, letter } };
+      }
+      if (status === 'correct' || status === 'present') {
+        seen[letter] = (seen[letter] || 0) + 1;
+      }
+    }
+    for (const letter of Object.keys(seen)) {
+      required[letter] = Math.max(required[letter] || 0, seen[letter]);
+    }
+  }
+
+  for (const letter of Object.keys(required)) {
+    const count = guess.split('').filter(c => c === letter).length;
+    if (count < required[letter]) {
+      return { code: 'HARD_MODE_MISSING', params: { letter } };
+    }
+  }
+
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Custom puzzles – made by players and shared as a link. They play through
+// the same routes as daily puzzles under the id "custom-<token>", but have
+// no date or number and never reach the leaderboard or community stats.
+// ---------------------------------------------------------------------------
+const CUSTOM_CLUE_MAX_LENGTH = 100;
+const CUSTOM_AUTHOR_MAX_LENGTH = 20;
+
+const customPuzzles = createCustomPuzzleCodec({
+  secret: process.env.CUSTOM_PUZZLE_SECRET || process.env.SESSION_SECRET
+});
+
+// Same answer rules as the catalog, plus a required clue. Returns
+// { puzzle } or an API error { code, params }
+function validateCustomPuzzle({ answer, clue, author }) {
+  const checked = validateAnswer(answer);
+  if (checked.error) {
+    return { code: 'INVALID_ANSWER', params: { min: MIN_WORD_LENGTH, max: MAX_WORD_LENGTH } };
+  }
+  clue = String(clue || '').trim();
+  if (!clue) {
+    return { code: 'MISSING_CLUE' };
+  }
+  if (clue.length > CUSTOM_CLUE_MAX_LENGTH) {
+    return { code: 'CLUE_TOO_LONG', params: { max: CUSTOM_CLUE_MAX_LENGTH } };
+  }
+  author = String(author || '').trim().replace(/\s+/g, ' ');
+  if (author.length > CUSTOM_AUTHOR_MAX_LENGTH) {
+    return { code: 'AUTHOR_TOO_LONG', params: { max: CUSTOM_AUTHOR_MAX_LENGTH } };
+  }
+  return { puzzle: { answer: checked.answer, clue, author: author || null } };
+}
+
+function openCustomPuzzle(id) {
+  const sealed = customPuzzles.open(id.slice(CUSTOM_ID_PREFIX.length));
+  if (!sealed) return null;
+  const { puzzle } = validateCustomPuzzle(sealed);
+  if (!puzzle) return null;
+  return {
+    id,
+    answer: puzzle.answer,
+    wordLength: puzzle.answer.length,
+    clue: puzzle.clue,
+    date: null,
+    altWinSound: null,
+    altLoseSound: null,
+    image: null,
+    author: puzzle.author,
+    custom: true
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Practice mode – unlimited games with random answers from past puzzles
+// (clue included) plus the optional PRACTICE_WORDS_FILE, one word per line.
+// Each game is sealed like a custom puzzle (with a key of its own) under the
+// id "practice-<token>", and a player's session only keeps their latest
+// practice game.
+// ---------------------------------------------------------------------------
+const PRACTICE_ID_PREFIX = 'practice-';
+const practicePuzzles = createCustomPuzzleCodec({
+  secret: process.env.CUSTOM_PUZZLE_SECRET || process.env.SESSION_SECRET,
+  context: 'practice-puzzles'
+});
+const PRACTICE_WORDS_FILE = process.env.PRACTICE_WORDS_FILE || path.join(__dirname, 'data', 'practice-words.txt');
+
+function loadPracticeWords() {
+  if (!fs.existsSync(PRACTICE_WORDS_FILE)) return [];
+  const words = [];
+  fs.readFileSync(PRACTICE_WORDS_FILE, 'utf-8').split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    const { answer, error } = validateAnswer(line);
+    if (error) {
+      console.warn(`Skipping ${path.basename(PRACTICE_WORDS_FILE)} line ${i + 1}: ${error}`);
+      return;
+    }
+    words.push(answer);
+  });
+  console.log(`Loaded ${words.length} practice words`);
+  return words;
+}
+
+const PRACTICE_WORDS = loadPracticeWords();
+
+// Past puzzles only, so practice never gives away today's answer in any zone
+function getPracticePool() {
+  const earliest = getEarliestCurrentDate();
+  const archive = Object.values(PUZZLES)
+    .filter(p => p.date < earliest)
+    .map(p => ({ answer: p.answer, clue: p.clue }));
+  return archive.concat(PRACTICE_WORDS.map(answer => ({ answer, clue: '' })));
+}
+
+function openPracticePuzzle(id) {
+  const sealed = practicePuzzles.open(id.slice(PRACTICE_ID_PREFIX.length));
+  if (!sealed) return null;
+  const { answer, error } = validateAnswer(sealed.answer);
+  if (error) return null;
+  return {
+    id,
+    answer,
+    wordLength: answer.length,
+    clue: String(sealed.clue || ''),
+    date: null,
+    altWinSound: null,
+    altLoseSound: null,
+    image: null,
+    author: null,
+    practice: true
+  };
+}
+
+function isPracticePuzzleId(id) {
+  return typeof id === 'string' && id.startsWith(PRACTICE_ID_PREFIX);
+}
+
+// Daily, custom or practice puzzle by id (released or not), or undefined
+function findPuzzle(id) {
+  if (isCustomPuzzleId(id)) return openCustomPuzzle(id) || undefined;
+  if (isPracticePuzzleId(id)) return openPracticePuzzle(id) || undefined;
+  return Object.values(PUZZLES).find(p => p.id === id);
+}
+
+// Only daily puzzles have a release date, a number and community results
+function isDaily(puzzle) {
+  return !puzzle.custom && !puzzle.practice;
+}
+
+function isUnreleased(puzzle) {
+  return isDaily(puzzle) && puzzle.date > getLatestReleasedDate();
+}
+
+// Time on the clock in a timed game: the wall-clock time since the timer
+// started, less the pauses the browser reported (POST /api/timer) while the
+// tab was hidden or the player was on another puzzle
+function timerElapsed(progress, now = Date.now()) {
+  const pausedMs = (progress.timerPausedMs || 0) +
+    (progress.timerPausedAt ? now - progress.timerPausedAt : 0);
+  return Math.max(0, now - progress.timerStartedAt - pausedMs);
+}
+
+// The reading at a guess, at least MIN_GUESS_MS on from the previous one so
+// a pause reported just before a guess can't make it free
+const MIN_GUESS_MS = 1000;
+
+function timedElapsed(progress) {
+  const previous = progress.guesses.length > 0
+    ? progress.guesses[progress.guesses.length - 1].elapsedMs || 0
+    : 0;
+  return Math.max(previous + MIN_GUESS_MS, timerElapsed(progress));
+}
+
+// ---------------------------------------------------------------------------
+// Hints – each puzzle has a ladder of hints that players take one at a time,
+// each unlocking after a number of guesses. The ladder is the catalog's
+// "hints" or else DEFAULT_HINTS, and only the ladder is sent with a puzzle;
+// the hints themselves come from POST /api/hint.
+// ---------------------------------------------------------------------------
+const DEFAULT_HINT_LADDER = 'clue:3, letter:4, absent:5';
+const DEFAULT_HINTS = (() => {
+  const { hints, error } = parseHints(process.env.DEFAULT_HINTS || DEFAULT_HINT_LADDER);
+  if (!error) return hints;
+  console.warn(`DEFAULT_HINTS: ${error} — using ${DEFAULT_HINT_LADDER}`);
+  return parseHints(DEFAULT_HINT_LADDER).hints;
+})();
+
+// A puzzle without a clue skips the clue's rung
+function getHintLadder(puzzle) {
+  return (puzzle.hints || DEFAULT_HINTS).filter(h => h.type !== 'clue' || puzzle.clue);
+}
+
+// One of the options, picked from a hash of the puzzle and rung rather than
+// at random, so players in the same spot get the same hint
+function pickForHint(puzzle, rung, options) {
+  const hash = crypto.createHash('sha256').update(`hint:${puzzle.id}:${rung}`).digest();
+  return options[hash.readUInt32BE(0) % options.length];
+}
+
+// The hint for a rung of the ladder, steering clear of what the player has
+// already found: a letter position they haven't got green, or a missing
+// letter they haven't tried
+function buildHint(puzzle, type, progress) {
+  const taken = progress.hints || [];
+  if (type === 'clue') return { type, text: puzzle.clue };
+
+  if (type === 'letter') {
+    const known = new Set(taken.filter(h => h.type === 'letter').map(h => h.position));
+    progress.guesses.forEach(g => g.result.forEach((r, i) => {
+      if (r.status === 'correct') known.add(i);
+    }));
+    const positions = [...puzzle.answer].map((_, i) => i);
+    const open = positions.filter(i => !known.has(i));
+    const position = pickForHint(puzzle, taken.length, open.length > 0 ? open : positions);
+    return { type, position, letter: puzzle.answer[position] };
+  }
+
+  const tried = new Set(progress.guesses.flatMap(g => [...g.word]));
+  taken.filter(h => h.type === 'absent').forEach(h => tried.add(h.letter));
+  const absent = [...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'].filter(letter => !puzzle.answer.includes(letter));
+  const untried = absent.filter(letter => !tried.has(letter));
+  return { type, letter: pickForHint(puzzle, taken.length, untried.length > 0 ? untried : absent) };
+}
+
+// ---------------------------------------------------------------------------
+// Replays – a finished game shared as a link ("/r/<token>") for friends to
+// watch row by row. Only the sharer's own session progress is sealed, and
+// the tile colours are worked out from the answer again when it's opened.
+// ---------------------------------------------------------------------------
+const replays = createReplayCodec({
+  secret: process.env.CUSTOM_PUZZLE_SECRET || process.env.SESSION_SECRET
+});
+
+function sealReplay(puzzle, progress) {
+  return replays.seal({
+    puzzleId: puzzle.id,
+    words: progress.guesses.map(g => g.word),
+    hardMode: progress.hardMode === true,
+    elapsedMs: progress.timerStartedAt ? progress.guesses.map(g => g.elapsedMs || 0) : null
+  });
+}
+
+// { puzzle, hardMode, status, guesses }, or null when the link is bad or its
+// puzzle has since been removed or changed
+function openReplay(token) {
+  const sealed = replays.open(token);
+  if (!sealed) return null;
+  const puzzle = findPuzzle(sealed.puzzleId);
+  if (!puzzle || isUnreleased(puzzle)) return null;
+  const { words, elapsedMs } = sealed;
+  if (words.length === 0 || words.length > MAX_GUESSES ||
+      words.some(w => typeof w !== 'string' || w.length !== puzzle.wordLength)) {
+    return null;
+  }
+  const guesses = words.map((word, i) => {
+    const guess = { word, result: checkGuess(word, puzzle.answer) };
+    if (elapsedMs && Number.isFinite(elapsedMs[i])) guess.elapsedMs = elapsedMs[i];
+    return guess;
+  });
+  const won = words[words.length - 1] === puzzle.answer;
+  return { puzzle, hardMode: sealed.hardMode, status: won ? 'won' : 'lost', guesses };
+}
+
 // ---------------------------------------------------------------------------
 // API routes
 // ---------------------------------------------------------------------------
 
 // GET /api/today – current puzzle info (no answer)
 app.get('/api/today', (req, res) => {
-  const today = getEasternDateString();
-  const available = getAvailablePuzzleDates();
+  const timeZone = getPlayerTimeZone(req);
+  const today = getPuzzleDateString(timeZone);
+  const available = getAvailablePuzzleDates(today);
 
   if (available.length === 0) {
     return res.json({
       active: false,
       message: 'No puzzles available yet. Check back soon!',
-      nextPuzzleTime: getNextMidnightEasternUTC().toISOString(),
+      nextPuzzleTime: getNextRolloverUTC(timeZone).toISOString(),
+      timeZone,
       totalAvailable: 0,
       totalPuzzles: getTotalPuzzleCount()
     });
@@ -213,89 +811,265 @@ app.get('/api/today', (req, res) => {
     active: true,
     puzzleNumber: getPuzzleNumberForDate(todayDate),
     puzzleId: puzzle.id,
-    clue: puzzle.clue,
+    hints: getHintLadder(puzzle),
     date: puzzle.date,
+    wordLength: puzzle.wordLength,
     totalAvailable: available.length,
     totalPuzzles: getTotalPuzzleCount(),
-    nextPuzzleTime: hasMorePuzzles ? getNextMidnightEasternUTC().toISOString() : null,
+    nextPuzzleTime: hasMorePuzzles ? getNextRolloverUTC(timeZone).toISOString() : null,
+    timeZone,
     hasMorePuzzles,
     altWinSound: puzzle.altWinSound || null,
-    altLoseSound: puzzle.altLoseSound || null
+    altLoseSound: puzzle.altLoseSound || null,
+    author: puzzle.author
   });
 });
 
 // GET /api/puzzle/:puzzleId – specific puzzle info by date-based id (YYYYMMDD)
+// or custom puzzle id
 app.get('/api/puzzle/:puzzleId', (req, res) => {
-  const id = req.params.puzzleId;
-  const puzzle = Object.values(PUZZLES).find(p => p.id === id);
+  const puzzle = findPuzzle(req.params.puzzleId);
   if (!puzzle) {
-    return res.status(404).json({ error: 'Puzzle not found' });
+    return sendError(res, 404, 'PUZZLE_NOT_FOUND');
   }
 
-  const today = getEasternDateString();
-  if (puzzle.date > today) {
-    return res.status(403).json({ error: 'This puzzle is not available yet' });
+  if (isUnreleased(puzzle)) {
+    return sendError(res, 403, 'PUZZLE_NOT_AVAILABLE');
   }
 
+  const progress = sessions.getPuzzleProgress(sessions.get(req), puzzle.id);
+
   res.json({
-    puzzleNumber: getPuzzleNumberForDate(puzzle.date),
+    puzzleNumber: isDaily(puzzle) ? getPuzzleNumberForDate(puzzle.date) : null,
     puzzleId: puzzle.id,
-    clue: puzzle.clue,
+    custom: puzzle.custom === true,
+    practice: puzzle.practice === true,
+    hints: getHintLadder(puzzle),
     date: puzzle.date,
+    wordLength: puzzle.wordLength,
     altWinSound: puzzle.altWinSound || null,
-    altLoseSound: puzzle.altLoseSound || null
+    altLoseSound: puzzle.altLoseSound || null,
+    author: puzzle.author,
+    progress: {
+      guesses: progress.guesses,
+      status: progress.status,
+      hardMode: progress.hardMode === true,
+      completedAt: progress.completedAt || null,
+      hints: progress.hints || [],
+      hintsUsed: progress.hintsUsed || 0
+    }
   });
 });
 
+// Dictionary and themed words, puzzle answers, plus the puzzle's own extra
+// words. Custom and practice answers needn't be in the dictionary, but can
+// always be guessed.
+function isAllowedGuess(guess, puzzle) {
+  if (VALID_WORDS.has(guess)) return true;
+  if (!puzzle) return false;
+  if (puzzle.extraWords && puzzle.extraWords.includes(guess)) return true;
+  return !isDaily(puzzle) && guess === puzzle.answer;
+}
+
+// Up to three allowed words close to a rejected guess, never the answer
+function suggestGuesses(guess, puzzle) {
+  const length = puzzle ? puzzle.wordLength : guess.length;
+  const candidates = (SUGGESTABLE_WORDS[length] || []).concat(puzzle && puzzle.extraWords || []);
+  return closestWords(guess, candidates.filter(w => !puzzle || w !== puzzle.answer));
+}
+
 // POST /api/guess – validate a guess
-app.post('/api/guess', (req, res) => {
-  const { puzzleId, guess } = req.body;
+app.post('/api/guess', guessIpLimit.middleware, newSessionIpLimit.middleware, guessPlayerLimit.middleware, (req, res) => {
+  const { puzzleId, guess, hardMode } = req.body;
 
   if (!puzzleId || !guess) {
-    return res.status(400).json({ error: 'Missing puzzleId or guess' });
+    return sendError(res, 400, 'MISSING_GUESS');
   }
 
-  const upperGuess = guess.toUpperCase().trim();
-  if (upperGuess.length !== 5 || !/^[A-Z0-9\-]+$/.test(upperGuess)) {
-    return res.status(400).json({ error: 'Guess must be 5 characters (A-Z, 0-9, -)' });
+  const upperGuess = String(guess).toUpperCase().trim();
+  if (upperGuess.length < MIN_WORD_LENGTH || upperGuess.length > MAX_WORD_LENGTH ||
+      !/^[A-Z0-9\-]+$/.test(upperGuess)) {
+    return sendError(res, 400, 'INVALID_GUESS', { min: MIN_WORD_LENGTH, max: MAX_WORD_LENGTH });
   }
 
-  if (!VALID_WORDS.has(upperGuess)) {
-    return res.status(422).json({ error: 'Not in word list' });
+  const puzzle = findPuzzle(puzzleId);
+
+  // Checked before the word list, so an unreleased puzzle's extra words
+  // can't be probed through 422s and suggestions
+  if (puzzle && isUnreleased(puzzle)) {
+    return sendError(res, 403, 'PUZZLE_NOT_AVAILABLE');
+  }
+
+  if (!isAllowedGuess(upperGuess, puzzle)) {
+    return res.status(422).json({
+      ...errorBody('NOT_IN_WORD_LIST'),
+      suggestions: suggestGuesses(upperGuess, puzzle)
+    });
   }
 
-  const puzzle = Object.values(PUZZLES).find(p => p.id === puzzleId);
   if (!puzzle) {
-    return res.status(404).json({ error: 'Puzzle not found' });
+    return sendError(res, 404, 'PUZZLE_NOT_FOUND');
+  }
+
+  if (upperGuess.length !== puzzle.wordLength) {
+    return sendError(res, 400, 'WRONG_LENGTH', { length: puzzle.wordLength });
   }
 
-  const today = getEasternDateString();
-  if (puzzle.date > today) {
-    return res.status(403).json({ error: 'This puzzle is not available yet' });
+  const session = sessions.ensure(req, res);
+  const progress = sessions.getPuzzleProgress(session, puzzle.id, { create: true });
+  if (isFinished(progress) || progress.guesses.length >= MAX_GUESSES) {
+    return sendError(res, 409, 'PUZZLE_FINISHED');
+  }
+
+  // Hard mode is fixed by the first guess of a puzzle
+  if (progress.guesses.length === 0) {
+    progress.hardMode = hardMode === true;
+  }
+  if (progress.hardMode) {
+    const violation = checkHardModeGuess(upperGuess, progress.guesses.map(g => g.result));
+    if (violation) {
+      return sendError(res, 422, violation.code, violation.params);
+    }
   }
 
   const result = checkGuess(upperGuess, puzzle.answer);
   const correct = upperGuess === puzzle.answer;
 
-  res.json({ result, correct });
+  const entry = { word: upperGuess, result };
+  if (progress.timerStartedAt) {
+    // A guess means the player is back at the board
+    resumeTimer(progress);
+    entry.elapsedMs = timedElapsed(progress);
+  }
+  progress.guesses.push(entry);
+  if (correct) {
+    progress.status = 'won';
+    if (progress.timerStartedAt) progress.solveMs = entry.elapsedMs;
+  } else if (progress.guesses.length >= MAX_GUESSES) {
+    progress.status = 'lost';
+  }
+  if (isFinished(progress)) {
+    progress.completedAt = Date.now();
+    if (isDaily(puzzle)) {
+      leaderboard.recordResult(sessions.getPlayerId(session), puzzle.id, progress);
+    }
+  }
+  sessions.touch(session);
+
+  res.json({
+    result,
+    correct,
+    guessNumber: progress.guesses.length,
+    status: progress.status,
+    hardMode: progress.hardMode,
+    completedAt: progress.completedAt || null,
+    solveMs: progress.solveMs || null
+  });
+});
+
+function pauseTimer(progress) {
+  if (!progress.timerPausedAt) progress.timerPausedAt = Date.now();
+}
+
+function resumeTimer(progress) {
+  if (!progress.timerPausedAt) return;
+  progress.timerPausedMs = (progress.timerPausedMs || 0) + Date.now() - progress.timerPausedAt;
+  progress.timerPausedAt = null;
+}
+
+// POST /api/timer – start the clock for a timed game (at the player's first
+// keypress, before any guess), or pause and resume it with
+// { action: 'pause' | 'resume' } while the game is in progress
+app.post('/api/timer', newSessionIpLimit.middleware, timerPlayerLimit.middleware, (req, res) => {
+  const { puzzleId, action = 'start' } = req.body || {};
+  if (!['start', 'pause', 'resume'].includes(action)) {
+    return sendError(res, 400, 'INVALID_TIMER_ACTION');
+  }
+  const puzzle = findPuzzle(puzzleId);
+  if (!puzzle) {
+    return sendError(res, 404, 'PUZZLE_NOT_FOUND');
+  }
+  if (isUnreleased(puzzle)) {
+    return sendError(res, 403, 'PUZZLE_NOT_AVAILABLE');
+  }
+
+  const existing = sessions.get(req);
+  const current = sessions.getPuzzleProgress(existing, puzzle.id);
+  if (action !== 'start') {
+    if (!current.timerStartedAt || isFinished(current)) {
+      return sendError(res, 409, 'TIMER_NOT_RUNNING');
+    }
+    if (action === 'pause') pauseTimer(current);
+    else resumeTimer(current);
+    sessions.touch(existing);
+    return res.json({ elapsedMs: timerElapsed(current), paused: !!current.timerPausedAt });
+  }
+
+  if (current.guesses.length > 0 || isFinished(current)) {
+    return sendError(res, 409, 'TIMER_TOO_LATE');
+  }
+  if (current.timerStartedAt) {
+    return res.json({ timerStartedAt: current.timerStartedAt });
+  }
+
+  // Only a clock actually started is worth storing
+  const session = sessions.ensure(req, res);
+  const progress = sessions.getPuzzleProgress(session, puzzle.id, { create: true });
+  progress.timerStartedAt = Date.now();
+  sessions.touch(session);
+  res.json({ timerStartedAt: progress.timerStartedAt });
+});
+
+// POST /api/hint – the next rung of the puzzle's hint ladder, once the player
+// has made enough guesses. Hints taken before the game ends count as used;
+// after it, the rest of the ladder is free to look at.
+app.post('/api/hint', newSessionIpLimit.middleware, hintPlayerLimit.middleware, (req, res) => {
+  const puzzle = findPuzzle((req.body || {}).puzzleId);
+  if (!puzzle) {
+    return sendError(res, 404, 'PUZZLE_NOT_FOUND');
+  }
+  if (isUnreleased(puzzle)) {
+    return sendError(res, 403, 'PUZZLE_NOT_AVAILABLE');
+  }
+
+  const current = sessions.getPuzzleProgress(sessions.get(req), puzzle.id);
+  const taken = current.hints || [];
+  const next = getHintLadder(puzzle)[taken.length];
+  if (!next) {
+    return sendError(res, 409, 'NO_MORE_HINTS');
+  }
+  const finished = isFinished(current);
+  if (!finished && current.guesses.length < next.after) {
+    return sendError(res, 403, 'HINT_LOCKED', { guesses: next.after });
+  }
+
+  // Only a hint actually given is worth storing
+  const session = sessions.ensure(req, res);
+  const progress = sessions.getPuzzleProgress(session, puzzle.id, { create: true });
+  progress.hints = [...taken, buildHint(puzzle, next.type, progress)];
+  if (!finished) progress.hintsUsed = progress.hints.length;
+  sessions.touch(session);
+  res.json({ hints: progress.hints, hintsUsed: progress.hintsUsed || 0 });
 });
 
 // GET /api/puzzles/list – all available puzzles (no answers)
 app.get('/api/puzzles/list', (req, res) => {
-  const available = getAvailablePuzzleDates();
+  const timeZone = getPlayerTimeZone(req);
+  const today = getPuzzleDateString(timeZone);
+  const available = getAvailablePuzzleDates(today);
   const list = available.map(dateStr => {
     const p = PUZZLES[dateStr];
     return {
       puzzleNumber: getPuzzleNumberForDate(dateStr),
       puzzleId: p.id,
-      clue: p.clue,
       date: p.date,
+      wordLength: p.wordLength,
       altWinSound: p.altWinSound || null,
-      altLoseSound: p.altLoseSound || null
+      altLoseSound: p.altLoseSound || null,
+      author: p.author
     };
   });
 
-  const today = getEasternDateString();
   const allDates = Object.keys(PUZZLES).sort();
   const lastPuzzleDate = allDates[allDates.length - 1];
   const hasMorePuzzles = today < lastPuzzleDate;
@@ -303,146 +1077,486 @@ app.get('/api/puzzles/list', (req, res) => {
   res.json({
     puzzles: list,
     totalPuzzles: getTotalPuzzleCount(),
-    nextPuzzleTime: hasMorePuzzles ? getNextMidnightEasternUTC().toISOString() : null,
+    nextPuzzleTime: hasMorePuzzles ? getNextRolloverUTC(timeZone).toISOString() : null,
+    timeZone,
     hasMorePuzzles
   });
 });
 
-// POST /api/reveal – reveal the answer
+// POST /api/reveal – reveal the answer once this session has finished the puzzle
 app.post('/api/reveal', (req, res) => {
   const { puzzleId } = req.body;
-  const puzzle = Object.values(PUZZLES).find(p => p.id === puzzleId);
+  const puzzle = findPuzzle(puzzleId);
   if (!puzzle) {
-    return res.status(404).json({ error: 'Puzzle not found' });
+    return sendError(res, 404, 'PUZZLE_NOT_FOUND');
+  }
+  const progress = sessions.getPuzzleProgress(sessions.get(req), puzzle.id);
+  if (!isFinished(progress)) {
+    return sendError(res, 403, 'REVEAL_NOT_FINISHED');
   }
   res.json({ answer: puzzle.answer });
 });
 
-// GET /api/answer-image/:puzzleId – serve answer image only for completed puzzles
-const imageCache = new Map(); // puzzleId -> { buffer, contentType } or null
+// Every word that could be the puzzle's answer: the dictionary and themed
+// words at its length, the puzzle's extra words and its own answer. Other
+// puzzles' answers stay out, since they'd give away unreleased ones.
+function analysisWords(puzzle) {
+  const words = new Set(SUGGESTABLE_WORDS[puzzle.wordLength] || []);
+  (puzzle.extraWords || []).forEach(word => words.add(word));
+  words.add(puzzle.answer);
+  return [...words];
+}
 
-app.get('/api/answer-image/:puzzleId', async (req, res) => {
-  const id = req.params.puzzleId;
-  const puzzle = Object.values(PUZZLES).find(p => p.id === id);
+// A finished game never changes, so its analysis is worked out once
+const analysisCache = createLruCache({ maxBytes: 1024 * 1024, sizeOf: value => JSON.stringify(value).length });
+
+// GET /api/analysis/:puzzleId – words left after each of this session's
+// guesses, only once the puzzle is finished since it narrows down the answer
+app.get('/api/analysis/:puzzleId', (req, res) => {
+  const puzzle = findPuzzle(req.params.puzzleId);
   if (!puzzle) {
-    return res.status(404).json({ error: 'Not found' });
+    return sendError(res, 404, 'PUZZLE_NOT_FOUND');
+  }
+  const progress = sessions.getPuzzleProgress(sessions.get(req), puzzle.id);
+  if (!isFinished(progress)) {
+    return sendError(res, 403, 'ANALYSIS_NOT_FINISHED');
   }
 
-  const today = getEasternDateString();
-  if (puzzle.date > today) {
-    return res.status(403).json({ error: 'Not available yet' });
+  const key = `${puzzle.id}:${progress.guesses.map(g => g.word).join(',')}`;
+  let guesses = analysisCache.get(key);
+  if (!guesses) {
+    guesses = analyzeGame({ guesses: progress.guesses, words: analysisWords(puzzle), checkGuess });
+    analysisCache.set(key, guesses);
   }
+  res.json({ puzzleId: puzzle.id, guesses });
+});
 
-  // Check memory cache first
-  if (imageCache.has(id)) {
-    const cached = imageCache.get(id);
-    if (!cached) return res.status(404).json({ error: 'No image available' });
-    res.set('Content-Type', cached.contentType);
-    res.set('Cache-Control', 'public, max-age=86400');
-    return res.send(cached.buffer);
+// POST /api/practice – start a practice game with a random answer, avoiding
+// the answer of the player's previous practice game when there's a choice
+app.post('/api/practice', newSessionIpLimit.middleware, (req, res) => {
+  const pool = getPracticePool();
+  if (pool.length === 0) {
+    return sendError(res, 404, 'NO_PRACTICE_WORDS');
   }
+  const { previousId } = req.body || {};
+  const previous = isPracticePuzzleId(previousId) ? openPracticePuzzle(previousId) : null;
+  const choices = previous && pool.length > 1 ? pool.filter(p => p.answer !== previous.answer) : pool;
+  const pick = choices[crypto.randomInt(choices.length)] || pool[0];
+
+  const session = sessions.ensure(req, res);
+  sessions.forgetPuzzles(session, isPracticePuzzleId);
+  sessions.touch(session);
+
+  res.status(201).json({
+    puzzleId: `${PRACTICE_ID_PREFIX}${practicePuzzles.seal({ answer: pick.answer, clue: pick.clue })}`,
+    wordLength: pick.answer.length
+  });
+});
 
-  // Try local file first (for local development)
-  const fs = require('fs');
-  const extensions = ['png', 'jpg', 'gif', 'webp'];
-  const mimeTypes = { png: 'image/png', jpg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp' };
+// POST /api/custom – seal a player's answer and clue into a shareable link
+app.post('/api/custom', (req, res) => {
+  const { answer, clue, author } = req.body || {};
+  const { puzzle, code, params } = validateCustomPuzzle({ answer, clue, author });
+  if (!puzzle) {
+    return sendError(res, 400, code, params);
+  }
+  const token = customPuzzles.seal(puzzle);
+  res.status(201).json({
+    puzzleId: `${CUSTOM_ID_PREFIX}${token}`,
+    url: `${req.protocol}://${req.get('host')}/c/${token}`,
+    wordLength: puzzle.answer.length
+  });
+});
 
-  for (const ext of extensions) {
-    const filePath = path.join(__dirname, 'public', 'images', 'answers', `${id}.${ext}`);
-    if (fs.existsSync(filePath)) {
-      const buffer = fs.readFileSync(filePath);
-      imageCache.set(id, { buffer, contentType: mimeTypes[ext] });
-      res.set('Content-Type', mimeTypes[ext]);
-      res.set('Cache-Control', 'public, max-age=86400');
-      return res.send(buffer);
-    }
+// POST /api/replay – seal this session's finished game into a replay link
+app.post('/api/replay', (req, res) => {
+  const puzzle = findPuzzle((req.body || {}).puzzleId);
+  if (!puzzle) {
+    return sendError(res, 404, 'PUZZLE_NOT_FOUND');
+  }
+  const progress = sessions.getPuzzleProgress(sessions.get(req), puzzle.id);
+  if (!isFinished(progress)) {
+    return sendError(res, 403, 'REPLAY_NOT_FINISHED');
   }
+  const token = sealReplay(puzzle, progress);
+  res.status(201).json({ url: `${req.protocol}://${req.get('host')}/r/${token}` });
+});
 
-  // Try GitHub private repo
-  const token = process.env.GITHUB_ASSETS_TOKEN;
-  const repo = process.env.GITHUB_ASSETS_REPO;
-  if (token && repo) {
-    for (const ext of extensions) {
-      try {
-        const url = `https://raw.githubusercontent.com/${repo}/main/answers/${id}.${ext}`;
-        const ghRes = await fetch(url, {
-          headers: { 'Authorization': `token ${token}` }
-        });
-        if (ghRes.ok) {
-          const arrayBuffer = await ghRes.arrayBuffer();
-          const buffer = Buffer.from(arrayBuffer);
-          imageCache.set(id, { buffer, contentType: mimeTypes[ext] });
-          res.set('Content-Type', mimeTypes[ext]);
-          res.set('Cache-Control', 'public, max-age=86400');
-          return res.send(buffer);
-        }
-      } catch {}
-    }
+// GET /api/replay/:token – the guesses of a shared game, plus the answer for
+// the viewer to show once the replay reaches the end
+app.get('/api/replay/:token', (req, res) => {
+  const replay = openReplay(req.params.token);
+  if (!replay) {
+    return sendError(res, 404, 'REPLAY_NOT_FOUND');
   }
+  const { puzzle, hardMode, status, guesses } = replay;
+  const last = guesses[guesses.length - 1];
+  res.json({
+    puzzleNumber: isDaily(puzzle) ? getPuzzleNumberForDate(puzzle.date) : null,
+    puzzleId: puzzle.id,
+    custom: puzzle.custom === true,
+    practice: puzzle.practice === true,
+    date: puzzle.date,
+    wordLength: puzzle.wordLength,
+    author: puzzle.author,
+    hardMode,
+    status,
+    guesses,
+    solveMs: status === 'won' && last.elapsedMs !== undefined ? last.elapsedMs : null,
+    answer: puzzle.answer
+  });
+});
 
-  // Nothing found — cache the miss too
-  imageCache.set(id, null);
-  res.status(404).json({ error: 'No image available' });
+// ---------------------------------------------------------------------------
+// Answer images and sounds, from whichever storage backends are configured
+// (local directories first by default, then GitHub / S3 / HTTP), kept in a
+// memory cache of ASSET_CACHE_MAX_MB. Browsers may reuse a response for
+// ASSET_MAX_AGE seconds, then revalidate it against its ETag.
+// ---------------------------------------------------------------------------
+const assets = createAssetProvider({
+  backends: backendsFromEnv(process.env, { publicDir: path.join(__dirname, 'public') }),
+  maxCacheBytes: Number(process.env.ASSET_CACHE_MAX_MB || 50) * 1024 * 1024
 });
+const ASSET_MAX_AGE = Number(process.env.ASSET_MAX_AGE || 86400);
+console.log(`Asset backends: ${assets.backends.map(b => b.name).join(', ')}`);
+
+// Resolves to { buffer, contentType } or null when the puzzle has no image
+function findAnswerImage(puzzle) {
+  // Catalog puzzles may name their image; otherwise probe <puzzleId>.<ext>
+  const filenames = puzzle.image
+    ? [puzzle.image]
+    : ['png', 'jpg', 'gif', 'webp'].map(ext => `${puzzle.id}.${ext}`);
+  return assets.get('answers', filenames);
+}
+
+// GET /api/answer-image/:puzzleId – serve answer image only for puzzles this session finished
+app.get('/api/answer-image/:puzzleId', assetIpLimit.middleware, async (req, res) => {
+  const id = req.params.puzzleId;
+  const puzzle = Object.values(PUZZLES).find(p => p.id === id);
+  if (!puzzle) {
+    return sendError(res, 404, 'PUZZLE_NOT_FOUND');
+  }
+
+  if (puzzle.date > getLatestReleasedDate()) {
+    return sendError(res, 403, 'PUZZLE_NOT_AVAILABLE');
+  }
+
+  // The image gives the answer away, so it is only served after finishing
+  const progress = sessions.getPuzzleProgress(sessions.get(req), puzzle.id);
+  if (!isFinished(progress)) {
+    return sendError(res, 403, 'IMAGE_NOT_FINISHED');
+  }
 
-// GET /api/sounds/:filename – serve sound files (local first, then GitHub private repo)
-const soundCache = new Map(); // filename -> { buffer, contentType } or null
+  const image = await findAnswerImage(puzzle);
+  if (!image) return sendError(res, 404, 'NO_IMAGE');
+  sendAsset(req, res, image, { cacheControl: `private, max-age=${ASSET_MAX_AGE}` });
+});
 
-app.get('/api/sounds/:filename', async (req, res) => {
+// GET /api/sounds/:filename – serve sound files from the asset backends
+app.get('/api/sounds/:filename', assetIpLimit.middleware, async (req, res) => {
   const filename = req.params.filename;
 
   // Sanitize: only allow expected sound filenames
-  if (!/^[\w\-]+\.(mp3|wav|ogg)$/i.test(filename)) {
-    return res.status(400).json({ error: 'Invalid filename' });
-  }
-
-  // Check memory cache first
-  if (soundCache.has(filename)) {
-    const cached = soundCache.get(filename);
-    if (!cached) return res.status(404).json({ error: 'Sound not found' });
-    res.set('Content-Type', cached.contentType);
-    res.set('Cache-Control', 'public, max-age=86400');
-    return res.send(cached.buffer);
-  }
-
-  const fs = require('fs');
-  const mimeTypes = { mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg' };
-  const ext = filename.split('.').pop().toLowerCase();
-  const contentType = mimeTypes[ext] || 'application/octet-stream';
-
-  // Try local file first (skip if SKIP_LOCAL_SOUNDS is set, for testing GitHub source)
-  const localPath = path.join(__dirname, 'public', 'sounds', filename);
-  if (!process.env.SKIP_LOCAL_SOUNDS && fs.existsSync(localPath)) {
-    const buffer = fs.readFileSync(localPath);
-    soundCache.set(filename, { buffer, contentType });
-    res.set('Content-Type', contentType);
-    res.set('Cache-Control', 'public, max-age=86400');
-    return res.send(buffer);
-  }
-
-  // Try GitHub private repo
-  const token = process.env.GITHUB_ASSETS_TOKEN;
-  const repo = process.env.GITHUB_ASSETS_REPO;
-  if (token && repo) {
-    try {
-      const url = `https://raw.githubusercontent.com/${repo}/main/sounds/${filename}`;
-      const ghRes = await fetch(url, {
-        headers: { 'Authorization': `token ${token}` }
-      });
-      if (ghRes.ok) {
-        const arrayBuffer = await ghRes.arrayBuffer();
-        const buffer = Buffer.from(arrayBuffer);
-        soundCache.set(filename, { buffer, contentType });
-        res.set('Content-Type', contentType);
-        res.set('Cache-Control', 'public, max-age=86400');
-        return res.send(buffer);
-      }
-    } catch {}
+  if (!SOUND_FILE_PATTERN.test(filename)) {
+    return sendError(res, 400, 'INVALID_SOUND');
+  }
+
+  // Any well-formed name is looked up, so lookups that go past the memory
+  // cache to the storage backends have their own, smaller budget
+  if (!assets.isCached('sounds', [filename]) && !assetMissLimit.check(req, res)) return;
+
+  const sound = await assets.get('sounds', [filename]);
+  if (!sound) return sendError(res, 404, 'SOUND_NOT_FOUND');
+  sendAsset(req, res, sound, { cacheControl: `public, max-age=${ASSET_MAX_AGE}` });
+});
+
+// GET /api/cache/stats – asset cache hit rate and backend counters (admin only)
+app.get('/api/cache/stats', (req, res) => {
+  res.json(assets.stats());
+});
+
+// ---------------------------------------------------------------------------
+// Community statistics and leaderboards
+// ---------------------------------------------------------------------------
+
+// Released puzzle by id, or sends the 404/403 response and returns null
+function findReleasedPuzzle(id, res) {
+  const puzzle = Object.values(PUZZLES).find(p => p.id === id);
+  if (!puzzle) {
+    sendError(res, 404, 'PUZZLE_NOT_FOUND');
+    return null;
   }
+  if (puzzle.date > getLatestReleasedDate()) {
+    sendError(res, 403, 'PUZZLE_NOT_AVAILABLE');
+    return null;
+  }
+  return puzzle;
+}
+
+// GET /api/player – this player's display name
+app.get('/api/player', (req, res) => {
+  const session = sessions.get(req);
+  res.json({ name: session ? leaderboard.getName(sessions.getPlayerId(session)) : null });
+});
+
+// POST /api/player/name – set (or clear, with an empty name) the display name
+app.post('/api/player/name', newSessionIpLimit.middleware, (req, res) => {
+  const session = sessions.ensure(req, res);
+  const error = leaderboard.setName(sessions.getPlayerId(session), req.body && req.body.name);
+  if (error) return sendError(res, 400, error);
+  res.json({ name: leaderboard.getName(sessions.getPlayerId(session)) });
+});
 
-  // Nothing found — cache the miss
-  soundCache.set(filename, null);
-  res.status(404).json({ error: 'Sound not found' });
+// GET /api/stats/:puzzleId – global guess distribution for a puzzle
+app.get('/api/stats/:puzzleId', (req, res) => {
+  const puzzle = findReleasedPuzzle(req.params.puzzleId, res);
+  if (!puzzle) return;
+  res.json(leaderboard.getPuzzleStats(puzzle.id));
+});
+
+// Ranking for one puzzle, ?puzzleId= or the player's puzzle of the day
+function sendPuzzleRanking(req, res, getRanking) {
+  let puzzleId = req.query.puzzleId;
+  if (!puzzleId) {
+    const available = getAvailablePuzzleDates(getPuzzleDateString(getPlayerTimeZone(req)));
+    if (available.length === 0) return res.json({ puzzleId: null, entries: [] });
+    puzzleId = PUZZLES[available[available.length - 1]].id;
+  }
+  const puzzle = findReleasedPuzzle(String(puzzleId), res);
+  if (!puzzle) return;
+  res.json({
+    puzzleId: puzzle.id,
+    puzzleNumber: getPuzzleNumberForDate(puzzle.date),
+    entries: getRanking(puzzle.id)
+  });
+}
+
+// GET /api/leaderboard/daily?puzzleId= – ranking for one puzzle (default: today's)
+app.get('/api/leaderboard/daily', (req, res) => {
+  sendPuzzleRanking(req, res, leaderboard.getDailyRanking);
+});
+
+// GET /api/leaderboard/fastest?puzzleId= – timed solves for one puzzle (default: today's)
+app.get('/api/leaderboard/fastest', (req, res) => {
+  sendPuzzleRanking(req, res, leaderboard.getFastestRanking);
+});
+
+// GET /api/leaderboard/all-time – ranking across every puzzle
+app.get('/api/leaderboard/all-time', (req, res) => {
+  res.json({ entries: leaderboard.getAllTimeRanking() });
+});
+
+// ---------------------------------------------------------------------------
+// Progress sync – stores an exported progress code under a short key so two
+// devices can stay in step without accounts. The blob is opaque to the
+// server; clients merge it themselves. Knowing the key is the only access
+// control, so keys are random and reasonably long. Keys nobody has written to
+// for SYNC_EXPIRY_DAYS are dropped, and once SYNC_MAX_KEYS are stored a new
+// key pushes out the least recently updated one.
+// ---------------------------------------------------------------------------
+const syncStore = createJsonStore(
+  process.env.SYNC_FILE || path.join(__dirname, 'data', 'sync.json'),
+  { blobs: {} }
+);
+const SYNC_KEY_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const SYNC_KEY_LENGTH = 10;
+const MAX_SYNC_BLOB_LENGTH = 64 * 1024;
+const SYNC_MAX_KEYS = Number(process.env.SYNC_MAX_KEYS || 5000);
+const SYNC_EXPIRY_MS = Number(process.env.SYNC_EXPIRY_DAYS || 180) * 24 * 60 * 60 * 1000;
+
+function generateSyncKey() {
+  let key;
+  do {
+    key = Array.from(crypto.randomBytes(SYNC_KEY_LENGTH), b => SYNC_KEY_ALPHABET[b % SYNC_KEY_ALPHABET.length]).join('');
+  } while (syncStore.data.blobs[key]);
+  return key;
+}
+
+// Drops expired keys, then the oldest ones until `room` more will fit
+function pruneSyncBlobs(room = 0) {
+  const blobs = syncStore.data.blobs;
+  const cutoff = Date.now() - SYNC_EXPIRY_MS;
+  const keys = Object.keys(blobs).filter(key => {
+    if (blobs[key].updatedAt >= cutoff) return true;
+    delete blobs[key];
+    return false;
+  });
+  const excess = keys.length + room - SYNC_MAX_KEYS;
+  if (excess > 0) {
+    keys.sort((a, b) => blobs[a].updatedAt - blobs[b].updatedAt)
+      .slice(0, excess)
+      .forEach(key => delete blobs[key]);
+  }
+}
+
+pruneSyncBlobs();
+
+function validateSyncBlob(blob) {
+  if (typeof blob !== 'string' || !blob.startsWith('SVWB.')) {
+    return 'INVALID_SYNC_CODE';
+  }
+  if (blob.length > MAX_SYNC_BLOB_LENGTH) {
+    return 'SYNC_CODE_TOO_LARGE';
+  }
+  return null;
+}
+
+// POST /api/sync – store a progress code under a new sync key
+app.post('/api/sync', syncIpLimit.middleware, (req, res) => {
+  const error = validateSyncBlob(req.body && req.body.blob);
+  if (error) return sendError(res, 400, error);
+
+  pruneSyncBlobs(1);
+  const key = generateSyncKey();
+  const updatedAt = Date.now();
+  syncStore.data.blobs[key] = { blob: req.body.blob, updatedAt };
+  syncStore.save();
+  res.status(201).json({ key, updatedAt });
+});
+
+// GET /api/sync/:key – fetch the progress code stored under a key
+app.get('/api/sync/:key', (req, res) => {
+  const entry = syncStore.data.blobs[String(req.params.key).toUpperCase()];
+  if (!entry) return sendError(res, 404, 'SYNC_KEY_NOT_FOUND');
+  res.json(entry);
+});
+
+// PUT /api/sync/:key – replace the progress code stored under a key
+app.put('/api/sync/:key', syncIpLimit.middleware, (req, res) => {
+  const key = String(req.params.key).toUpperCase();
+  if (!syncStore.data.blobs[key]) return sendError(res, 404, 'SYNC_KEY_NOT_FOUND');
+
+  const error = validateSyncBlob(req.body && req.body.blob);
+  if (error) return sendError(res, 400, error);
+
+  const updatedAt = Date.now();
+  syncStore.data.blobs[key] = { blob: req.body.blob, updatedAt };
+  syncStore.save();
+  res.json({ key, updatedAt });
+});
+
+// ---------------------------------------------------------------------------
+// Admin API (behind requireAdmin) – full schedule including future puzzles
+// ---------------------------------------------------------------------------
+
+// Dates between the first and last scheduled puzzle that have no puzzle
+function findScheduleGaps(dates) {
+  const gaps = [];
+  if (dates.length < 2) return gaps;
+  const scheduled = new Set(dates);
+  const cursor = new Date(`${dates[0]}T00:00:00Z`);
+  const last = dates[dates.length - 1];
+  while (cursor.toISOString().slice(0, 10) < last) {
+    const day = cursor.toISOString().slice(0, 10);
+    if (!scheduled.has(day)) gaps.push(day);
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return gaps;
+}
+
+// Catalog representation of a validated puzzle (null fields left out)
+function toCatalogEntry(puzzle) {
+  const entry = {};
+  ['date', 'answer', 'clue', 'altWinSound', 'altLoseSound', 'image', 'author'].forEach(field => {
+    if (puzzle[field]) entry[field] = puzzle[field];
+  });
+  if (puzzle.extraWords.length > 0) entry.extraWords = puzzle.extraWords;
+  if (puzzle.hints) entry.hints = puzzle.hints.map(h => `${h.type}:${h.after}`);
+  return entry;
+}
+
+function sendCatalogError(res, err) {
+  console.error('Catalog write failed:', err);
+  res.status(500).json({ error: `Could not update ${path.basename(PUZZLES_FILE)}: ${err.message}` });
+}
+
+// GET /api/admin/puzzles – every puzzle with its answer, plus schedule gaps
+app.get('/api/admin/puzzles', (req, res) => {
+  const today = getPuzzleDateString();
+  const latest = getLatestReleasedDate();
+  const dates = Object.keys(PUZZLES).sort();
+  res.json({
+    today,
+    puzzles: dates.map((date, i) => ({
+      ...PUZZLES[date],
+      puzzleNumber: i + 1,
+      released: date <= latest
+    })),
+    gaps: findScheduleGaps(dates)
+  });
+});
+
+// POST /api/admin/puzzles – schedule a new puzzle
+app.post('/api/admin/puzzles', (req, res) => {
+  const { puzzle, error } = validatePuzzle(req.body || {});
+  if (error) return res.status(400).json({ error });
+  if (PUZZLES[puzzle.date]) {
+    return res.status(409).json({ error: `A puzzle is already scheduled for ${puzzle.date}` });
+  }
+
+  try {
+    const entries = readCatalogEntries().filter(e => e.date !== puzzle.date);
+    writeCatalogEntries([...entries, toCatalogEntry(puzzle)]);
+  } catch (err) {
+    return sendCatalogError(res, err);
+  }
+  res.status(201).json({ puzzle: PUZZLES[puzzle.date] });
+});
+
+// PUT /api/admin/puzzles/:date – edit and/or reschedule a puzzle
+app.put('/api/admin/puzzles/:date', (req, res) => {
+  const existing = PUZZLES[req.params.date];
+  if (!existing) return res.status(404).json({ error: 'Puzzle not found' });
+
+  const { puzzle, error } = validatePuzzle({ date: existing.date, ...req.body });
+  if (error) return res.status(400).json({ error });
+
+  const rescheduled = puzzle.date !== existing.date;
+  if (rescheduled && PUZZLES[puzzle.date]) {
+    return res.status(409).json({ error: `A puzzle is already scheduled for ${puzzle.date}` });
+  }
+  if (rescheduled && existing.source === 'env') {
+    return res.status(409).json({
+      error: `This puzzle comes from PUZZLE_${existing.id}; remove it from the environment to reschedule it`
+    });
+  }
+
+  try {
+    const entries = readCatalogEntries()
+      .filter(e => e.date !== existing.date && e.date !== puzzle.date);
+    writeCatalogEntries([...entries, toCatalogEntry(puzzle)]);
+  } catch (err) {
+    return sendCatalogError(res, err);
+  }
+  res.json({ puzzle: PUZZLES[puzzle.date] });
+});
+
+// DELETE /api/admin/puzzles/:date – remove a catalog puzzle
+app.delete('/api/admin/puzzles/:date', (req, res) => {
+  const existing = PUZZLES[req.params.date];
+  if (!existing) return res.status(404).json({ error: 'Puzzle not found' });
+  if (existing.source === 'env') {
+    return res.status(409).json({
+      error: `This puzzle comes from PUZZLE_${existing.id}; remove it from the environment instead`
+    });
+  }
+
+  try {
+    writeCatalogEntries(readCatalogEntries().filter(e => e.date !== existing.date));
+  } catch (err) {
+    return sendCatalogError(res, err);
+  }
+  res.json({ deleted: existing.date });
+});
+
+// GET /api/admin/puzzles/:date/image – answer image preview, no session needed
+app.get('/api/admin/puzzles/:date/image', async (req, res) => {
+  const puzzle = PUZZLES[req.params.date];
+  if (!puzzle) return res.status(404).json({ error: 'Puzzle not found' });
+
+  const image = await findAnswerImage(puzzle);
+  if (!image) return res.status(404).json({ error: 'No image available' });
+  sendAsset(req, res, image, { cacheControl: 'no-store' });
 });
 
 // Fallback: serve index.html for all other routes
@@ -453,9 +1567,45 @@ app.get('*', (req, res) => {
 // ---------------------------------------------------------------------------
 // Start server
 // ---------------------------------------------------------------------------
-app.listen(PORT, () => {
-  console.log(`Slave, Vader, Wampa, Bingo running on port ${PORT}`);
-  console.log(`Current Eastern date: ${getEasternDateString()}`);
-  console.log(`Available puzzles today: ${getAvailablePuzzleDates().length} of ${getTotalPuzzleCount()}`);
-  console.log(`Next puzzle at: ${getNextMidnightEasternUTC().toISOString()}`);
-});
\ No newline at end of file
+// Write pending session, sync and leaderboard changes to disk
+function flushStores() {
+  sessions.flush();
+  syncStore.flush();
+  leaderboard.flush();
+}
+
+// Only listen when run directly; tests require the app without a port
+if (require.main === module) {
+  // Write pending changes before the host stops the process
+  ['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.on(signal, () => {
+      flushStores();
+      process.exit(0);
+    });
+  });
+
+  app.listen(PORT, () => {
+    console.log(`Slave, Vader, Wampa, Bingo running on port ${PORT}`);
+    console.log(`Current puzzle date: ${getPuzzleDateString()} (${PUZZLE_TIMEZONE}, ${LOCAL_ROLLOVER ? 'local' : 'global'} rollover)`);
+    console.log(`Available puzzles today: ${getAvailablePuzzleDates().length} of ${getTotalPuzzleCount()}`);
+    console.log(`Next puzzle at: ${getNextRolloverUTC().toISOString()}`);
+  });
+}
+
+module.exports = {
+  app,
+  MAX_GUESSES,
+  validatePuzzle,
+  loadEnvPuzzles,
+  loadCatalogPuzzles,
+  loadPuzzles,
+  reloadPuzzles,
+  DICTIONARY_WORDS,
+  THEMED_WORDS,
+  getPuzzleDateString,
+  getNextRolloverUTC,
+  checkGuess,
+  checkHardModeGuess,
+  findScheduleGaps,
+  flushStores
+};
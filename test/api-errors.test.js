@@ -0,0 +1,22 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { errorBody } = require('../lib/api-errors');
+
+describe('errorBody', () => {
+  it('pairs the code with its English message', () => {
+    assert.deepEqual(errorBody('NOT_IN_WORD_LIST'), { error: 'Not in word list', code: 'NOT_IN_WORD_LIST' });
+  });
+
+  it('fills params into the message and passes them on for the client', () => {
+    assert.deepEqual(errorBody('HARD_MODE_POSITION', { position: 3, letter: 'D' }), {
+      error: '3rd letter must be D',
+      code: 'HARD_MODE_POSITION',
+      params: { position: 3, letter: 'D' }
+    });
+    assert.equal(errorBody('HARD_MODE_POSITION', { position: 11, letter: 'D' }).error, '11th letter must be D');
+  });
+
+  it('refuses codes it has no message for', () => {
+    assert.throws(() => errorBody('NOPE'), /Unknown API error code: NOPE/);
+  });
+});
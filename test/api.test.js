@@ -0,0 +1,921 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const request = require('supertest');
+const { loadServer, adminAuth } = require('./helpers');
+
+// The whole file runs on a fake clock: midday on 15 March 2026 (EDT)
+mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-15T12:00:00Z') });
+
+const { server, cleanup } = loadServer({
+  env: {
+    PUZZLE_20260313: 'VADER|Dark lord|vader-win.mp3,vader-lose.mp3',
+    PUZZLE_20260314: 'WAMPA|Snow beast',
+    PUZZLE_20260316: 'BINGO|Tomorrow',
+    SYNC_MAX_KEYS: '3',
+    SYNC_EXPIRY_DAYS: '30'
+  },
+  catalog: {
+    puzzles: [{ date: '2026-03-15', answer: 'JEDI', clue: 'Knight', author: 'Goblin', image: 'no-such-image.png', extraWords: ['BB-8'] }]
+  },
+  themedWords: ['# Droids', 'R2-D2', 'C-3PO', 'no!']
+});
+const { app } = server;
+
+after(() => {
+  mock.timers.reset();
+  cleanup();
+});
+
+const WRONG_FIVE = ['CRANE', 'SLOTH', 'TRAIN', 'ABIDE', 'CADET', 'FLUNK'];
+const WRONG_FOUR = ['TREE', 'BOAT', 'CAKE', 'DOOR', 'FISH', 'GOLD'];
+
+// A separate player (cookie jar) per call
+function player() {
+  return request.agent(app);
+}
+
+async function play(agent, puzzleId, guesses, body = {}) {
+  let res;
+  for (const guess of guesses) {
+    res = await agent.post('/api/guess').send({ puzzleId, guess, ...body });
+  }
+  return res;
+}
+
+function assertNoAnswers(body) {
+  assert.doesNotMatch(JSON.stringify(body), /"answer"/);
+}
+
+describe('GET /api/today', () => {
+  it("returns today's puzzle without the answer", async () => {
+    const res = await request(app).get('/api/today').expect(200);
+    assert.equal(res.body.active, true);
+    assert.equal(res.body.puzzleId, '20260315');
+    assert.equal(res.body.puzzleNumber, 3);
+    assert.equal(res.body.wordLength, 4);
+    assert.deepEqual(res.body.hints, [{ type: 'clue', after: 3 }, { type: 'letter', after: 4 }, { type: 'absent', after: 5 }]);
+    assert.equal(res.body.clue, undefined);
+    assert.equal(res.body.author, 'Goblin');
+    assert.equal(res.body.totalAvailable, 3);
+    assert.equal(res.body.totalPuzzles, 4);
+    assert.equal(res.body.hasMorePuzzles, true);
+    assert.equal(res.body.nextPuzzleTime, '2026-03-16T04:00:00.000Z');
+    assert.equal(res.body.timeZone, 'America/New_York');
+    assertNoAnswers(res.body);
+  });
+
+  it("ignores the player's time zone under global rollover", async () => {
+    const res = await request(app).get('/api/today').set('X-Time-Zone', 'Pacific/Kiritimati').expect(200);
+    assert.equal(res.body.puzzleId, '20260315');
+    assert.equal(res.body.timeZone, 'America/New_York');
+  });
+});
+
+describe('GET /api/puzzle/:puzzleId', () => {
+  it('returns a released puzzle with empty progress for a new player', async () => {
+    const res = await request(app).get('/api/puzzle/20260313').expect(200);
+    assert.equal(res.body.puzzleNumber, 1);
+    assert.equal(res.body.altWinSound, 'vader-win.mp3');
+    assert.equal(res.body.altLoseSound, 'vader-lose.mp3');
+    assert.deepEqual(res.body.progress, {
+      guesses: [], status: 'in-progress', hardMode: false, completedAt: null, hints: [], hintsUsed: 0
+    });
+    assertNoAnswers(res.body);
+  });
+
+  it('returns 404 for an unknown puzzle', async () => {
+    await request(app).get('/api/puzzle/20250101').expect(404);
+  });
+
+  it("returns 403 for tomorrow's puzzle until Eastern midnight", async () => {
+    const res = await request(app).get('/api/puzzle/20260316').expect(403);
+    assert.equal(res.body.error, 'This puzzle is not available yet');
+
+    mock.timers.setTime(Date.parse('2026-03-16T04:00:00Z'));
+    try {
+      await request(app).get('/api/puzzle/20260316').expect(200);
+    } finally {
+      mock.timers.setTime(Date.parse('2026-03-15T12:00:00Z'));
+    }
+  });
+});
+
+describe('GET /api/puzzles/list', () => {
+  it('lists released puzzles only, without answers', async () => {
+    const res = await request(app).get('/api/puzzles/list').expect(200);
+    assert.deepEqual(res.body.puzzles.map(p => p.puzzleId), ['20260313', '20260314', '20260315']);
+    assert.equal(res.body.totalPuzzles, 4);
+    assert.equal(res.body.hasMorePuzzles, true);
+    assertNoAnswers(res.body);
+  });
+});
+
+describe('POST /api/guess', () => {
+  it('rejects a missing puzzleId or guess', async () => {
+    await request(app).post('/api/guess').send({ guess: 'CRANE' }).expect(400);
+    await request(app).post('/api/guess').send({ puzzleId: '20260313' }).expect(400);
+  });
+
+  it('rejects badly formed guesses', async () => {
+    const res = await request(app).post('/api/guess').send({ puzzleId: '20260313', guess: 'ABC' }).expect(400);
+    assert.match(res.body.error, /4–7 characters/);
+    await request(app).post('/api/guess').send({ puzzleId: '20260313', guess: 'CR@NE' }).expect(400);
+  });
+
+  it('rejects words that are not in the word list', async () => {
+    const res = await request(app).post('/api/guess').send({ puzzleId: '20260313', guess: 'QXQXQ' }).expect(422);
+    assert.deepEqual(res.body, { error: 'Not in word list', code: 'NOT_IN_WORD_LIST', suggestions: [] });
+  });
+
+  it('suggests up to three close words, never the answer', async () => {
+    const res = await request(app).post('/api/guess').send({ puzzleId: '20260314', guess: 'R2-D3' }).expect(422);
+    assert.deepEqual(res.body.suggestions, ['R2-D2']);
+    const typo = await request(app).post('/api/guess').send({ puzzleId: '20260314', guess: 'CRANX' }).expect(422);
+    assert.equal(typo.body.suggestions.length, 3);
+    assert.ok(typo.body.suggestions.every(w => w.length === 5 && w !== 'WAMPA'));
+    const near = await request(app).post('/api/guess').send({ puzzleId: '20260314', guess: 'WAMPY' }).expect(422);
+    assert.ok(!near.body.suggestions.includes('WAMPA'));
+  });
+
+  it('accepts themed words from the extra dictionary', async () => {
+    await player().post('/api/guess').send({ puzzleId: '20260314', guess: 'R2-D2' }).expect(200);
+    await player().post('/api/guess').send({ puzzleId: '20260314', guess: 'c-3po' }).expect(200);
+  });
+
+  it("accepts a puzzle's extra words for that puzzle only", async () => {
+    await player().post('/api/guess').send({ puzzleId: '20260315', guess: 'BB-8' }).expect(200);
+    const res = await player().post('/api/guess').send({ puzzleId: '20260313', guess: 'BB-8' });
+    assert.equal(res.body.code, 'NOT_IN_WORD_LIST');
+  });
+
+  it('accepts puzzle answers that are not dictionary words', async () => {
+    await request(app).post('/api/guess').send({ puzzleId: '20260314', guess: 'VADER' }).expect(200);
+  });
+
+  it('returns 404 for an unknown puzzle', async () => {
+    await request(app).post('/api/guess').send({ puzzleId: '20250101', guess: 'CRANE' }).expect(404);
+  });
+
+  it('returns 403 for a puzzle that is not available yet', async () => {
+    const res = await request(app).post('/api/guess').send({ puzzleId: '20260316', guess: 'CRANE' }).expect(403);
+    assert.equal(res.body.error, 'This puzzle is not available yet');
+  });
+
+  it('checks the release date before the word list, so nothing is given away', async () => {
+    const res = await request(app).post('/api/guess').send({ puzzleId: '20260316', guess: 'BINGP' }).expect(403);
+    assert.equal(res.body.code, 'PUZZLE_NOT_AVAILABLE');
+    assert.equal(res.body.suggestions, undefined);
+  });
+
+  it("rejects guesses that don't match the puzzle's length", async () => {
+    const res = await request(app).post('/api/guess').send({ puzzleId: '20260315', guess: 'CRANE' }).expect(400);
+    assert.deepEqual(res.body, { error: 'Guess must be 4 characters', code: 'WRONG_LENGTH', params: { length: 4 } });
+  });
+
+  it('scores guesses, records them in the session and finishes on a win', async () => {
+    const agent = player();
+    const first = await agent.post('/api/guess').send({ puzzleId: '20260313', guess: 'crane' }).expect(200);
+    assert.match(first.headers['set-cookie'][0], /^svwb_sid=/);
+    assert.deepEqual(first.body.result.map(r => r.status), ['absent', 'present', 'present', 'absent', 'present']);
+    assert.equal(first.body.correct, false);
+    assert.equal(first.body.guessNumber, 1);
+    assert.equal(first.body.status, 'in-progress');
+
+    const win = await agent.post('/api/guess').send({ puzzleId: '20260313', guess: 'VADER' }).expect(200);
+    assert.equal(win.body.correct, true);
+    assert.equal(win.body.status, 'won');
+    assert.equal(win.body.completedAt, Date.parse('2026-03-15T12:00:00Z'));
+
+    const progress = await agent.get('/api/puzzle/20260313').expect(200);
+    assert.deepEqual(progress.body.progress.guesses.map(g => g.word), ['CRANE', 'VADER']);
+    assert.equal(progress.body.progress.status, 'won');
+
+    const after = await agent.post('/api/guess').send({ puzzleId: '20260313', guess: 'SLOTH' }).expect(409);
+    assert.equal(after.body.error, 'This puzzle is already finished');
+  });
+
+  it('ends the game as lost after six wrong guesses', async () => {
+    const agent = player();
+    const res = await play(agent, '20260314', WRONG_FIVE);
+    assert.equal(res.body.guessNumber, 6);
+    assert.equal(res.body.status, 'lost');
+    await agent.post('/api/guess').send({ puzzleId: '20260314', guess: 'WAMPA' }).expect(409);
+  });
+
+  it('ignores a cookie with a bad signature', async () => {
+    const agent = player();
+    await agent.post('/api/guess').send({ puzzleId: '20260314', guess: 'CRANE' }).expect(200);
+    const forged = await request(app)
+      .get('/api/puzzle/20260314')
+      .set('Cookie', 'svwb_sid=someone-else.not-the-signature')
+      .expect(200);
+    assert.deepEqual(forged.body.progress.guesses, []);
+  });
+
+  describe('hard mode', () => {
+    it('rejects guesses that ignore revealed hints', async () => {
+      const agent = player();
+      const first = await agent.post('/api/guess').send({ puzzleId: '20260314', guess: 'CRANE', hardMode: true }).expect(200);
+      assert.equal(first.body.hardMode, true);
+      const res = await agent.post('/api/guess').send({ puzzleId: '20260314', guess: 'SLOTH', hardMode: true }).expect(422);
+      assert.deepEqual(res.body, { error: 'Guess must contain A', code: 'HARD_MODE_MISSING', params: { letter: 'A' } });
+      const ok = await agent.post('/api/guess').send({ puzzleId: '20260314', guess: 'SALTY', hardMode: true }).expect(200);
+      assert.equal(ok.body.guessNumber, 2);
+    });
+
+    it('is fixed by the first guess of a puzzle', async () => {
+      const agent = player();
+      await agent.post('/api/guess').send({ puzzleId: '20260314', guess: 'CRANE' }).expect(200);
+      const res = await agent.post('/api/guess').send({ puzzleId: '20260314', guess: 'SLOTH', hardMode: true }).expect(200);
+      assert.equal(res.body.hardMode, false);
+    });
+  });
+});
+
+describe('POST /api/reveal', () => {
+  it('returns 404 for an unknown puzzle', async () => {
+    await request(app).post('/api/reveal').send({ puzzleId: '20250101' }).expect(404);
+  });
+
+  it('refuses to reveal an unfinished puzzle', async () => {
+    const agent = player();
+    await agent.post('/api/guess').send({ puzzleId: '20260313', guess: 'CRANE' }).expect(200);
+    const res = await agent.post('/api/reveal').send({ puzzleId: '20260313' }).expect(403);
+    assert.equal(res.body.error, 'Finish the puzzle to reveal the answer');
+  });
+
+  it('reveals the answer after a loss', async () => {
+    const agent = player();
+    await play(agent, '20260313', WRONG_FIVE);
+    const res = await agent.post('/api/reveal').send({ puzzleId: '20260313' }).expect(200);
+    assert.deepEqual(res.body, { answer: 'VADER' });
+  });
+});
+
+describe('GET /api/answer-image/:puzzleId', () => {
+  it('returns 404 for an unknown puzzle', async () => {
+    await request(app).get('/api/answer-image/20250101').expect(404);
+  });
+
+  it('returns 403 for a puzzle that is not available yet', async () => {
+    const res = await request(app).get('/api/answer-image/20260316').expect(403);
+    assert.equal(res.body.code, 'PUZZLE_NOT_AVAILABLE');
+  });
+
+  it('returns 403 until the player has finished the puzzle', async () => {
+    const res = await request(app).get('/api/answer-image/20260315').expect(403);
+    assert.equal(res.body.error, 'Finish the puzzle to see the image');
+  });
+
+  it('returns 404 after finishing when no image exists', async () => {
+    const agent = player();
+    await play(agent, '20260315', ['JEDI']);
+    const res = await agent.get('/api/answer-image/20260315').expect(404);
+    assert.equal(res.body.error, 'No image available');
+  });
+});
+
+describe('GET /api/sounds/:filename', () => {
+  it('rejects unexpected filenames', async () => {
+    await request(app).get('/api/sounds/server.js').expect(400);
+    await request(app).get('/api/sounds/..%2F.env.mp3').expect(400);
+  });
+
+  it('returns 404 when the sound is nowhere to be found', async () => {
+    const res = await request(app).get('/api/sounds/missing.mp3').expect(404);
+    assert.equal(res.body.error, 'Sound not found');
+  });
+});
+
+describe('GET /api/cache/stats', () => {
+  it('is admin only', async () => {
+    await request(app).get('/api/cache/stats').expect(401);
+  });
+
+  it('reports cache and backend counters', async () => {
+    const res = await request(app).get('/api/cache/stats').set('Authorization', adminAuth()).expect(200);
+    assert.deepEqual(Object.keys(res.body.cache).sort(), ['bytes', 'entries', 'evictions', 'hitRate', 'hits', 'maxBytes', 'misses']);
+    assert.equal(res.body.cache.maxBytes, 50 * 1024 * 1024);
+    assert.deepEqual(res.body.backends.map(b => b.name), ['local']);
+    assert.ok(res.body.backends[0].missed > 0);
+  });
+});
+
+describe('players, stats and leaderboards', () => {
+  const han = player();
+  const leia = player();
+  const anon = player();
+
+  before(async () => {
+    await play(han, '20260315', ['TREE', 'JEDI']);
+    await play(leia, '20260315', ['JEDI']);
+    await play(anon, '20260315', WRONG_FOUR);
+  });
+
+  it('has no display name for a new player', async () => {
+    const res = await request(app).get('/api/player').expect(200);
+    assert.deepEqual(res.body, { name: null });
+  });
+
+  it('validates and saves display names', async () => {
+    const bad = await han.post('/api/player/name').send({ name: 'x' }).expect(400);
+    assert.match(bad.body.error, /2–20/);
+    assert.equal(bad.body.code, 'INVALID_NAME');
+    await han.post('/api/player/name').send({ name: '  Han   Solo ' }).expect(200, { name: 'Han Solo' });
+    await leia.post('/api/player/name').send({ name: 'Leia' }).expect(200);
+    await han.get('/api/player').expect(200, { name: 'Han Solo' });
+  });
+
+  it('clears a display name with an empty name', async () => {
+    const agent = player();
+    await agent.post('/api/player/name').send({ name: 'Temp' }).expect(200, { name: 'Temp' });
+    await agent.post('/api/player/name').send({ name: '' }).expect(200, { name: null });
+  });
+
+  it('reports the global distribution for a puzzle', async () => {
+    const res = await request(app).get('/api/stats/20260315').expect(200);
+    assert.deepEqual(res.body, {
+      puzzleId: '20260315',
+      players: 4, // the answer-image test above also won in one
+      won: 3,
+      failed: 1,
+      distribution: [2, 1, 0, 0, 0, 0]
+    });
+  });
+
+  it('returns 403/404 stats for unreleased and unknown puzzles', async () => {
+    await request(app).get('/api/stats/20260316').expect(403);
+    await request(app).get('/api/stats/20250101').expect(404);
+  });
+
+  it("ranks named winners on today's puzzle by default", async () => {
+    const res = await request(app).get('/api/leaderboard/daily').expect(200);
+    assert.equal(res.body.puzzleId, '20260315');
+    assert.equal(res.body.puzzleNumber, 3);
+    assert.deepEqual(res.body.entries.map(e => [e.rank, e.name, e.guesses]), [[1, 'Leia', 1], [2, 'Han Solo', 2]]);
+  });
+
+  it('ranks a chosen puzzle and refuses unreleased ones', async () => {
+    const res = await request(app).get('/api/leaderboard/daily?puzzleId=20260313').expect(200);
+    assert.deepEqual(res.body.entries, []);
+    await request(app).get('/api/leaderboard/daily?puzzleId=20260316').expect(403);
+  });
+
+  it('ranks named players across all puzzles', async () => {
+    const res = await request(app).get('/api/leaderboard/all-time').expect(200);
+    assert.deepEqual(res.body.entries, [
+      { rank: 1, name: 'Leia', wins: 1, played: 1, averageGuesses: 1 },
+      { rank: 2, name: 'Han Solo', wins: 1, played: 1, averageGuesses: 2 }
+    ]);
+  });
+});
+
+describe('timed mode', () => {
+  const start = Date.parse('2026-03-15T12:00:00Z');
+  const at = seconds => mock.timers.setTime(start + seconds * 1000);
+  after(() => mock.timers.setTime(start));
+
+  async function named(name) {
+    const agent = player();
+    await agent.post('/api/player/name').send({ name }).expect(200);
+    return agent;
+  }
+
+  it('starts the clock before the first guess only', async () => {
+    const agent = player();
+    at(0);
+    await agent.post('/api/timer').send({ puzzleId: '20260313' }).expect(200, { timerStartedAt: start });
+    at(5);
+    await agent.post('/api/timer').send({ puzzleId: '20260313' }).expect(200, { timerStartedAt: start });
+
+    const late = player();
+    await late.post('/api/guess').send({ puzzleId: '20260313', guess: 'CRANE' }).expect(200);
+    const res = await late.post('/api/timer').send({ puzzleId: '20260313' }).expect(409);
+    assert.equal(res.body.code, 'TIMER_TOO_LATE');
+
+    await agent.post('/api/timer').send({ puzzleId: '20260316' }).expect(403);
+    await agent.post('/api/timer').send({ puzzleId: '20250101' }).expect(404);
+  });
+
+  it('starts no session for a request it refuses', async () => {
+    const paused = await player().post('/api/timer').send({ puzzleId: '20260313', action: 'pause' }).expect(409);
+    assert.equal(paused.body.code, 'TIMER_NOT_RUNNING');
+    assert.equal(paused.headers['set-cookie'], undefined);
+    const resumed = await player().post('/api/timer').send({ puzzleId: '20260313', action: 'resume' }).expect(409);
+    assert.equal(resumed.headers['set-cookie'], undefined);
+  });
+
+  it("times guesses on the server's clock, whatever the client claims", async () => {
+    const rey = await named('Rey');
+    at(0);
+    await rey.post('/api/timer').send({ puzzleId: '20260313' }).expect(200);
+    at(30);
+    await rey.post('/api/guess').send({ puzzleId: '20260313', guess: 'CRANE', elapsedMs: 0 }).expect(200);
+    at(45);
+    const won = await rey.post('/api/guess').send({ puzzleId: '20260313', guess: 'VADER', elapsedMs: 0 }).expect(200);
+    assert.equal(won.body.solveMs, 45000);
+
+    const finn = await named('Finn');
+    at(0);
+    await finn.post('/api/timer').send({ puzzleId: '20260313' }).expect(200);
+    at(10);
+    const fast = await finn.post('/api/guess').send({ puzzleId: '20260313', guess: 'VADER' }).expect(200);
+    assert.equal(fast.body.solveMs, 10000);
+  });
+
+  it('leaves out the time the game was paused', async () => {
+    const agent = player();
+    at(0);
+    await agent.post('/api/timer').send({ puzzleId: '20260313' }).expect(200);
+    at(10);
+    await agent.post('/api/timer').send({ puzzleId: '20260313', action: 'pause' })
+      .expect(200, { elapsedMs: 10000, paused: true });
+    at(100);
+    await agent.post('/api/timer').send({ puzzleId: '20260313', action: 'pause' })
+      .expect(200, { elapsedMs: 10000, paused: true });
+    await agent.post('/api/timer').send({ puzzleId: '20260313', action: 'resume' })
+      .expect(200, { elapsedMs: 10000, paused: false });
+    at(105);
+    await agent.post('/api/guess').send({ puzzleId: '20260313', guess: 'CRANE' }).expect(200);
+    // A guess made while paused resumes the clock
+    await agent.post('/api/timer').send({ puzzleId: '20260313', action: 'pause' }).expect(200);
+    at(200);
+    const won = await agent.post('/api/guess').send({ puzzleId: '20260313', guess: 'VADER' }).expect(200);
+    assert.equal(won.body.solveMs, 16000);
+
+    const progress = await agent.get('/api/puzzle/20260313').expect(200);
+    assert.deepEqual(progress.body.progress.guesses.map(g => g.elapsedMs), [15000, 16000]);
+    const done = await agent.post('/api/timer').send({ puzzleId: '20260313', action: 'resume' }).expect(409);
+    assert.equal(done.body.code, 'TIMER_NOT_RUNNING');
+    await agent.post('/api/timer').send({ puzzleId: '20260313', action: 'stop' }).expect(400);
+  });
+
+  it('counts at least a second for every guess', async () => {
+    const agent = player();
+    at(0);
+    await agent.post('/api/timer').send({ puzzleId: '20260313' }).expect(200);
+    await agent.post('/api/timer').send({ puzzleId: '20260313', action: 'pause' }).expect(200);
+    at(60);
+    await agent.post('/api/guess').send({ puzzleId: '20260313', guess: 'CRANE' }).expect(200);
+    await agent.post('/api/timer').send({ puzzleId: '20260313', action: 'pause' }).expect(200);
+    at(120);
+    const won = await agent.post('/api/guess').send({ puzzleId: '20260313', guess: 'VADER' }).expect(200);
+    assert.equal(won.body.solveMs, 2000);
+  });
+
+  it('has no time for untimed games', async () => {
+    const poe = await named('Poe');
+    const res = await poe.post('/api/guess').send({ puzzleId: '20260313', guess: 'VADER' }).expect(200);
+    assert.equal(res.body.solveMs, null);
+  });
+
+  it('ranks named timed winners by solve time', async () => {
+    const res = await request(app).get('/api/leaderboard/fastest?puzzleId=20260313').expect(200);
+    assert.equal(res.body.puzzleNumber, 1);
+    assert.deepEqual(res.body.entries.map(e => [e.rank, e.name, e.solveMs, e.guesses]), [
+      [1, 'Finn', 10000, 1],
+      [2, 'Rey', 45000, 2]
+    ]);
+    const daily = await request(app).get('/api/leaderboard/daily?puzzleId=20260313').expect(200);
+    assert.deepEqual(daily.body.entries.map(e => e.name), ['Finn', 'Poe', 'Rey']);
+    await request(app).get('/api/leaderboard/fastest?puzzleId=20260316').expect(403);
+  });
+
+  it('leaves games that were paused off the fastest board', async () => {
+    const kylo = await named('Kylo');
+    at(0);
+    await kylo.post('/api/timer').send({ puzzleId: '20260313' }).expect(200);
+    await kylo.post('/api/timer').send({ puzzleId: '20260313', action: 'pause' }).expect(200);
+    at(600);
+    await kylo.post('/api/timer').send({ puzzleId: '20260313', action: 'resume' }).expect(200);
+    at(602);
+    const won = await kylo.post('/api/guess').send({ puzzleId: '20260313', guess: 'VADER' }).expect(200);
+    assert.equal(won.body.solveMs, 2000);
+
+    const fastest = await request(app).get('/api/leaderboard/fastest?puzzleId=20260313').expect(200);
+    assert.deepEqual(fastest.body.entries.map(e => e.name), ['Finn', 'Rey']);
+    const daily = await request(app).get('/api/leaderboard/daily?puzzleId=20260313').expect(200);
+    assert.ok(daily.body.entries.some(e => e.name === 'Kylo'));
+  });
+});
+
+describe('hints', () => {
+  const hint = (agent, puzzleId = '20260313') => agent.post('/api/hint').send({ puzzleId });
+
+  it('unlocks each hint after its number of guesses', async () => {
+    const agent = player();
+    const locked = await hint(agent).expect(403);
+    assert.equal(locked.body.code, 'HINT_LOCKED');
+    assert.equal(locked.body.error, 'This hint unlocks after guess 3');
+
+    await play(agent, '20260313', WRONG_FIVE.slice(0, 3));
+    const res = await hint(agent).expect(200);
+    assert.deepEqual(res.body, { hints: [{ type: 'clue', text: 'Dark lord' }], hintsUsed: 1 });
+    assert.equal((await hint(agent).expect(403)).body.error, 'This hint unlocks after guess 4');
+
+    await hint(player(), '20260316').expect(403);
+    await hint(player(), '20250101').expect(404);
+  });
+
+  it('stores nothing for a hint that is refused', async () => {
+    const locked = await hint(player()).expect(403);
+    assert.equal(locked.headers['set-cookie'], undefined);
+
+    const agent = player();
+    await play(agent, '20260314', ['CRANE']);
+    await hint(agent).expect(403);
+    server.flushStores();
+    const { sessions } = JSON.parse(fs.readFileSync(process.env.SESSIONS_FILE, 'utf-8'));
+    const stored = Object.values(sessions).filter(s => s.puzzles['20260314']);
+    assert.ok(stored.length > 0);
+    assert.ok(stored.every(s => !s.puzzles['20260313'] || s.puzzles['20260313'].guesses.length > 0));
+  });
+
+  it("reveals a letter the player hasn't placed and one they haven't tried", async () => {
+    const agent = player();
+    // CADET turns A, D and E green
+    await play(agent, '20260313', ['CADET', 'CRANE', 'SLOTH', 'TRAIN']);
+    await hint(agent).expect(200);
+    const [, letter] = (await hint(agent).expect(200)).body.hints;
+    assert.equal(letter.type, 'letter');
+    assert.ok([0, 4].includes(letter.position));
+    assert.equal(letter.letter, 'VADER'[letter.position]);
+
+    await play(agent, '20260313', ['ABIDE']);
+    const res = await hint(agent).expect(200);
+    const absent = res.body.hints[2];
+    assert.equal(absent.type, 'absent');
+    assert.doesNotMatch(absent.letter, /[VADERCTNSLOHIB]/);
+    assert.equal(res.body.hintsUsed, 3);
+
+    assert.equal((await hint(agent).expect(409)).body.code, 'NO_MORE_HINTS');
+    const { progress } = (await agent.get('/api/puzzle/20260313').expect(200)).body;
+    assert.deepEqual(progress.hints, res.body.hints);
+    assert.equal(progress.hintsUsed, 3);
+  });
+
+  it('opens the whole ladder once the game is over without counting it', async () => {
+    const agent = player();
+    await play(agent, '20260313', ['CRANE', 'SLOTH', 'TRAIN']);
+    await hint(agent).expect(200);
+    await play(agent, '20260313', ['VADER']);
+    await hint(agent).expect(200);
+    const res = await hint(agent).expect(200);
+    assert.deepEqual(res.body.hints.map(h => h.type), ['clue', 'letter', 'absent']);
+    assert.equal(res.body.hintsUsed, 1);
+  });
+});
+
+describe('custom puzzles', () => {
+  async function create(body) {
+    return request(app).post('/api/custom').set('Host', 'svwb.test').send(body);
+  }
+
+  it('validates the answer, clue and name', async () => {
+    const short = await create({ answer: 'ABC', clue: 'Too short' });
+    assert.equal(short.status, 400);
+    assert.deepEqual(short.body.params, { min: 4, max: 7 });
+    assert.equal(short.body.code, 'INVALID_ANSWER');
+    assert.equal((await create({ answer: 'R2-D2!', clue: 'Droid' })).body.code, 'INVALID_ANSWER');
+    assert.equal((await create({ answer: 'WOOKIE', clue: '   ' })).body.code, 'MISSING_CLUE');
+    assert.equal((await create({ answer: 'WOOKIE', clue: 'x'.repeat(101) })).body.code, 'CLUE_TOO_LONG');
+    assert.equal((await create({ answer: 'WOOKIE', clue: 'Furry', author: 'x'.repeat(21) })).body.code, 'AUTHOR_TOO_LONG');
+  });
+
+  it('returns a shareable link that does not contain the answer', async () => {
+    const res = await create({ answer: ' wookie ', clue: 'Furry co-pilot', author: 'Han' });
+    assert.equal(res.status, 201);
+    assert.match(res.body.url, /^http:\/\/svwb\.test\/c\/[\w-]+$/);
+    assert.equal(res.body.puzzleId, `custom-${res.body.url.split('/c/')[1]}`);
+    assert.doesNotMatch(JSON.stringify(res.body), /WOOKIE/i);
+  });
+
+  it('plays like a daily puzzle but stays off the leaderboard and stats', async () => {
+    const { puzzleId } = (await create({ answer: 'ZZXQ', clue: 'Not a word', author: 'Han' })).body;
+
+    const info = await request(app).get(`/api/puzzle/${puzzleId}`).expect(200);
+    assert.equal(info.body.custom, true);
+    assert.equal(info.body.puzzleNumber, null);
+    assert.equal(info.body.date, null);
+    assert.equal(info.body.wordLength, 4);
+    assert.equal(info.body.hints[0].type, 'clue');
+    assert.equal(info.body.author, 'Han');
+    assertNoAnswers(info.body);
+
+    const agent = player();
+    await agent.post('/api/player/name').send({ name: 'Chewie' }).expect(200);
+    await agent.post('/api/reveal').send({ puzzleId }).expect(403);
+    const wrong = await play(agent, puzzleId, ['TREE']);
+    assert.equal(wrong.body.status, 'in-progress');
+    assert.deepEqual(wrong.body.result.map(r => r.status), ['absent', 'absent', 'absent', 'absent']);
+    const won = await play(agent, puzzleId, ['ZZXQ']);
+    assert.equal(won.body.status, 'won');
+    assert.equal(won.body.guessNumber, 2);
+    await agent.post('/api/reveal').send({ puzzleId }).expect(200, { answer: 'ZZXQ' });
+
+    const allTime = await request(app).get('/api/leaderboard/all-time').expect(200);
+    assert.ok(!allTime.body.entries.some(e => e.name === 'Chewie'));
+    await request(app).get(`/api/stats/${puzzleId}`).expect(404);
+    await request(app).get(`/api/leaderboard/daily?puzzleId=${puzzleId}`).expect(404);
+  });
+
+  it('only accepts its own answer outside the word list', async () => {
+    const { puzzleId } = (await create({ answer: 'ZZXQ', clue: 'Not a word' })).body;
+    const res = await player().post('/api/guess').send({ puzzleId, guess: 'QXZZ' }).expect(422);
+    assert.equal(res.body.code, 'NOT_IN_WORD_LIST');
+  });
+
+  it('returns 404 for tampered links', async () => {
+    const { puzzleId } = (await create({ answer: 'WAMPA', clue: 'Snow beast' })).body;
+    const tampered = puzzleId.slice(0, -3) + (puzzleId.endsWith('AAA') ? 'BBB' : 'AAA');
+    await request(app).get(`/api/puzzle/${tampered}`).expect(404);
+    await player().post('/api/guess').send({ puzzleId: tampered, guess: 'WAMPA' }).expect(404);
+    await request(app).get('/api/puzzle/custom-nope').expect(404);
+  });
+
+  it('serves the game page for share links', async () => {
+    const res = await request(app).get('/c/abc-123').expect(200);
+    assert.match(res.text, /<div id="board"/);
+  });
+});
+
+describe('replays', () => {
+  function share(agent, puzzleId) {
+    return agent.post('/api/replay').set('Host', 'svwb.test').send({ puzzleId });
+  }
+
+  function tokenOf(res) {
+    return res.body.url.split('/r/')[1];
+  }
+
+  it('only shares finished games', async () => {
+    const agent = player();
+    await play(agent, '20260314', ['CRANE']);
+    const res = await share(agent, '20260314').expect(403);
+    assert.equal(res.body.code, 'REPLAY_NOT_FINISHED');
+    await share(agent, '20250101').expect(404);
+  });
+
+  it('returns a link that plays back a won game for anyone', async () => {
+    const agent = player();
+    await play(agent, '20260314', ['CRANE', 'WAMPA'], { hardMode: true });
+    const res = await share(agent, '20260314').expect(201);
+    assert.match(res.body.url, /^http:\/\/svwb\.test\/r\/[\w-]+$/);
+    assert.doesNotMatch(res.body.url, /WAMPA/i);
+
+    const replay = await request(app).get(`/api/replay/${tokenOf(res)}`).expect(200);
+    assert.equal(replay.body.puzzleId, '20260314');
+    assert.equal(replay.body.puzzleNumber, 2);
+    assert.equal(replay.body.wordLength, 5);
+    assert.equal(replay.body.hardMode, true);
+    assert.equal(replay.body.status, 'won');
+    assert.deepEqual(replay.body.guesses.map(g => g.word), ['CRANE', 'WAMPA']);
+    assert.deepEqual(replay.body.guesses[0].result.map(r => r.status), ['absent', 'absent', 'present', 'absent', 'absent']);
+    assert.equal(replay.body.solveMs, null);
+    assert.equal(replay.body.answer, 'WAMPA');
+  });
+
+  it('ends a lost game with the answer', async () => {
+    const agent = player();
+    await play(agent, '20260314', WRONG_FIVE);
+    const res = await share(agent, '20260314').expect(201);
+    const replay = await request(app).get(`/api/replay/${tokenOf(res)}`).expect(200);
+    assert.equal(replay.body.status, 'lost');
+    assert.equal(replay.body.guesses.length, 6);
+    assert.equal(replay.body.answer, 'WAMPA');
+  });
+
+  it('keeps the clock readings of a timed game', async () => {
+    const start = Date.parse('2026-03-15T12:00:00Z');
+    const agent = player();
+    await agent.post('/api/timer').send({ puzzleId: '20260314' }).expect(200);
+    mock.timers.setTime(start + 4000);
+    await play(agent, '20260314', ['CRANE']);
+    mock.timers.setTime(start + 9000);
+    await play(agent, '20260314', ['WAMPA']);
+    mock.timers.setTime(start);
+
+    const res = await share(agent, '20260314').expect(201);
+    const replay = await request(app).get(`/api/replay/${tokenOf(res)}`).expect(200);
+    assert.deepEqual(replay.body.guesses.map(g => g.elapsedMs), [4000, 9000]);
+    assert.equal(replay.body.solveMs, 9000);
+  });
+
+  it('works for custom puzzles', async () => {
+    const created = await request(app).post('/api/custom').send({ answer: 'ZZXQ', clue: 'Not a word', author: 'Han' });
+    const agent = player();
+    await play(agent, created.body.puzzleId, ['ZZXQ']);
+    const res = await share(agent, created.body.puzzleId).expect(201);
+    const replay = await request(app).get(`/api/replay/${tokenOf(res)}`).expect(200);
+    assert.equal(replay.body.custom, true);
+    assert.equal(replay.body.puzzleNumber, null);
+    assert.equal(replay.body.author, 'Han');
+    assert.equal(replay.body.status, 'won');
+  });
+
+  it('returns 404 for tampered and foreign tokens', async () => {
+    const agent = player();
+    await play(agent, '20260314', ['WAMPA']);
+    const token = tokenOf(await share(agent, '20260314').expect(201));
+    const tampered = token.slice(0, -3) + (token.endsWith('AAA') ? 'BBB' : 'AAA');
+    const res = await request(app).get(`/api/replay/${tampered}`).expect(404);
+    assert.equal(res.body.code, 'REPLAY_NOT_FOUND');
+
+    const custom = await request(app).post('/api/custom').send({ answer: 'WAMPA', clue: 'Snow beast' });
+    await request(app).get(`/api/replay/${custom.body.puzzleId.slice('custom-'.length)}`).expect(404);
+  });
+
+  it('serves the game page for replay links', async () => {
+    const res = await request(app).get('/r/abc-123').expect(200);
+    assert.match(res.text, /<div id="replay-bar"/);
+  });
+});
+
+describe('GET /api/analysis/:puzzleId', () => {
+  it('is only available once the puzzle is finished', async () => {
+    const agent = player();
+    await play(agent, '20260314', ['CRANE']);
+    const res = await agent.get('/api/analysis/20260314').expect(403);
+    assert.equal(res.body.code, 'ANALYSIS_NOT_FINISHED');
+    await agent.get('/api/analysis/20250101').expect(404);
+  });
+
+  it('counts the words left after each guess', async () => {
+    const agent = player();
+    await play(agent, '20260314', ['CRANE', 'WAMPA']);
+    const res = await agent.get('/api/analysis/20260314').expect(200);
+    assert.equal(res.body.puzzleId, '20260314');
+    const [first, last] = res.body.guesses;
+    assert.equal(first.word, 'CRANE');
+    assert.ok(first.candidatesBefore > 1000);
+    assert.ok(first.candidatesAfter < first.candidatesBefore);
+    assert.equal(typeof first.best.word, 'string');
+    assert.ok(first.best.expected <= first.expected);
+    assert.equal(last.word, 'WAMPA');
+    assert.equal(last.candidatesAfter, 1);
+  });
+
+  it("never counts other puzzles' answers, which could give away future ones", async () => {
+    const first = player();
+    await play(first, '20260314', ['CRANE', 'WAMPA']);
+    const field = (await first.get('/api/analysis/20260314').expect(200)).body.guesses[0].candidatesBefore;
+
+    const auth = { Authorization: adminAuth() };
+    await request(app).post('/api/admin/puzzles').set(auth).send({ date: '2026-03-25', answer: 'QZXQZ' }).expect(201);
+    try {
+      const second = player();
+      await play(second, '20260314', ['SLOTH', 'WAMPA']);
+      const res = await second.get('/api/analysis/20260314').expect(200);
+      assert.equal(res.body.guesses[0].candidatesBefore, field);
+    } finally {
+      await request(app).delete('/api/admin/puzzles/2026-03-25').set(auth).expect(200);
+    }
+  });
+
+  it('includes a custom answer that is not a word', async () => {
+    const created = await request(app).post('/api/custom').send({ answer: 'ZZXQ', clue: 'Not a word' });
+    const agent = player();
+    await play(agent, created.body.puzzleId, ['TREE', 'ZZXQ']);
+    const res = await agent.get(`/api/analysis/${created.body.puzzleId}`).expect(200);
+    assert.deepEqual(res.body.guesses.map(g => g.candidatesAfter), [res.body.guesses[1].candidatesBefore, 1]);
+  });
+});
+
+describe('progress sync', () => {
+  let key;
+
+  it('rejects blobs that are not progress codes', async () => {
+    await request(app).post('/api/sync').send({ blob: 'hello' }).expect(400);
+    await request(app).post('/api/sync').send({ blob: 'SVWB.' + 'x'.repeat(64 * 1024) }).expect(400);
+  });
+
+  it('stores a progress code under a new key', async () => {
+    const res = await request(app).post('/api/sync').send({ blob: 'SVWB.J.first.0' }).expect(201);
+    key = res.body.key;
+    assert.match(key, /^[A-Z2-9]{10}$/);
+    assert.equal(res.body.updatedAt, Date.parse('2026-03-15T12:00:00Z'));
+  });
+
+  it('fetches the code by key, case-insensitively', async () => {
+    const res = await request(app).get(`/api/sync/${key.toLowerCase()}`).expect(200);
+    assert.equal(res.body.blob, 'SVWB.J.first.0');
+  });
+
+  it('replaces the code stored under a key', async () => {
+    await request(app).put(`/api/sync/${key}`).send({ blob: 'nope' }).expect(400);
+    await request(app).put(`/api/sync/${key}`).send({ blob: 'SVWB.J.second.0' }).expect(200);
+    const res = await request(app).get(`/api/sync/${key}`).expect(200);
+    assert.equal(res.body.blob, 'SVWB.J.second.0');
+  });
+
+  it('returns 404 for unknown keys', async () => {
+    await request(app).get('/api/sync/AAAAAAAAAA').expect(404);
+    await request(app).put('/api/sync/AAAAAAAAAA').send({ blob: 'SVWB.J.x.0' }).expect(404);
+  });
+
+  it('drops keys nobody has written to for SYNC_EXPIRY_DAYS', async () => {
+    mock.timers.setTime(Date.parse('2026-04-15T12:00:00Z'));
+    try {
+      await request(app).post('/api/sync').send({ blob: 'SVWB.J.new.0' }).expect(201);
+      await request(app).get(`/api/sync/${key}`).expect(404);
+    } finally {
+      mock.timers.setTime(Date.parse('2026-03-15T12:00:00Z'));
+    }
+  });
+
+  it('pushes out the least recently updated key once SYNC_MAX_KEYS are stored', async () => {
+    const keys = [];
+    try {
+      for (let i = 0; i < 4; i++) {
+        mock.timers.setTime(Date.parse('2026-04-16T12:00:00Z') + i * 1000);
+        if (i === 3) await request(app).put(`/api/sync/${keys[0]}`).send({ blob: 'SVWB.J.again.0' }).expect(200);
+        const res = await request(app).post('/api/sync').send({ blob: `SVWB.J.${i}.0` }).expect(201);
+        keys.push(res.body.key);
+      }
+    } finally {
+      mock.timers.setTime(Date.parse('2026-03-15T12:00:00Z'));
+    }
+    await request(app).get(`/api/sync/${keys[0]}`).expect(200);
+    await request(app).get(`/api/sync/${keys[1]}`).expect(404);
+    await request(app).get(`/api/sync/${keys[2]}`).expect(200);
+    await request(app).get(`/api/sync/${keys[3]}`).expect(200);
+  });
+});
+
+describe('admin API', () => {
+  const admin = () => ({ Authorization: adminAuth() });
+
+  it('requires the admin password', async () => {
+    const res = await request(app).get('/api/admin/puzzles').expect(401);
+    assert.match(res.headers['www-authenticate'], /^Basic /);
+    await request(app).get('/api/admin/puzzles').set('Authorization', 'Basic ' + Buffer.from('a:wrong').toString('base64')).expect(401);
+  });
+
+  it('lists every puzzle with its answer', async () => {
+    const res = await request(app).get('/api/admin/puzzles').set(admin()).expect(200);
+    assert.equal(res.body.today, '2026-03-15');
+    assert.deepEqual(res.body.puzzles.map(p => [p.date, p.answer, p.released, p.source]), [
+      ['2026-03-13', 'VADER', true, 'env'],
+      ['2026-03-14', 'WAMPA', true, 'env'],
+      ['2026-03-15', 'JEDI', true, 'catalog'],
+      ['2026-03-16', 'BINGO', false, 'env']
+    ]);
+    assert.deepEqual(res.body.gaps, []);
+  });
+
+  it('schedules new puzzles and reports gaps', async () => {
+    const res = await request(app).post('/api/admin/puzzles').set(admin())
+      .send({ date: '2026-03-19', answer: 'endor', clue: 'Forest moon' })
+      .expect(201);
+    assert.equal(res.body.puzzle.answer, 'ENDOR');
+    assert.equal(res.body.puzzle.source, 'catalog');
+
+    const list = await request(app).get('/api/admin/puzzles').set(admin()).expect(200);
+    assert.deepEqual(list.body.gaps, ['2026-03-17', '2026-03-18']);
+  });
+
+  it('rejects invalid and clashing puzzles', async () => {
+    await request(app).post('/api/admin/puzzles').set(admin()).send({ date: '2026-03-20', answer: 'X' }).expect(400);
+    const hints = await request(app).post('/api/admin/puzzles').set(admin())
+      .send({ date: '2026-03-20', answer: 'HOTH', hints: 'clue:9' })
+      .expect(400);
+    assert.match(hints.body.error, /hint "clue:9"/);
+    const res = await request(app).post('/api/admin/puzzles').set(admin())
+      .send({ date: '2026-03-19', answer: 'HOTH' })
+      .expect(409);
+    assert.match(res.body.error, /already scheduled for 2026-03-19/);
+  });
+
+  it('edits and reschedules catalog puzzles', async () => {
+    const res = await request(app).put('/api/admin/puzzles/2026-03-19').set(admin())
+      .send({ date: '2026-03-17', answer: 'ENDOR', clue: 'Ewok home', hints: 'letter:2, clue:4' })
+      .expect(200);
+    assert.equal(res.body.puzzle.date, '2026-03-17');
+    assert.equal(res.body.puzzle.clue, 'Ewok home');
+    assert.deepEqual(res.body.puzzle.hints, [{ type: 'letter', after: 2 }, { type: 'clue', after: 4 }]);
+    await request(app).put('/api/admin/puzzles/2026-03-19').set(admin()).send({ answer: 'HOTH' }).expect(404);
+  });
+
+  it('edits env puzzles in place but will not move or delete them', async () => {
+    await request(app).put('/api/admin/puzzles/2026-03-16').set(admin())
+      .send({ date: '2026-03-18', answer: 'BINGO' })
+      .expect(409);
+    const res = await request(app).put('/api/admin/puzzles/2026-03-16').set(admin())
+      .send({ answer: 'BINGO', clue: 'Game night' })
+      .expect(200);
+    assert.equal(res.body.puzzle.source, 'catalog');
+    await request(app).delete('/api/admin/puzzles/2026-03-13').set(admin()).expect(409);
+  });
+
+  it('deletes catalog puzzles', async () => {
+    await request(app).delete('/api/admin/puzzles/2026-03-17').set(admin()).expect(200, { deleted: '2026-03-17' });
+    await request(app).delete('/api/admin/puzzles/2026-03-17').set(admin()).expect(404);
+    await request(app).get('/api/puzzle/20260317').expect(404);
+  });
+
+  it('previews answer images without a finished session', async () => {
+    await request(app).get('/api/admin/puzzles/2026-03-15/image').set(admin()).expect(404);
+    await request(app).get('/api/admin/puzzles/2026-03-15/image').expect(401);
+  });
+});
@@ -0,0 +1,29 @@
+const { describe, it, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { loadServer } = require('./helpers');
+
+// Booting with a catalog that isn't valid JSON still serves the env puzzles
+mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-15T12:00:00Z') });
+const error = mock.method(console, 'error', () => {});
+
+const { server, cleanup } = loadServer({
+  env: { PUZZLE_20260315: 'VADER|Dark lord' },
+  catalog: '{ "puzzles": ['
+});
+const { app } = server;
+
+after(() => {
+  mock.timers.reset();
+  error.mock.restore();
+  cleanup();
+});
+
+describe('booting with a broken catalog', () => {
+  it('logs the error and keeps the env puzzles', async () => {
+    assert.ok(error.mock.calls.some(c => /Could not load .*puzzles\.json/.test(c.arguments[0])));
+    const res = await request(app).get('/api/today').expect(200);
+    assert.equal(res.body.puzzleId, '20260315');
+    assert.equal(res.body.totalPuzzles, 1);
+  });
+});
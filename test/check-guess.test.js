@@ -0,0 +1,101 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+const { server, cleanup } = loadServer();
+const { checkGuess, checkHardModeGuess } = server;
+
+after(cleanup);
+
+// Compact form of a result: C = correct, P = present, A = absent
+function statuses(result) {
+  return result.map(r => ({ correct: 'C', present: 'P', absent: 'A' })[r.status]).join('');
+}
+
+describe('checkGuess', () => {
+  it('marks an exact match all correct', () => {
+    assert.equal(statuses(checkGuess('VADER', 'VADER')), 'CCCCC');
+  });
+
+  it('returns the guessed letter for every position', () => {
+    assert.deepEqual(checkGuess('CRANE', 'VADER').map(r => r.letter), ['C', 'R', 'A', 'N', 'E']);
+  });
+
+  it('marks letters that are not in the answer absent', () => {
+    assert.equal(statuses(checkGuess('FLUNK', 'VADER')), 'AAAAA');
+  });
+
+  it('marks misplaced letters present', () => {
+    assert.equal(statuses(checkGuess('RAVED', 'VADER')), 'PCPCP');
+  });
+
+  it('does not mark a repeated guess letter present once the answer copy is used by a green', () => {
+    // CRANE has one E, matched in place, so the two leading Es are absent
+    assert.equal(statuses(checkGuess('EERIE', 'CRANE')), 'AAPAC');
+  });
+
+  it('gives greens priority over earlier yellows for the same letter', () => {
+    // Both Bs of ABBEY are matched in place; the other guessed Bs are absent
+    assert.equal(statuses(checkGuess('BBBBB', 'ABBEY')), 'ACCAA');
+  });
+
+  it('marks only as many yellows as the answer has copies of a letter', () => {
+    // ALLOW has two Ls: one matched in place, one left for the first L
+    assert.equal(statuses(checkGuess('LOLLY', 'ALLOW')), 'PPCAA');
+  });
+
+  it('uses a repeated answer letter for a green and a yellow', () => {
+    assert.equal(statuses(checkGuess('EDGES', 'SPEED')), 'PPACP');
+  });
+
+  it('handles digits and hyphens like letters', () => {
+    assert.equal(statuses(checkGuess('R2-D2', 'R2-D2')), 'CCCCC');
+    assert.equal(statuses(checkGuess('2R-2D', 'R2-D2')), 'PPCPP');
+  });
+
+  it('works for 4- and 7-letter answers', () => {
+    assert.equal(statuses(checkGuess('DEJA', 'JEDI')), 'PCPA');
+    assert.equal(statuses(checkGuess('TROOPER', 'TROOPER')), 'CCCCCCC');
+    assert.equal(checkGuess('PORTERS', 'TROOPER').length, 7);
+  });
+});
+
+describe('checkHardModeGuess', () => {
+  it('allows any guess before there are hints', () => {
+    assert.equal(checkHardModeGuess('FLUNK', []), null);
+  });
+
+  it('requires greens to stay in place', () => {
+    const previous = [checkGuess('CADET', 'VADER')];
+    assert.deepEqual(checkHardModeGuess('SLOTH', previous), { code: 'HARD_MODE_POSITION', params: { position: 2, letter: 'A' } });
+    assert.equal(checkHardModeGuess('RADEK', previous), null);
+  });
+
+  it('names the position with the right ordinal', () => {
+    const previous = [checkGuess('WADER', 'VADER')];
+    assert.deepEqual(checkHardModeGuess('BADES', previous), { code: 'HARD_MODE_POSITION', params: { position: 5, letter: 'R' } });
+    assert.deepEqual(checkHardModeGuess('WXDER', previous), { code: 'HARD_MODE_POSITION', params: { position: 2, letter: 'A' } });
+    assert.deepEqual(checkHardModeGuess('WAXER', previous), { code: 'HARD_MODE_POSITION', params: { position: 3, letter: 'D' } });
+    assert.deepEqual(checkHardModeGuess('WADXR', previous), { code: 'HARD_MODE_POSITION', params: { position: 4, letter: 'E' } });
+  });
+
+  it('requires yellows to be reused', () => {
+    const previous = [checkGuess('CRANE', 'WAMPA')];
+    assert.deepEqual(checkHardModeGuess('SLOTH', previous), { code: 'HARD_MODE_MISSING', params: { letter: 'A' } });
+    assert.equal(checkHardModeGuess('SALTY', previous), null);
+  });
+
+  it('requires a letter as many times as it has been revealed', () => {
+    // Two Es revealed as present: a guess with only one E is not enough
+    const previous = [checkGuess('EERIE', 'SPEED')];
+    assert.equal(statuses(previous[0]), 'PPAAA');
+    assert.deepEqual(checkHardModeGuess('TENTS', previous), { code: 'HARD_MODE_MISSING', params: { letter: 'E' } });
+    assert.equal(checkHardModeGuess('GEESE', previous), null);
+  });
+
+  it('combines hints from every previous guess', () => {
+    const previous = [checkGuess('CRANE', 'WAMPA'), checkGuess('SALTY', 'WAMPA')];
+    assert.deepEqual(checkHardModeGuess('BLAME', previous), { code: 'HARD_MODE_POSITION', params: { position: 2, letter: 'A' } });
+    assert.equal(checkHardModeGuess('BAKED', previous), null);
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCustomPuzzleCodec, isCustomPuzzleId } = require('../lib/custom-puzzles');
+
+describe('createCustomPuzzleCodec', () => {
+  const codec = createCustomPuzzleCodec({ secret: 'test-secret' });
+  const puzzle = { answer: 'WAMPA', clue: 'Snow beast', author: 'Luke' };
+
+  it('round-trips a puzzle through a URL-safe token', () => {
+    const token = codec.seal(puzzle);
+    assert.match(token, /^[\w-]+$/);
+    assert.deepEqual(codec.open(token), puzzle);
+  });
+
+  it('keeps the answer out of the token', () => {
+    const token = codec.seal(puzzle);
+    assert.doesNotMatch(Buffer.from(token, 'base64url').toString('latin1'), /WAMPA/);
+    assert.doesNotMatch(token, /WAMPA/i);
+  });
+
+  it('seals the same puzzle differently each time', () => {
+    assert.notEqual(codec.seal(puzzle), codec.seal(puzzle));
+  });
+
+  it('stores a missing author as null', () => {
+    assert.equal(codec.open(codec.seal({ answer: 'JEDI', clue: 'Knight' })).author, null);
+  });
+
+  it('rejects tampered, truncated and foreign tokens', () => {
+    const token = codec.seal(puzzle);
+    const flipped = token.slice(0, -2) + (token.endsWith('AA') ? 'BB' : 'AA');
+    assert.equal(codec.open(flipped), null);
+    assert.equal(codec.open(token.slice(0, 20)), null);
+    assert.equal(codec.open('not a token!'), null);
+    assert.equal(codec.open(undefined), null);
+    assert.equal(createCustomPuzzleCodec({ secret: 'other-secret' }).open(token), null);
+  });
+
+  it('keeps tokens sealed for another context from opening', () => {
+    const practice = createCustomPuzzleCodec({ secret: 'test-secret', context: 'practice-puzzles' });
+    assert.equal(practice.open(codec.seal(puzzle)), null);
+    assert.equal(codec.open(practice.seal(puzzle)), null);
+  });
+});
+
+describe('isCustomPuzzleId', () => {
+  it('matches ids with the custom prefix only', () => {
+    assert.equal(isCustomPuzzleId('custom-abc'), true);
+    assert.equal(isCustomPuzzleId('20260315'), false);
+    assert.equal(isCustomPuzzleId(20260315), false);
+  });
+});
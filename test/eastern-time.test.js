@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, afterEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+const { server, cleanup } = loadServer();
+const { getPuzzleDateString, getNextRolloverUTC } = server;
+
+after(cleanup);
+
+// In 2026 Eastern time springs forward on 8 March (02:00 EST -> 03:00 EDT)
+// and falls back on 1 November (02:00 EDT -> 01:00 EST).
+function at(isoString) {
+  mock.timers.setTime(Date.parse(isoString));
+}
+
+function nextMidnight() {
+  return getNextRolloverUTC().toISOString();
+}
+
+describe('puzzle date helpers in the default America/New_York zone', () => {
+  beforeEach(() => mock.timers.enable({ apis: ['Date'] }));
+  afterEach(() => mock.timers.reset());
+
+  describe('in standard time (UTC-5)', () => {
+    it('rolls the date over at 05:00 UTC', () => {
+      at('2026-01-15T04:59:59.999Z');
+      assert.equal(getPuzzleDateString(), '2026-01-14');
+      at('2026-01-15T05:00:00.000Z');
+      assert.equal(getPuzzleDateString(), '2026-01-15');
+    });
+
+    it('finds the next midnight', () => {
+      at('2026-01-15T12:00:00Z');
+      assert.equal(nextMidnight(), '2026-01-16T05:00:00.000Z');
+      at('2026-01-15T05:00:00Z');
+      assert.equal(nextMidnight(), '2026-01-16T05:00:00.000Z');
+    });
+  });
+
+  describe('in daylight time (UTC-4)', () => {
+    it('rolls the date over at 04:00 UTC', () => {
+      at('2026-07-04T03:59:59.999Z');
+      assert.equal(getPuzzleDateString(), '2026-07-03');
+      at('2026-07-04T04:00:00.000Z');
+      assert.equal(getPuzzleDateString(), '2026-07-04');
+    });
+
+    it('finds the next midnight', () => {
+      at('2026-07-04T12:00:00Z');
+      assert.equal(nextMidnight(), '2026-07-05T04:00:00.000Z');
+    });
+  });
+
+  describe('spring forward', () => {
+    it('counts down to a midnight that is still in standard time the evening before', () => {
+      at('2026-03-08T04:30:00Z'); // 23:30 EST on 7 March
+      assert.equal(getPuzzleDateString(), '2026-03-07');
+      assert.equal(nextMidnight(), '2026-03-08T05:00:00.000Z');
+    });
+
+    it('uses the daylight offset for the next midnight before the clocks change', () => {
+      at('2026-03-08T06:30:00Z'); // 01:30 EST
+      assert.equal(getPuzzleDateString(), '2026-03-08');
+      assert.equal(nextMidnight(), '2026-03-09T04:00:00.000Z');
+    });
+
+    it('uses the daylight offset after the clocks change', () => {
+      at('2026-03-08T07:30:00Z'); // 03:30 EDT
+      assert.equal(getPuzzleDateString(), '2026-03-08');
+      assert.equal(nextMidnight(), '2026-03-09T04:00:00.000Z');
+    });
+  });
+
+  describe('fall back', () => {
+    it('counts down to a midnight that is still in daylight time the evening before', () => {
+      at('2026-11-01T03:30:00Z'); // 23:30 EDT on 31 October
+      assert.equal(getPuzzleDateString(), '2026-10-31');
+      assert.equal(nextMidnight(), '2026-11-01T04:00:00.000Z');
+    });
+
+    it('uses the standard offset for the next midnight during the first 01:30', () => {
+      at('2026-11-01T05:30:00Z'); // 01:30 EDT
+      assert.equal(getPuzzleDateString(), '2026-11-01');
+      assert.equal(nextMidnight(), '2026-11-02T05:00:00.000Z');
+    });
+
+    it('uses the standard offset during the repeated 01:30', () => {
+      at('2026-11-01T06:30:00Z'); // 01:30 EST
+      assert.equal(getPuzzleDateString(), '2026-11-01');
+      assert.equal(nextMidnight(), '2026-11-02T05:00:00.000Z');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+const { analyzeGame } = require('../lib/game-analysis');
+
+const { server, cleanup } = loadServer();
+after(cleanup);
+
+const { checkGuess } = server;
+
+function analyze(answer, words, guessed) {
+  const guesses = guessed.map(word => ({ word, result: checkGuess(word, answer) }));
+  return analyzeGame({ guesses, words, checkGuess });
+}
+
+describe('analyzeGame', () => {
+  const words = ['CRANE', 'CRATE', 'GRATE', 'PLATE', 'SLATE', 'STALE', 'WAMPA'];
+
+  it('counts the words still possible before and after each guess', () => {
+    const analysis = analyze('SLATE', words, ['CRATE', 'PLATE', 'SLATE']);
+    assert.deepEqual(analysis.map(a => [a.word, a.candidatesBefore, a.candidatesAfter]), [
+      ['CRATE', 7, 2], // PLATE and SLATE share its -ATE but not its C or R
+      ['PLATE', 2, 1],
+      ['SLATE', 1, 1]
+    ]);
+  });
+
+  it('finds the guess expected to leave the fewest words', () => {
+    const [first] = analyze('SLATE', words, ['WAMPA']);
+    // WAMPA sets apart itself and PLATE (its P), leaving five words together:
+    // (1 + 1 + 25) / 7 words left on average
+    assert.equal(first.expected, 3.9);
+    // CRATE gives every word but PLATE and SLATE its own clues: (1 + 1 + 1 + 4 + 1 + 1) / 7
+    assert.deepEqual(first.best, { word: 'CRATE', expected: 1.3 });
+    assert.equal(first.estimated, false);
+  });
+
+  it('scores every word of a small field but only estimates a big one', () => {
+    const fives = [...server.DICTIONARY_WORDS].filter(w => w.length === 5);
+    const [first, second] = analyze('SLATE', fives, ['CRANE', 'PLATE']);
+    assert.equal(first.estimated, true);
+    assert.ok(second.candidatesBefore <= 400);
+    assert.equal(second.estimated, false);
+
+    // Every word left after CRANE, tried against every other
+    const clues = (guess, answer) => checkGuess(guess, answer).map(r => r.status).join();
+    const field = fives.filter(w => clues('CRANE', w) === clues('CRANE', 'SLATE'));
+    const fewest = Math.min(...field.map(guess => {
+      const groups = {};
+      field.forEach(answer => { groups[clues(guess, answer)] = (groups[clues(guess, answer)] || 0) + 1; });
+      return Object.values(groups).reduce((sum, n) => sum + n * n, 0) / field.length;
+    }));
+    assert.equal(second.best.expected, Math.round(fewest * 10) / 10);
+  });
+
+  it('keeps going when the answer is not in the list', () => {
+    const analysis = analyze('ZZXQ', ['TREE', 'BOAT'], ['TREE', 'ZZXQ']);
+    assert.deepEqual(analysis.map(a => a.candidatesAfter), [0, 0]);
+    assert.equal(analysis[1].best, null);
+  });
+
+  it('gets through the whole 7-letter dictionary in well under a second', () => {
+    const sevens = [...server.DICTIONARY_WORDS].filter(w => w.length === 7);
+    const start = process.hrtime.bigint();
+    const analysis = analyze('STARTED', sevens, ['ABILITY', 'ROUTINE', 'PARTNER', 'STARTED']);
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+    assert.equal(analysis[0].candidatesBefore, sevens.length);
+    assert.ok(ms < 1000, `took ${ms}ms`);
+  });
+});
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ---------------------------------------------------------------------------
+// Shared test setup. Every data file the server writes is pointed at a fresh
+// temp directory, and PUZZLE_* variables come only from the test. node --test
+// runs each test file in its own process, so the server module (and its
+// stores) is loaded once per file.
+// ---------------------------------------------------------------------------
+const ADMIN_PASSWORD = 'test-admin-password';
+
+function loadServer({ env = {}, catalog, practiceWords, themedWords } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'svwb-test-'));
+
+  Object.keys(process.env)
+    .filter(key => /^PUZZLE_(\d{8}|TIMEZONE|ROLLOVER)$/.test(key))
+    .forEach(key => delete process.env[key]);
+  Object.keys(process.env)
+    .filter(key => /^(LOCAL|GITHUB|S3|HTTP)_ASSETS_/.test(key))
+    .forEach(key => delete process.env[key]);
+
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    TZ: 'UTC',
+    SESSION_SECRET: 'test-session-secret',
+    ADMIN_PASSWORD,
+    LOCAL_ASSETS_DIR: dir,
+    SESSIONS_FILE: path.join(dir, 'sessions.json'),
+    LEADERBOARD_FILE: path.join(dir, 'leaderboard.json'),
+    SYNC_FILE: path.join(dir, 'sync.json'),
+    PUZZLES_FILE: path.join(dir, 'puzzles.json'),
+    PRACTICE_WORDS_FILE: path.join(dir, 'practice-words.txt'),
+    THEMED_WORDS_FILE: path.join(dir, 'themed-words.txt'),
+    // Rate limits are off unless a test turns them on
+    RATE_LIMIT_GUESS_IP: '0/60',
+    RATE_LIMIT_GUESS_PLAYER: '0/60',
+    RATE_LIMIT_HINTS_PLAYER: '0/60',
+    RATE_LIMIT_TIMER_PLAYER: '0/60',
+    RATE_LIMIT_NEW_SESSIONS_IP: '0/60',
+    RATE_LIMIT_ASSETS_IP: '0/60',
+    RATE_LIMIT_ASSET_MISSES_IP: '0/60',
+    RATE_LIMIT_SYNC_IP: '0/60'
+  }, env);
+
+  if (catalog) writeCatalog(catalog);
+  if (practiceWords) fs.writeFileSync(process.env.PRACTICE_WORDS_FILE, practiceWords.join('\n'));
+  if (themedWords) fs.writeFileSync(process.env.THEMED_WORDS_FILE, themedWords.join('\n'));
+
+  return {
+    dir,
+    server: require('../server'),
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+function writeCatalog(catalog) {
+  fs.writeFileSync(process.env.PUZZLES_FILE, typeof catalog === 'string' ? catalog : JSON.stringify(catalog));
+}
+
+function adminAuth() {
+  return 'Basic ' + Buffer.from(`admin:${ADMIN_PASSWORD}`).toString('base64');
+}
+
+module.exports = { loadServer, writeCatalog, adminAuth };
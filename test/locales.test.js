@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { MESSAGES } = require('../lib/api-errors');
+
+const LOCALES = ['en', 'de', 'fr'];
+const strings = Object.fromEntries(LOCALES.map(l => [l, require(`../public/locales/${l}.json`)]));
+
+// Every placeholder a string uses, from all its plural forms
+function placeholders(entry) {
+  const texts = typeof entry === 'string' ? [entry] : Object.values(entry);
+  return [...new Set(texts.flatMap(text => text.match(/\{[\w:]+\}/g) || []))].sort();
+}
+
+describe('locale files', () => {
+  it('translate every server error code', () => {
+    for (const locale of LOCALES) {
+      for (const code of Object.keys(MESSAGES)) {
+        assert.ok(strings[locale][`error.${code}`], `${locale}.json is missing error.${code}`);
+      }
+    }
+  });
+
+  it('have the same keys as English', () => {
+    const keys = Object.keys(strings.en).sort();
+    for (const locale of LOCALES) {
+      assert.deepEqual(Object.keys(strings[locale]).sort(), keys, `${locale}.json keys differ from en.json`);
+    }
+  });
+
+  it('use the same placeholders as English', () => {
+    for (const [key, entry] of Object.entries(strings.en)) {
+      if (key === 'ordinal') continue;
+      for (const locale of LOCALES) {
+        assert.deepEqual(placeholders(strings[locale][key]), placeholders(entry), `${locale}.json ${key}`);
+      }
+    }
+  });
+
+  it('cover every data-i18n key in the page', () => {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'public', 'index.html'), 'utf-8');
+    const keys = [...html.matchAll(/data-i18n(?:-[\w-]+)?="([^"]+)"/g)].map(m => m[1]);
+    for (const key of keys) {
+      assert.ok(strings.en[key], `en.json is missing ${key} used in index.html`);
+    }
+  });
+
+  it('give plural entries an "other" form', () => {
+    for (const locale of LOCALES) {
+      for (const [key, entry] of Object.entries(strings[locale])) {
+        if (typeof entry === 'object') assert.ok(entry.other, `${locale}.json ${key} has no "other" form`);
+      }
+    }
+  });
+});
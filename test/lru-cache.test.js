@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLruCache } = require('../lib/lru-cache');
+
+function stringCache(maxBytes) {
+  return createLruCache({ maxBytes, sizeOf: value => value.length });
+}
+
+describe('createLruCache', () => {
+  it('evicts least recently used entries first', () => {
+    const cache = stringCache(6);
+    cache.set('a', 'aa');
+    cache.set('b', 'bb');
+    cache.set('c', 'cc');
+    cache.get('a');
+    cache.set('d', 'dd');
+    assert.equal(cache.get('b'), undefined);
+    assert.deepEqual(['a', 'c', 'd'].map(k => cache.get(k)), ['aa', 'cc', 'dd']);
+    assert.deepEqual(cache.stats(), { entries: 3, bytes: 6, maxBytes: 6, evictions: 1 });
+  });
+
+  it('evicts as many entries as a large value needs', () => {
+    const cache = stringCache(6);
+    cache.set('a', 'aa');
+    cache.set('b', 'bb');
+    cache.set('c', 'cc');
+    cache.set('big', 'bbbbb');
+    assert.deepEqual(cache.stats(), { entries: 1, bytes: 5, maxBytes: 6, evictions: 3 });
+  });
+
+  it('does not cache values bigger than the whole budget', () => {
+    const cache = stringCache(4);
+    cache.set('a', 'aa');
+    assert.equal(cache.set('huge', 'hhhhh'), false);
+    assert.equal(cache.get('huge'), undefined);
+    assert.equal(cache.get('a'), 'aa');
+  });
+
+  it('replaces and deletes entries, keeping the byte count right', () => {
+    const cache = stringCache(10);
+    cache.set('a', 'aaaa');
+    cache.set('a', 'aa');
+    assert.equal(cache.stats().bytes, 2);
+    assert.equal(cache.delete('a'), true);
+    assert.equal(cache.delete('a'), false);
+    assert.deepEqual(cache.stats(), { entries: 0, bytes: 0, maxBytes: 10, evictions: 0 });
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { loadServer } = require('./helpers');
+
+mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-15T12:00:00Z') });
+
+const { server, cleanup } = loadServer({
+  env: {
+    PUZZLE_20260314: 'WAMPA|Snow beast',
+    PUZZLE_20260315: 'JEDI|Knight',
+    PUZZLE_20260316: 'BINGO|Tomorrow'
+  },
+  practiceWords: ['zzxq', 'no!', '', 'EWOKS']
+});
+const { app } = server;
+
+after(() => {
+  mock.timers.reset();
+  cleanup();
+});
+
+async function start(agent, previousId) {
+  const res = await agent.post('/api/practice').send(previousId ? { previousId } : {}).expect(201);
+  assert.match(res.body.puzzleId, /^practice-[\w-]+$/);
+  return res.body.puzzleId;
+}
+
+// Plays every candidate until one wins, returning the answer
+async function solve(agent, puzzleId) {
+  for (const guess of ['WAMPA', 'ZZXQ', 'EWOKS']) {
+    const info = await agent.get(`/api/puzzle/${puzzleId}`).expect(200);
+    if (info.body.wordLength !== guess.length) continue;
+    const res = await agent.post('/api/guess').send({ puzzleId, guess });
+    if (res.body.status === 'won') return guess;
+  }
+  throw new Error('no candidate solved the practice game');
+}
+
+describe('practice mode', () => {
+  it("draws from past puzzles and the practice list, never today's or tomorrow's", async () => {
+    const agent = request.agent(app);
+    const answers = new Set();
+    let previousId;
+    for (let i = 0; i < 12; i++) {
+      previousId = await start(agent, previousId);
+      const info = await agent.get(`/api/puzzle/${previousId}`).expect(200);
+      assert.equal(info.body.practice, true);
+      assert.equal(info.body.puzzleNumber, null);
+      assert.doesNotMatch(JSON.stringify(info.body), /"answer"/);
+      answers.add(await solve(agent, previousId));
+    }
+    assert.deepEqual([...answers].sort(), ['EWOKS', 'WAMPA', 'ZZXQ']);
+  });
+
+  it('keeps archive clues as a hint and leaves list words without one', async () => {
+    const agent = request.agent(app);
+    const clues = new Set();
+    let previousId;
+    for (let i = 0; i < 12; i++) {
+      previousId = await start(agent, previousId);
+      const { hints } = (await agent.get(`/api/puzzle/${previousId}`)).body;
+      if (!hints.some(h => h.type === 'clue')) {
+        clues.add('');
+        continue;
+      }
+      await solve(agent, previousId);
+      const res = await agent.post('/api/hint').send({ puzzleId: previousId }).expect(200);
+      clues.add(res.body.hints[0].text);
+    }
+    assert.deepEqual([...clues].sort(), ['', 'Snow beast']);
+  });
+
+  it('never repeats the previous answer straight away', async () => {
+    const agent = request.agent(app);
+    let previousId = await start(agent);
+    let previous = await solve(agent, previousId);
+    for (let i = 0; i < 6; i++) {
+      previousId = await start(agent, previousId);
+      const answer = await solve(agent, previousId);
+      assert.notEqual(answer, previous);
+      previous = answer;
+    }
+  });
+
+  it('only keeps the latest practice game in the session', async () => {
+    const agent = request.agent(app);
+    const first = await start(agent);
+    await solve(agent, first);
+    await agent.post('/api/reveal').send({ puzzleId: first }).expect(200);
+    await start(agent, first);
+    const info = await agent.get(`/api/puzzle/${first}`).expect(200);
+    assert.deepEqual(info.body.progress.guesses, []);
+    await agent.post('/api/reveal').send({ puzzleId: first }).expect(403);
+  });
+
+  it("doesn't open a practice token as a custom puzzle or the other way round", async () => {
+    const practiceId = await start(request.agent(app));
+    const token = practiceId.slice('practice-'.length);
+    await request(app).get(`/api/puzzle/custom-${token}`).expect(404);
+
+    const custom = await request(app).post('/api/custom').send({ answer: 'EWOKS', clue: 'Forest folk' }).expect(201);
+    await request(app).get(`/api/puzzle/${custom.body.puzzleId.replace(/^custom-/, 'practice-')}`).expect(404);
+  });
+
+  it('stays out of the leaderboard and community stats', async () => {
+    const agent = request.agent(app);
+    await agent.post('/api/player/name').send({ name: 'Rey' }).expect(200);
+    await solve(agent, await start(agent));
+    const res = await request(app).get('/api/leaderboard/all-time').expect(200);
+    assert.deepEqual(res.body.entries, []);
+    const stats = await request(app).get('/api/stats/20260314').expect(200);
+    assert.equal(stats.body.players, 0);
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+const { lintPuzzles } = require('../lib/puzzle-lint');
+
+const { server, cleanup } = loadServer();
+after(cleanup);
+
+const env = (label, fields) => ({ label, source: 'env', fields });
+const catalog = (label, fields) => ({ label, source: 'catalog', fields });
+
+function lint(entries, overrides = {}) {
+  return lintPuzzles(entries, {
+    validatePuzzle: server.validatePuzzle,
+    findScheduleGaps: server.findScheduleGaps,
+    isDictionaryWord: word => word !== 'QXQXQ',
+    soundExists: () => true,
+    imageExists: () => true,
+    today: '2026-03-15',
+    ...overrides
+  });
+}
+
+describe('lintPuzzles', () => {
+  it('reports nothing for a clean schedule and counts the days left', () => {
+    const result = lint([
+      env('PUZZLE_20260315', { date: '2026-03-15', answer: 'VADER', clue: 'Sith' }),
+      catalog('puzzles.json[0]', { date: '2026-03-16', answer: 'WAMPA', clue: 'Snow beast' }),
+      catalog('puzzles.json[1]', { date: '2026-03-17', answer: 'BINGO', clue: 'Win' })
+    ]);
+    assert.deepEqual(result, { problems: [], checked: 3, daysLeft: 2, lastDate: '2026-03-17' });
+  });
+
+  it('reports malformed entries', () => {
+    const { problems } = lint([
+      catalog('puzzles.json[0]', { date: '2026-03-16', answer: 'BINGO', clue: 'Win' }),
+      catalog('puzzles.json[1]', { date: '2026-03-17', answer: 'AB', clue: 'Short' })
+    ]);
+    assert.deepEqual(problems, [{ label: 'puzzles.json[1]', message: 'answer "AB" is not 4–7 characters' }]);
+  });
+
+  it('reports answers used on more than one date', () => {
+    const { problems } = lint([
+      catalog('puzzles.json[0]', { date: '2026-03-16', answer: 'VADER', clue: 'Sith' }),
+      catalog('puzzles.json[1]', { date: '2026-03-17', answer: 'VADER', clue: 'Again' })
+    ]);
+    assert.deepEqual(problems, [
+      { label: 'puzzles.json[1]', message: 'answer VADER was already used on 2026-03-16 (puzzles.json[0])' }
+    ]);
+  });
+
+  it('reports a date scheduled twice by the same source, but not a catalog entry replacing an env var', () => {
+    const { problems } = lint([
+      env('PUZZLE_20260316', { date: '2026-03-16', answer: 'VADER', clue: 'Sith' }),
+      catalog('puzzles.json[0]', { date: '2026-03-16', answer: 'WAMPA', clue: 'Snow beast' }),
+      catalog('puzzles.json[1]', { date: '2026-03-16', answer: 'BINGO', clue: 'Win' })
+    ]);
+    assert.deepEqual(problems, [
+      { label: 'puzzles.json[1]', message: '2026-03-16 is also scheduled by puzzles.json[0], which this replaces' }
+    ]);
+  });
+
+  it('reports answers missing from the dictionary', () => {
+    const { problems } = lint([catalog('puzzles.json[0]', { date: '2026-03-16', answer: 'QXQXQ', clue: '?' })]);
+    assert.deepEqual(problems, [
+      { label: 'puzzles.json[0]', message: 'answer QXQXQ is not in the dictionary or themed word list' }
+    ]);
+  });
+
+  it('reports missing sounds and answer images', () => {
+    const { problems } = lint([
+      catalog('puzzles.json[0]', {
+        date: '2026-03-16', answer: 'VADER', clue: 'Sith', altWinSound: 'yes.mp3', altLoseSound: 'no.mp3'
+      }),
+      catalog('puzzles.json[1]', { date: '2026-03-17', answer: 'WAMPA', clue: 'Snow beast', image: 'wampa.jpg' })
+    ], {
+      soundExists: name => name === 'yes.mp3',
+      imageExists: () => false
+    });
+    assert.deepEqual(problems, [
+      { label: 'puzzles.json[0]', message: 'sound no.mp3 not found' },
+      { label: 'puzzles.json[0]', message: 'no answer image (20260316.png/.jpg/.gif/.webp)' },
+      { label: 'puzzles.json[1]', message: 'answer image wampa.jpg not found' }
+    ]);
+  });
+
+  it('reports gaps and counts the days left only up to the first one', () => {
+    const result = lint([
+      catalog('puzzles.json[0]', { date: '2026-03-16', answer: 'VADER', clue: 'Sith' }),
+      catalog('puzzles.json[1]', { date: '2026-03-19', answer: 'WAMPA', clue: 'Snow beast' })
+    ]);
+    assert.deepEqual(result.problems, [
+      { label: 'schedule', message: 'no puzzle on 2026-03-17' },
+      { label: 'schedule', message: 'no puzzle on 2026-03-18' }
+    ]);
+    assert.equal(result.daysLeft, 1);
+    assert.equal(result.lastDate, '2026-03-16');
+  });
+
+  it('reports an empty queue', () => {
+    const result = lint([catalog('puzzles.json[0]', { date: '2026-03-14', answer: 'VADER', clue: 'Sith' })]);
+    assert.deepEqual(result.problems, [{ label: 'schedule', message: 'nothing is scheduled after today (2026-03-15)' }]);
+    assert.equal(result.daysLeft, 0);
+    assert.equal(result.lastDate, null);
+  });
+});
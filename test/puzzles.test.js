@@ -0,0 +1,231 @@
+const { describe, it, beforeEach, afterEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { loadServer, writeCatalog } = require('./helpers');
+
+const { server, cleanup } = loadServer();
+const { validatePuzzle, loadEnvPuzzles, loadPuzzles } = server;
+
+after(cleanup);
+
+function setEnvPuzzles(puzzles) {
+  Object.keys(process.env)
+    .filter(key => /^PUZZLE_\d{8}$/.test(key))
+    .forEach(key => delete process.env[key]);
+  Object.assign(process.env, puzzles);
+}
+
+describe('validatePuzzle', () => {
+  const valid = { date: '2026-03-01', answer: 'vader', clue: ' Dark lord ' };
+
+  it('normalizes a valid puzzle', () => {
+    const { puzzle, error } = validatePuzzle(valid);
+    assert.equal(error, undefined);
+    assert.deepEqual(puzzle, {
+      id: '20260301',
+      answer: 'VADER',
+      wordLength: 5,
+      clue: 'Dark lord',
+      date: '2026-03-01',
+      altWinSound: null,
+      altLoseSound: null,
+      image: null,
+      author: null,
+      extraWords: [],
+      hints: null
+    });
+  });
+
+  it('accepts 4- to 7-character answers with digits and hyphens', () => {
+    assert.equal(validatePuzzle({ ...valid, answer: 'JEDI' }).puzzle.wordLength, 4);
+    assert.equal(validatePuzzle({ ...valid, answer: 'R2-D2' }).puzzle.answer, 'R2-D2');
+    assert.equal(validatePuzzle({ ...valid, answer: 'TROOPER' }).puzzle.wordLength, 7);
+  });
+
+  it('rejects malformed and impossible dates', () => {
+    assert.match(validatePuzzle({ ...valid, date: '2026-3-1' }).error, /YYYY-MM-DD/);
+    assert.match(validatePuzzle({ ...valid, date: undefined }).error, /YYYY-MM-DD/);
+    assert.match(validatePuzzle({ ...valid, date: '2026-02-30' }).error, /not a real calendar date/);
+  });
+
+  it('rejects answers of the wrong length', () => {
+    assert.match(validatePuzzle({ ...valid, answer: 'ZAP' }).error, /4–7 characters/);
+    assert.match(validatePuzzle({ ...valid, answer: 'STARKILLER' }).error, /4–7 characters/);
+    assert.match(validatePuzzle({ ...valid, answer: undefined }).error, /4–7 characters/);
+  });
+
+  it('rejects answers with invalid characters', () => {
+    assert.equal(validatePuzzle({ ...valid, answer: 'VA DR' }).error, 'answer contains invalid characters');
+    assert.equal(validatePuzzle({ ...valid, answer: 'VADÉR' }).error, 'answer contains invalid characters');
+  });
+
+  it('rejects sound and image names that are not plain filenames', () => {
+    assert.match(validatePuzzle({ ...valid, altWinSound: '../secret.mp3' }).error, /sound/);
+    assert.match(validatePuzzle({ ...valid, altLoseSound: 'lose.exe' }).error, /sound/);
+    assert.match(validatePuzzle({ ...valid, image: 'answer.svg' }).error, /image/);
+    assert.equal(validatePuzzle({ ...valid, altWinSound: 'win.mp3', image: 'v.png' }).puzzle.image, 'v.png');
+  });
+
+  it('normalizes extra guess words from a list or a string', () => {
+    assert.deepEqual(validatePuzzle({ ...valid, extraWords: ['r2-d2', 'IG-88', 'R2-D2'] }).puzzle.extraWords, ['R2-D2', 'IG-88']);
+    assert.deepEqual(validatePuzzle({ ...valid, extraWords: ' k-2so, ig-88  AT-AT ' }).puzzle.extraWords, ['K-2SO', 'IG-88', 'AT-AT']);
+    assert.deepEqual(validatePuzzle({ ...valid, extraWords: null, hints: null }).puzzle.extraWords, []);
+  });
+
+  it("rejects extra words that don't fit the answer", () => {
+    assert.match(validatePuzzle({ ...valid, extraWords: ['BB-8'] }).error, /extra word "BB-8" is not 5 characters/);
+    assert.match(validatePuzzle({ ...valid, extraWords: 'ABCD!' }).error, /extra word "ABCD!"/);
+  });
+
+  it('parses a hint ladder from a list or a string', () => {
+    const ladder = [{ type: 'letter', after: 2 }, { type: 'clue', after: 2 }, { type: 'absent', after: 5 }];
+    assert.deepEqual(validatePuzzle({ ...valid, hints: ['letter:2', 'clue:2', 'absent:5'] }).puzzle.hints, ladder);
+    assert.deepEqual(validatePuzzle({ ...valid, hints: ' Letter : 2,clue:2, absent:5 ' }).puzzle.hints, ladder);
+    assert.deepEqual(validatePuzzle({ ...valid, hints: 'none' }).puzzle.hints, []);
+    assert.equal(validatePuzzle({ ...valid, hints: '' }).puzzle.hints, null);
+  });
+
+  it('rejects unknown hints and ladders out of order', () => {
+    assert.match(validatePuzzle({ ...valid, hints: 'vowel:3' }).error, /hint "vowel:3" is not clue, letter or absent/);
+    assert.match(validatePuzzle({ ...valid, hints: 'clue:6' }).error, /hint "clue:6"/);
+    assert.match(validatePuzzle({ ...valid, hints: 'clue' }).error, /hint "clue"/);
+    assert.equal(validatePuzzle({ ...valid, hints: 'clue:4, letter:2' }).error, 'hint "letter:2" unlocks before the hint ahead of it');
+  });
+});
+
+describe('loadEnvPuzzles', () => {
+  afterEach(() => setEnvPuzzles({}));
+
+  it('parses answer, clue and optional sounds', () => {
+    setEnvPuzzles({
+      PUZZLE_20260101: 'VADER|Dark lord|vader-win.mp3,vader-lose.mp3',
+      PUZZLE_20260102: 'WAMPA|Snow beast',
+      PUZZLE_20260103: 'BINGO|Clue with a trailing pipe|'
+    });
+    const entries = loadEnvPuzzles();
+    assert.deepEqual(entries.map(e => e.fields), [
+      { date: '2026-01-01', answer: 'VADER', clue: 'Dark lord', altWinSound: 'vader-win.mp3', altLoseSound: 'vader-lose.mp3', extraWords: null, hints: null },
+      { date: '2026-01-02', answer: 'WAMPA', clue: 'Snow beast', altWinSound: null, altLoseSound: null, extraWords: null, hints: null },
+      { date: '2026-01-03', answer: 'BINGO', clue: 'Clue with a trailing pipe', altWinSound: null, altLoseSound: null, extraWords: null, hints: null }
+    ]);
+    assert.deepEqual(entries.map(e => e.label), ['PUZZLE_20260101', 'PUZZLE_20260102', 'PUZZLE_20260103']);
+  });
+
+  it('reads extra guess words after the sounds', () => {
+    setEnvPuzzles({ PUZZLE_20260101: 'R2-D2|Astromech||C-3PO,IG-88' });
+    const [entry] = loadEnvPuzzles();
+    assert.equal(entry.fields.altWinSound, null);
+    assert.equal(entry.fields.extraWords, 'C-3PO,IG-88');
+  });
+
+  it('reads a hint ladder after the extra words', () => {
+    setEnvPuzzles({ PUZZLE_20260101: 'VADER|Dark lord|||letter:2,clue:4' });
+    const [entry] = loadEnvPuzzles();
+    assert.equal(entry.fields.extraWords, null);
+    assert.equal(entry.fields.hints, 'letter:2,clue:4');
+  });
+
+  it('accepts a lose sound on its own', () => {
+    setEnvPuzzles({ PUZZLE_20260101: 'VADER|Dark lord|,vader-lose.mp3' });
+    const [entry] = loadEnvPuzzles();
+    assert.equal(entry.fields.altWinSound, null);
+    assert.equal(entry.fields.altLoseSound, 'vader-lose.mp3');
+  });
+
+  it('skips values without a pipe and ignores other variable names', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    setEnvPuzzles({
+      PUZZLE_20260101: 'VADER',
+      PUZZLE_2026010: 'WAMPA|Too short a key',
+      PUZZLE_20260102: 'WAMPA|Snow beast'
+    });
+    const entries = loadEnvPuzzles();
+    delete process.env.PUZZLE_2026010;
+    assert.deepEqual(entries.map(e => e.label), ['PUZZLE_20260102']);
+    assert.match(warn.mock.calls[0].arguments[0], /PUZZLE_20260101: missing pipe/);
+    warn.mock.restore();
+  });
+
+  it('hands values without a pipe to the caller when asked', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    setEnvPuzzles({ PUZZLE_20260101: 'VADER', PUZZLE_20260102: 'WAMPA|Snow beast' });
+    const rejects = [];
+    const entries = loadEnvPuzzles(rejects);
+    assert.deepEqual(entries.map(e => e.label), ['PUZZLE_20260102']);
+    assert.deepEqual(rejects, [{ label: 'PUZZLE_20260101', message: 'missing pipe delimiter' }]);
+    assert.equal(warn.mock.callCount(), 0);
+    warn.mock.restore();
+  });
+});
+
+describe('loadPuzzles', () => {
+  let warn;
+  beforeEach(() => {
+    warn = mock.method(console, 'warn', () => {});
+    mock.method(console, 'log', () => {});
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    setEnvPuzzles({});
+    fs.rmSync(process.env.PUZZLES_FILE, { force: true });
+  });
+
+  it('builds a date-keyed map from env vars when there is no catalog', () => {
+    setEnvPuzzles({ PUZZLE_20260101: 'VADER|Dark lord' });
+    const puzzles = loadPuzzles();
+    assert.deepEqual(Object.keys(puzzles), ['2026-01-01']);
+    assert.equal(puzzles['2026-01-01'].source, 'env');
+    assert.equal(puzzles['2026-01-01'].id, '20260101');
+  });
+
+  it('merges the catalog with env vars, the catalog winning on the same date', () => {
+    setEnvPuzzles({
+      PUZZLE_20260101: 'VADER|Dark lord',
+      PUZZLE_20260102: 'WAMPA|Snow beast'
+    });
+    writeCatalog({
+      puzzles: [
+        { date: '2026-01-02', answer: 'tauntaun', clue: 'Too long' },
+        { date: '2026-01-02', answer: 'HOTH', clue: 'Ice planet', author: 'Goblin' },
+        { date: '2026-01-03', answer: 'BINGO', clue: 'Game night', image: 'bingo.png' }
+      ]
+    });
+    const puzzles = loadPuzzles();
+    assert.deepEqual(Object.keys(puzzles).sort(), ['2026-01-01', '2026-01-02', '2026-01-03']);
+    assert.equal(puzzles['2026-01-01'].source, 'env');
+    assert.equal(puzzles['2026-01-02'].answer, 'HOTH');
+    assert.equal(puzzles['2026-01-02'].source, 'catalog');
+    assert.equal(puzzles['2026-01-02'].author, 'Goblin');
+    assert.equal(puzzles['2026-01-03'].image, 'bingo.png');
+  });
+
+  it('skips invalid entries with a warning naming the source', () => {
+    setEnvPuzzles({ PUZZLE_20260231: 'VADER|No such day' });
+    writeCatalog({ puzzles: [{ date: '2026-01-05', answer: 'X' }, null, { date: '2026-01-06', answer: 'ENDOR' }] });
+    const puzzles = loadPuzzles();
+    assert.deepEqual(Object.keys(puzzles), ['2026-01-06']);
+    const warnings = warn.mock.calls.map(c => c.arguments[0]);
+    assert.ok(warnings.some(w => w.startsWith('Skipping PUZZLE_20260231: date "2026-02-31" is not a real calendar date')));
+    assert.ok(warnings.some(w => w.startsWith('Skipping puzzles.json[0]: answer "X"')));
+    assert.ok(warnings.some(w => w.startsWith('Skipping puzzles.json[1]: date "undefined"')));
+  });
+
+  it('throws when the catalog is not valid JSON', () => {
+    writeCatalog('{ "puzzles": [');
+    assert.throws(() => loadPuzzles(), SyntaxError);
+  });
+
+  it('throws when the catalog has no puzzles array', () => {
+    writeCatalog({ puzzle: [] });
+    assert.throws(() => loadPuzzles(), /top-level "puzzles" array/);
+  });
+
+  it('falls back to env vars alone when asked to skip a broken catalog', () => {
+    const error = mock.method(console, 'error', () => {});
+    setEnvPuzzles({ PUZZLE_20260101: 'VADER|Dark lord' });
+    writeCatalog('{ "puzzles": [');
+    const puzzles = loadPuzzles({ skipBrokenCatalog: true });
+    assert.deepEqual(Object.keys(puzzles), ['2026-01-01']);
+    assert.match(error.mock.calls[0].arguments[0], /using PUZZLE_ env vars only/);
+  });
+});
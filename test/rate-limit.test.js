@@ -0,0 +1,226 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createRateLimiter, parseLimit } = require('../lib/rate-limit');
+const { loadServer } = require('./helpers');
+
+mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-15T12:00:00Z') });
+
+describe('createRateLimiter', () => {
+  let logged;
+  const app = express();
+  const limiter = createRateLimiter({
+    name: 'test',
+    max: 2,
+    windowMs: 30 * 1000,
+    keyFor: req => req.get('X-Player') || null,
+    log: entry => logged.push(entry)
+  });
+  app.get('/limited', limiter.middleware, (req, res) => res.json({ ok: true }));
+
+  beforeEach(() => { logged = []; });
+
+  it('allows up to max requests per key and window, then sends 429 with Retry-After', async () => {
+    await request(app).get('/limited').set('X-Player', 'a').expect(200);
+    mock.timers.setTime(Date.parse('2026-03-15T12:00:10Z'));
+    await request(app).get('/limited').set('X-Player', 'a').expect(200);
+    const res = await request(app).get('/limited').set('X-Player', 'a').expect(429);
+    assert.equal(res.headers['retry-after'], '20');
+    assert.deepEqual(res.body, {
+      error: 'Too many requests. Try again in 20 seconds.',
+      code: 'RATE_LIMITED',
+      params: { seconds: 20 },
+      retryAfter: 20
+    });
+    await request(app).get('/limited').set('X-Player', 'b').expect(200);
+  });
+
+  it('logs each refused request', async () => {
+    await request(app).get('/limited?x=1').set('X-Player', 'a').expect(429);
+    assert.equal(logged.length, 1);
+    const { ip, ...entry } = logged[0];
+    assert.match(ip, /127\.0\.0\.1/);
+    assert.deepEqual(entry, {
+      limiter: 'test',
+      key: 'a',
+      method: 'GET',
+      path: '/limited?x=1',
+      max: 2,
+      windowMs: 30000,
+      retryAfter: 20
+    });
+  });
+
+  it('starts a new window once the old one has passed', async () => {
+    mock.timers.setTime(Date.parse('2026-03-15T12:00:30Z'));
+    await request(app).get('/limited').set('X-Player', 'a').expect(200);
+  });
+
+  it('lets requests without a key through', async () => {
+    for (let i = 0; i < 4; i++) await request(app).get('/limited').expect(200);
+  });
+
+  it('is switched off by a max of 0', async () => {
+    const off = createRateLimiter({ name: 'off', max: 0, windowMs: 1000 });
+    const res = { status: () => assert.fail('should not respond') };
+    for (let i = 0; i < 5; i++) assert.equal(off.check({ ip: '1.2.3.4' }, res), true);
+  });
+});
+
+describe('parseLimit', () => {
+  it('reads <max>/<seconds>', () => {
+    assert.deepEqual(parseLimit('30/60', null), { max: 30, windowMs: 60000 });
+    assert.deepEqual(parseLimit(' 0 / 10 ', null), { max: 0, windowMs: 10000 });
+  });
+
+  it('falls back on missing or malformed values', () => {
+    const fallback = { max: 1, windowMs: 1000 };
+    assert.equal(parseLimit(undefined, fallback), fallback);
+    const warn = mock.method(console, 'warn', () => {});
+    assert.equal(parseLimit('lots', fallback), fallback);
+    assert.match(warn.mock.calls[0].arguments[0], /Ignoring rate limit "lots"/);
+    warn.mock.restore();
+  });
+});
+
+describe('server rate limits', () => {
+  const assetsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svwb-assets-'));
+  fs.mkdirSync(path.join(assetsDir, 'sounds'));
+  fs.writeFileSync(path.join(assetsDir, 'sounds', 'win.mp3'), 'win');
+
+  const { server, cleanup } = loadServer({
+    env: {
+      PUZZLE_20260314: 'WAMPA|Snow beast',
+      TRUST_PROXY: '1',
+      LOCAL_ASSETS_DIR: assetsDir,
+      RATE_LIMIT_GUESS_IP: '5/60',
+      RATE_LIMIT_GUESS_PLAYER: '3/60',
+      RATE_LIMIT_HINTS_PLAYER: '2/60',
+      RATE_LIMIT_TIMER_PLAYER: '2/60',
+      RATE_LIMIT_NEW_SESSIONS_IP: '6/600',
+      RATE_LIMIT_ASSETS_IP: '4/60',
+      RATE_LIMIT_ASSET_MISSES_IP: '2/600',
+      RATE_LIMIT_SYNC_IP: '2/600'
+    }
+  });
+  const { app } = server;
+  let warn;
+
+  before(() => mock.timers.setTime(Date.parse('2026-03-15T13:00:00Z')));
+  beforeEach(() => { warn = mock.method(console, 'warn', () => {}); });
+  afterEach(() => warn.mock.restore());
+  after(() => {
+    cleanup();
+    fs.rmSync(assetsDir, { recursive: true, force: true });
+    mock.timers.reset();
+  });
+
+  function guess(agent, ip, word) {
+    return agent.post('/api/guess').set('X-Forwarded-For', ip).send({ puzzleId: '20260314', guess: word });
+  }
+
+  function blocked() {
+    return warn.mock.calls.map(c => JSON.parse(c.arguments[0]));
+  }
+
+  it('limits guesses per IP, even without a session', async () => {
+    for (let i = 0; i < 5; i++) {
+      await guess(request(app), '203.0.113.1', 'ZZZZZ').expect(422);
+    }
+    const res = await guess(request(app), '203.0.113.1', 'ZZZZZ').expect(429);
+    assert.equal(res.headers['retry-after'], '60');
+    await guess(request(app), '203.0.113.2', 'ZZZZZ').expect(422);
+
+    const [entry] = blocked();
+    assert.equal(entry.event, 'rate_limited');
+    assert.equal(entry.level, 'warn');
+    assert.equal(entry.limiter, 'guess-ip');
+    assert.equal(entry.ip, '203.0.113.1');
+    assert.equal(entry.path, '/api/guess');
+  });
+
+  it('limits guesses per player across IPs', async () => {
+    const agent = request.agent(app);
+    await guess(agent, '198.51.100.1', 'CRANE').expect(200); // creates the session
+    await guess(agent, '198.51.100.2', 'SLOTH').expect(200);
+    await guess(agent, '198.51.100.3', 'TRAIN').expect(200);
+    await guess(agent, '198.51.100.4', 'ABIDE').expect(200);
+    await guess(agent, '198.51.100.5', 'CADET').expect(429);
+    assert.equal(blocked()[0].limiter, 'guess-player');
+    assert.match(blocked()[0].key, /^[\w-]{16}$/);
+  });
+
+  it('allows guesses again in the next window', async () => {
+    mock.timers.setTime(Date.parse('2026-03-15T13:01:00Z'));
+    await guess(request(app), '203.0.113.1', 'ZZZZZ').expect(422);
+  });
+
+  it('limits new sessions per IP on every route that starts one', async () => {
+    const ip = '203.0.113.9';
+    await request(app).post('/api/timer').set('X-Forwarded-For', ip).send({ puzzleId: '20260314' }).expect(200);
+    await request(app).post('/api/hint').set('X-Forwarded-For', ip).send({ puzzleId: '20260314' }).expect(403);
+    await request(app).post('/api/practice').set('X-Forwarded-For', ip).send({}).expect(201);
+    await request(app).post('/api/player/name').set('X-Forwarded-For', ip).send({ name: 'Rey' }).expect(200);
+    await guess(request(app), ip, 'CRANE').expect(200);
+    const agent = request.agent(app);
+    await guess(agent, ip, 'CRANE').expect(200);
+    await request(app).post('/api/practice').set('X-Forwarded-For', ip).send({}).expect(429);
+    assert.equal(blocked()[0].limiter, 'new-sessions-ip');
+
+    // Players who already have a session carry on
+    await agent.post('/api/timer').set('X-Forwarded-For', ip).send({ puzzleId: '20260314' }).expect(409);
+    await guess(agent, ip, 'SLOTH').expect(200);
+  });
+
+  it('limits hint requests per player', async () => {
+    const agent = request.agent(app);
+    await guess(agent, '198.51.100.20', 'CRANE').expect(200);
+    await agent.post('/api/hint').set('X-Forwarded-For', '198.51.100.21').send({ puzzleId: '20260314' }).expect(403);
+    await agent.post('/api/hint').set('X-Forwarded-For', '198.51.100.22').send({ puzzleId: '20260314' }).expect(403);
+    await agent.post('/api/hint').set('X-Forwarded-For', '198.51.100.23').send({ puzzleId: '20260314' }).expect(429);
+    assert.equal(blocked()[0].limiter, 'hints-player');
+  });
+
+  it('limits timer requests per player', async () => {
+    const agent = request.agent(app);
+    const timer = (ip, action) => agent.post('/api/timer').set('X-Forwarded-For', ip).send({ puzzleId: '20260314', action });
+    await timer('198.51.100.30', 'start').expect(200); // creates the session
+    await timer('198.51.100.31', 'pause').expect(200);
+    await timer('198.51.100.32', 'resume').expect(200);
+    await timer('198.51.100.33', 'pause').expect(429);
+    assert.equal(blocked()[0].limiter, 'timer-player');
+  });
+
+  it('limits asset requests per IP', async () => {
+    for (let i = 0; i < 4; i++) {
+      await request(app).get('/api/sounds/win.mp3').set('X-Forwarded-For', '192.0.2.1').expect(200);
+    }
+    await request(app).get('/api/sounds/win.mp3').set('X-Forwarded-For', '192.0.2.1').expect(429);
+    assert.equal(blocked()[0].limiter, 'assets-ip');
+  });
+
+  it('gives lookups that miss the cache a smaller budget', async () => {
+    await request(app).get('/api/sounds/a.mp3').set('X-Forwarded-For', '192.0.2.2').expect(404);
+    await request(app).get('/api/sounds/b.mp3').set('X-Forwarded-For', '192.0.2.2').expect(404);
+    await request(app).get('/api/sounds/c.mp3').set('X-Forwarded-For', '192.0.2.2').expect(429);
+    // Cached files are still served
+    await request(app).get('/api/sounds/win.mp3').set('X-Forwarded-For', '192.0.2.2').expect(200);
+    assert.equal(blocked()[0].limiter, 'asset-misses-ip');
+  });
+
+  it('limits sync writes per IP', async () => {
+    const ip = '192.0.2.3';
+    const res = await request(app).post('/api/sync').set('X-Forwarded-For', ip).send({ blob: 'SVWB.J.a.0' }).expect(201);
+    const { key } = res.body;
+    await request(app).put(`/api/sync/${key}`).set('X-Forwarded-For', ip).send({ blob: 'SVWB.J.b.0' }).expect(200);
+    await request(app).post('/api/sync').set('X-Forwarded-For', ip).send({ blob: 'SVWB.J.c.0' }).expect(429);
+    await request(app).put(`/api/sync/${key}`).set('X-Forwarded-For', ip).send({ blob: 'SVWB.J.c.0' }).expect(429);
+    assert.equal(blocked()[0].limiter, 'sync-ip');
+    // Reading the stored code isn't limited
+    await request(app).get(`/api/sync/${key}`).set('X-Forwarded-For', ip).expect(200);
+  });
+});
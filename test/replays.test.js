@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createReplayCodec } = require('../lib/replays');
+const { createCustomPuzzleCodec } = require('../lib/custom-puzzles');
+
+describe('createReplayCodec', () => {
+  const codec = createReplayCodec({ secret: 'test-secret' });
+  const game = { puzzleId: '20260314', words: ['CRANE', 'WAMPA'], hardMode: true, elapsedMs: [8000, 21500] };
+
+  it('round-trips a game through a URL-safe token', () => {
+    const token = codec.seal(game);
+    assert.match(token, /^[\w-]+$/);
+    assert.deepEqual(codec.open(token), game);
+  });
+
+  it('keeps the guesses out of the token', () => {
+    const token = codec.seal(game);
+    assert.doesNotMatch(Buffer.from(token, 'base64url').toString('latin1'), /WAMPA|CRANE/);
+  });
+
+  it('stores untimed games without times', () => {
+    const untimed = codec.open(codec.seal({ puzzleId: '20260314', words: ['WAMPA'] }));
+    assert.deepEqual(untimed, { puzzleId: '20260314', words: ['WAMPA'], hardMode: false, elapsedMs: null });
+  });
+
+  it('rejects tampered tokens and tokens sealed for anything else', () => {
+    const token = codec.seal(game);
+    const flipped = token.slice(0, -2) + (token.endsWith('AA') ? 'BB' : 'AA');
+    assert.equal(codec.open(flipped), null);
+    assert.equal(codec.open('not a token!'), null);
+    assert.equal(createReplayCodec({ secret: 'other-secret' }).open(token), null);
+
+    const custom = createCustomPuzzleCodec({ secret: 'test-secret' });
+    assert.equal(codec.open(custom.seal({ answer: 'WAMPA', clue: 'Snow beast' })), null);
+    assert.equal(custom.open(token), null);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { loadServer } = require('./helpers');
+
+// Local-midnight rollover, falling back to London for players whose zone is
+// missing or unknown
+mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-15T12:00:00Z') });
+
+const { server, cleanup } = loadServer({
+  env: {
+    PUZZLE_TIMEZONE: 'Europe/London',
+    PUZZLE_ROLLOVER: 'local',
+    PUZZLE_20260314: 'WAMPA|Snow beast',
+    PUZZLE_20260315: 'VADER|Sith lord',
+    PUZZLE_20260316: 'BINGO|Tomorrow in London',
+    PUZZLE_20260317: 'JEDI|Not yet anywhere'
+  }
+});
+const { app } = server;
+
+after(() => {
+  mock.timers.reset();
+  cleanup();
+});
+
+// 12:00 in London is 02:00 the next day at UTC+14 and 00:00 at UTC-12
+beforeEach(() => mock.timers.setTime(Date.parse('2026-03-15T12:00:00Z')));
+
+function today(timeZone) {
+  const req = request(app).get('/api/today');
+  if (timeZone) req.set('X-Time-Zone', timeZone);
+  return req.expect(200).then(res => res.body);
+}
+
+describe('local midnight rollover', () => {
+  it('uses the configured zone when the player sends none', async () => {
+    const data = await today();
+    assert.equal(data.puzzleId, '20260315');
+    assert.equal(data.timeZone, 'Europe/London');
+    assert.equal(data.nextPuzzleTime, '2026-03-16T00:00:00.000Z');
+  });
+
+  it('gives each player the puzzle for their own date', async () => {
+    const kiritimati = await today('Pacific/Kiritimati');
+    assert.equal(kiritimati.puzzleId, '20260316');
+    assert.equal(kiritimati.timeZone, 'Pacific/Kiritimati');
+    assert.equal(kiritimati.nextPuzzleTime, '2026-03-16T10:00:00.000Z');
+
+    const sydney = await today('Australia/Sydney');
+    assert.equal(sydney.puzzleId, '20260315');
+    assert.equal(sydney.nextPuzzleTime, '2026-03-15T13:00:00.000Z');
+  });
+
+  it('ignores unknown zones', async () => {
+    const data = await today('Mos/Eisley');
+    assert.equal(data.puzzleId, '20260315');
+    assert.equal(data.timeZone, 'Europe/London');
+  });
+
+  it('lists the archive up to the player\'s date', async () => {
+    const london = await request(app).get('/api/puzzles/list').expect(200);
+    assert.deepEqual(london.body.puzzles.map(p => p.puzzleId), ['20260314', '20260315']);
+
+    const kiritimati = await request(app).get('/api/puzzles/list').set('X-Time-Zone', 'Pacific/Kiritimati').expect(200);
+    assert.deepEqual(kiritimati.body.puzzles.map(p => p.puzzleId), ['20260314', '20260315', '20260316']);
+    assert.equal(kiritimati.body.timeZone, 'Pacific/Kiritimati');
+  });
+
+  it('serves puzzles up to the date in the earliest zone, whatever the player sends', async () => {
+    await request(app).get('/api/puzzle/20260316').expect(200);
+    await request(app).get('/api/puzzle/20260316').set('X-Time-Zone', 'Pacific/Pago_Pago').expect(200);
+    const res = await request(app).get('/api/puzzle/20260317').set('X-Time-Zone', 'Pacific/Kiritimati').expect(403);
+    assert.equal(res.body.code, 'PUZZLE_NOT_AVAILABLE');
+  });
+
+  it('keeps a puzzle out of practice until its date has ended everywhere', async () => {
+    mock.timers.setTime(Date.parse('2026-03-15T11:59:00Z'));
+    // Still 14 March at UTC-12, so even the 14th's puzzle is someone's today
+    const early = await request(app).post('/api/practice').send({}).expect(404);
+    assert.equal(early.body.code, 'NO_PRACTICE_WORDS');
+
+    mock.timers.setTime(Date.parse('2026-03-15T12:00:00Z'));
+    await request(app).post('/api/practice').send({}).expect(201);
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { editDistance, closestWords } = require('../lib/suggest');
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    assert.equal(editDistance('VADER', 'VADER'), 0);
+    assert.equal(editDistance('VADER', 'WADER'), 1);
+    assert.equal(editDistance('VADER', 'VADE'), 1);
+    assert.equal(editDistance('R2-D2', 'R2D2'), 1);
+    assert.equal(editDistance('VADRE', 'VADER'), 2);
+    assert.equal(editDistance('', 'JEDI'), 4);
+  });
+});
+
+describe('closestWords', () => {
+  const words = ['WAGER', 'WADER', 'VADER', 'RADAR', 'CIDER', 'HOTH'];
+
+  it('returns the nearest words, closest first then alphabetically', () => {
+    assert.deepEqual(closestWords('WADEX', words), ['WADER', 'VADER', 'WAGER']);
+  });
+
+  it('honours the limit and maximum distance', () => {
+    assert.deepEqual(closestWords('VADEX', words, { limit: 1 }), ['VADER']);
+    assert.deepEqual(closestWords('VADEX', words, { maxDistance: 1 }), ['VADER']);
+    assert.deepEqual(closestWords('ZZZZZ', words), []);
+  });
+
+  it('never suggests the word itself', () => {
+    assert.deepEqual(closestWords('VADER', words, { maxDistance: 1 }), ['WADER']);
+  });
+});
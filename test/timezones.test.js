@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeTimeZone, zoneOffsetMs, dateInZone, startOfDay, nextMidnight } = require('../lib/timezones');
+
+const HOUR = 3600000;
+
+function next(zone, isoString) {
+  return nextMidnight(zone, Date.parse(isoString)).toISOString();
+}
+
+describe('normalizeTimeZone', () => {
+  it('returns the canonical name of a known zone', () => {
+    assert.equal(normalizeTimeZone('Europe/London'), 'Europe/London');
+    assert.equal(normalizeTimeZone('europe/london'), 'Europe/London');
+  });
+
+  it('rejects unknown, empty and oversized names', () => {
+    assert.equal(normalizeTimeZone('Mos/Eisley'), null);
+    assert.equal(normalizeTimeZone(''), null);
+    assert.equal(normalizeTimeZone(undefined), null);
+    assert.equal(normalizeTimeZone(`Europe/${'x'.repeat(100)}`), null);
+  });
+});
+
+describe('zoneOffsetMs', () => {
+  it('follows daylight saving', () => {
+    assert.equal(zoneOffsetMs('Europe/Berlin', Date.parse('2026-01-15T12:00:00Z')), HOUR);
+    assert.equal(zoneOffsetMs('Europe/Berlin', Date.parse('2026-07-15T12:00:00Z')), 2 * HOUR);
+    assert.equal(zoneOffsetMs('America/New_York', Date.parse('2026-07-15T12:00:00Z')), -4 * HOUR);
+  });
+
+  it('handles zones on the half and quarter hour', () => {
+    assert.equal(zoneOffsetMs('Asia/Kolkata', Date.parse('2026-01-15T12:00:00Z')), 5.5 * HOUR);
+    assert.equal(zoneOffsetMs('Asia/Kathmandu', Date.parse('2026-01-15T12:00:00Z')), 5.75 * HOUR);
+  });
+});
+
+describe('dateInZone', () => {
+  it('gives the calendar date at an instant', () => {
+    const instant = Date.parse('2026-03-15T12:00:00Z');
+    assert.equal(dateInZone('Pacific/Kiritimati', instant), '2026-03-16');
+    assert.equal(dateInZone('Europe/London', instant), '2026-03-15');
+    assert.equal(dateInZone('Pacific/Pago_Pago', instant), '2026-03-15');
+    assert.equal(dateInZone('Pacific/Pago_Pago', Date.parse('2026-03-15T10:59:59Z')), '2026-03-14');
+  });
+});
+
+describe('startOfDay and nextMidnight', () => {
+  it('find midnight either side of a daylight-saving change', () => {
+    // Berlin springs forward at 02:00 on 29 March
+    assert.equal(next('Europe/Berlin', '2026-03-28T12:00:00Z'), '2026-03-28T23:00:00.000Z');
+    assert.equal(next('Europe/Berlin', '2026-03-29T12:00:00Z'), '2026-03-29T22:00:00.000Z');
+    // Sydney falls back at 03:00 on 5 April
+    assert.equal(next('Australia/Sydney', '2026-04-04T12:00:00Z'), '2026-04-04T13:00:00.000Z');
+    assert.equal(next('Australia/Sydney', '2026-04-05T12:00:00Z'), '2026-04-05T14:00:00.000Z');
+  });
+
+  it('handles a half-hour daylight-saving change', () => {
+    // Lord Howe Island goes from UTC+10:30 to UTC+11 at 02:00 on 4 October
+    assert.equal(next('Australia/Lord_Howe', '2026-10-03T12:00:00Z'), '2026-10-03T13:30:00.000Z');
+    assert.equal(next('Australia/Lord_Howe', '2026-10-04T12:00:00Z'), '2026-10-04T13:00:00.000Z');
+  });
+
+  it('starts the day at 01:00 when the clocks skip midnight', () => {
+    // Chile springs forward from 00:00 to 01:00 on 6 September
+    assert.equal(startOfDay('America/Santiago', '2026-09-06'), Date.parse('2026-09-06T04:00:00Z'));
+    // ...and falls back from 00:00 to 23:00 on 5 April, so the day starts at the second midnight
+    assert.equal(startOfDay('America/Santiago', '2026-04-05'), Date.parse('2026-04-05T04:00:00Z'));
+  });
+
+  it('moves on to the next day when the zone skipped a date', () => {
+    // Samoa went straight from 29 to 31 December 2011
+    assert.equal(next('Pacific/Apia', '2011-12-29T12:00:00Z'), '2011-12-30T10:00:00.000Z');
+  });
+});